@@ -0,0 +1,72 @@
+// Reminder push function
+// The app mirrors each upcoming reminder to `users/{uid}/pushReminders` (see js/reminders.js).
+// Every minute this sends the ones that are due as web pushes to the devices registered in
+// `settings/push`, so reminders arrive even when no tab is open. Sent reminders are deleted.
+
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore, FieldValue, Timestamp } = require('firebase-admin/firestore');
+const { getMessaging } = require('firebase-admin/messaging');
+
+initializeApp();
+const db = getFirestore();
+
+// Reminders sent per run (any others go out on the next one)
+const REMINDERS_PER_RUN = 500;
+
+// Reminders later than this are dropped (the app shows missed ones when it opens, see REMINDER_GRACE_PERIOD)
+const REMINDER_GRACE_PERIOD = 24 * 60 * 60 * 1000;
+
+// Send errors meaning a device token will never work again
+const STALE_TOKEN_ERRORS = ['messaging/registration-token-not-registered', 'messaging/invalid-registration-token'];
+
+// Send one user's due reminders to their devices, forgetting tokens that no longer work
+async function sendUserReminders(userRef, docs, now) {
+    const pushRef = userRef.collection('settings').doc('push');
+    const pushDoc = await pushRef.get();
+    const tokens = (pushDoc.exists && pushDoc.data().tokens) || [];
+    const stale = new Set();
+
+    for (const doc of docs) {
+        const reminder = doc.data();
+        const live = tokens.filter(token => !stale.has(token));
+
+        if (live.length && now - reminder.at.toMillis() <= REMINDER_GRACE_PERIOD) {
+            const response = await getMessaging().sendEachForMulticast({
+                tokens: live,
+                data: { key: doc.id, taskId: reminder.taskId, title: reminder.title, body: reminder.body },
+                webpush: { headers: { Urgency: 'high' } }
+            });
+            response.responses.forEach((result, i) => {
+                if (!result.success && STALE_TOKEN_ERRORS.includes(result.error?.code)) stale.add(live[i]);
+            });
+        }
+
+        await doc.ref.delete();
+    }
+
+    if (stale.size) await pushRef.update({ tokens: FieldValue.arrayRemove(...stale) });
+}
+
+// Send every reminder that is due
+exports.sendDueReminders = onSchedule('every 1 minutes', async () => {
+    const now = Date.now();
+    const snapshot = await db.collectionGroup('pushReminders')
+        .where('at', '<=', Timestamp.fromMillis(now))
+        .limit(REMINDERS_PER_RUN)
+        .get();
+
+    // Group by user so each user's tokens are read once
+    const users = new Map();
+    snapshot.docs.forEach(doc => {
+        const userRef = doc.ref.parent.parent;
+        if (!users.has(userRef.path)) users.set(userRef.path, { userRef, docs: [] });
+        users.get(userRef.path).docs.push(doc);
+    });
+
+    await Promise.all([...users.values()].map(({ userRef, docs }) =>
+        sendUserReminders(userRef, docs, now).catch(error => {
+            console.error(`Error sending reminders for ${userRef.path}:`, error);
+        })
+    ));
+});
@@ -73,7 +73,7 @@ function getPeriodLabel(period) {
 // Get all completed tasks within a time period
 function getCompletedTasksInPeriod(period) {
     const { start, end } = getTimePeriodRange(period);
-    const allTasks = [...(tasks.work || []), ...(tasks.personal || [])];
+    const allTasks = Object.values(tasks).flat();
 
     return allTasks.filter(task => {
         if (!task.completed || !task.completedAt) return false;
@@ -93,17 +93,45 @@ function getCompletedPrioritiesInPeriod(period) {
     });
 }
 
+// Zeroed completion counts for every category
+function createCategoryCounts() {
+    return Object.fromEntries(categories.map(cat => [cat, 0]));
+}
+
+// Total of a breakdown entry
+function getBreakdownTotal(entry) {
+    return Object.values(entry.counts).reduce((sum, count) => sum + count, 0);
+}
+
+// Stacked bar (one segment per category) for a breakdown entry
+function createBreakdownBarsHTML(entry, max) {
+    return categories.map(cat => `
+        <div class="analytics-chart-bar ${getCategoryColor(cat)}" style="height: ${(entry.counts[cat] / max) * 100}%"></div>
+    `).join('');
+}
+
+// Chart legend with each category's color
+function createCategoryLegendHTML() {
+    return `
+        <div class="analytics-chart-legend">
+            ${categories.map(cat => `
+                <span class="analytics-legend-item"><span class="analytics-legend-dot ${getCategoryColor(cat)}"></span> ${escapeHtml(getCategoryLabel(cat))}</span>
+            `).join('')}
+        </div>
+    `;
+}
+
 // Get daily breakdown for the current period
 function getDailyBreakdown(period) {
     const { start, end } = getTimePeriodRange(period);
-    const allTasks = [...(tasks.work || []), ...(tasks.personal || [])];
+    const allTasks = Object.values(tasks).flat();
     const days = {};
 
     // Initialize all days in range
     const current = new Date(start);
     while (current <= end) {
         const key = current.toISOString().split('T')[0];
-        days[key] = { date: new Date(current), work: 0, personal: 0 };
+        days[key] = { date: new Date(current), counts: createCategoryCounts() };
         current.setDate(current.getDate() + 1);
     }
 
@@ -114,18 +142,26 @@ function getDailyBreakdown(period) {
         if (completedDate < start || completedDate > end) return;
 
         const key = completedDate.toISOString().split('T')[0];
-        if (days[key]) {
-            days[key][task.type]++;
+        if (days[key] && task.type in days[key].counts) {
+            days[key].counts[task.type]++;
         }
     });
 
+    // Add completions that have moved to the archive
+    Object.values(days).forEach(day => {
+        const archived = archivedCompletionCounts[toLocalDateString(day.date)] || {};
+        Object.entries(archived).forEach(([type, count]) => {
+            if (type in day.counts) day.counts[type] += count;
+        });
+    });
+
     return Object.values(days);
 }
 
 // Get monthly breakdown for year view
 function getMonthlyBreakdown(period) {
     const { start, end } = getTimePeriodRange(period);
-    const allTasks = [...(tasks.work || []), ...(tasks.personal || [])];
+    const allTasks = Object.values(tasks).flat();
     const months = {};
 
     // Initialize all months in range
@@ -133,7 +169,7 @@ function getMonthlyBreakdown(period) {
     current.setDate(1);
     while (current <= end) {
         const key = current.getFullYear() + '-' + String(current.getMonth() + 1).padStart(2, '0');
-        months[key] = { date: new Date(current), work: 0, personal: 0 };
+        months[key] = { date: new Date(current), counts: createCategoryCounts() };
         current.setMonth(current.getMonth() + 1);
     }
 
@@ -144,11 +180,21 @@ function getMonthlyBreakdown(period) {
         if (completedDate < start || completedDate > end) return;
 
         const key = completedDate.getFullYear() + '-' + String(completedDate.getMonth() + 1).padStart(2, '0');
-        if (months[key]) {
-            months[key][task.type]++;
+        if (months[key] && task.type in months[key].counts) {
+            months[key].counts[task.type]++;
         }
     });
 
+    // Add completions that have moved to the archive
+    Object.entries(archivedCompletionCounts).forEach(([day, types]) => {
+        const date = parseLocalDate(day);
+        const key = day.slice(0, 7);
+        if (date < start || date > end || !months[key]) return;
+        Object.entries(types).forEach(([type, count]) => {
+            if (type in months[key].counts) months[key].counts[type] += count;
+        });
+    });
+
     return Object.values(months);
 }
 
@@ -179,11 +225,12 @@ function buildAnalyticsHTML() {
     const completedTasks = getCompletedTasksInPeriod(period);
     const completedPriorities = getCompletedPrioritiesInPeriod(period);
     const dailyBreakdown = getDailyBreakdown(period);
+    const { start, end } = getTimePeriodRange(period);
+    const archivedCounts = getArchivedCounts(start, end);
+    const archivedTotal = getBreakdownTotal({ counts: archivedCounts });
 
-    const workTasks = completedTasks.filter(t => t.type === 'work');
-    const personalTasks = completedTasks.filter(t => t.type === 'personal');
-    const totalTasks = completedTasks.length;
-    const maxDaily = Math.max(...dailyBreakdown.map(d => d.work + d.personal), 1);
+    const totalTasks = completedTasks.length + archivedTotal;
+    const maxDaily = Math.max(...dailyBreakdown.map(getBreakdownTotal), 1);
 
     let html = `
         <div class="analytics-period-selector">
@@ -199,14 +246,12 @@ function buildAnalyticsHTML() {
                 <div class="analytics-stat-number">${totalTasks}</div>
                 <div class="analytics-stat-label">Tasks Completed</div>
             </div>
-            <div class="analytics-stat-card work">
-                <div class="analytics-stat-number">${workTasks.length}</div>
-                <div class="analytics-stat-label">Work Tasks</div>
-            </div>
-            <div class="analytics-stat-card personal">
-                <div class="analytics-stat-number">${personalTasks.length}</div>
-                <div class="analytics-stat-label">Personal Tasks</div>
-            </div>
+            ${categories.map(cat => `
+                <div class="analytics-stat-card ${getCategoryColor(cat)}">
+                    <div class="analytics-stat-number">${completedTasks.filter(t => t.type === cat).length + archivedCounts[cat]}</div>
+                    <div class="analytics-stat-label">${escapeHtml(getCategoryLabel(cat))} Tasks</div>
+                </div>
+            `).join('')}
             <div class="analytics-stat-card priorities">
                 <div class="analytics-stat-number">${completedPriorities.length}</div>
                 <div class="analytics-stat-label">Priorities Closed</div>
@@ -219,22 +264,19 @@ function buildAnalyticsHTML() {
         // Monthly breakdown for year/all-time views
         const monthlyBreakdown = getMonthlyBreakdown(period);
         if (monthlyBreakdown.length > 1) {
-            const maxMonthly = Math.max(...monthlyBreakdown.map(m => m.work + m.personal), 1);
+            const maxMonthly = Math.max(...monthlyBreakdown.map(getBreakdownTotal), 1);
             html += `
                 <div class="analytics-section">
                     <h4 class="analytics-section-title">Monthly Breakdown</h4>
                     <div class="analytics-chart">
                         ${monthlyBreakdown.map(month => {
-                            const total = month.work + month.personal;
-                            const workHeight = (month.work / maxMonthly) * 100;
-                            const personalHeight = (month.personal / maxMonthly) * 100;
+                            const total = getBreakdownTotal(month);
                             const monthLabel = month.date.toLocaleDateString('en-US', { month: 'short' });
                             const fullLabel = month.date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
                             return `
                                 <div class="analytics-chart-bar-group" title="${fullLabel}: ${total} tasks">
                                     <div class="analytics-chart-bar-stack">
-                                        <div class="analytics-chart-bar work" style="height: ${workHeight}%"></div>
-                                        <div class="analytics-chart-bar personal" style="height: ${personalHeight}%"></div>
+                                        ${createBreakdownBarsHTML(month, maxMonthly)}
                                     </div>
                                     <div class="analytics-chart-label">${monthLabel}</div>
                                     <div class="analytics-chart-count">${total || ''}</div>
@@ -242,10 +284,7 @@ function buildAnalyticsHTML() {
                             `;
                         }).join('')}
                     </div>
-                    <div class="analytics-chart-legend">
-                        <span class="analytics-legend-item"><span class="analytics-legend-dot work"></span> Work</span>
-                        <span class="analytics-legend-item"><span class="analytics-legend-dot personal"></span> Personal</span>
-                    </div>
+                    ${createCategoryLegendHTML()}
                 </div>
             `;
         }
@@ -256,16 +295,13 @@ function buildAnalyticsHTML() {
                 <h4 class="analytics-section-title">Daily Breakdown</h4>
                 <div class="analytics-chart">
                     ${dailyBreakdown.map(day => {
-                        const total = day.work + day.personal;
-                        const workHeight = (day.work / maxDaily) * 100;
-                        const personalHeight = (day.personal / maxDaily) * 100;
+                        const total = getBreakdownTotal(day);
                         const dayLabel = day.date.toLocaleDateString('en-US', { weekday: 'short' });
                         const dateLabel = day.date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
                         return `
                             <div class="analytics-chart-bar-group" title="${dateLabel}: ${total} tasks">
                                 <div class="analytics-chart-bar-stack">
-                                    <div class="analytics-chart-bar work" style="height: ${workHeight}%"></div>
-                                    <div class="analytics-chart-bar personal" style="height: ${personalHeight}%"></div>
+                                    ${createBreakdownBarsHTML(day, maxDaily)}
                                 </div>
                                 <div class="analytics-chart-label">${period === 'month' ? day.date.getDate() : dayLabel}</div>
                                 <div class="analytics-chart-count">${total || ''}</div>
@@ -273,32 +309,30 @@ function buildAnalyticsHTML() {
                         `;
                     }).join('')}
                 </div>
-                <div class="analytics-chart-legend">
-                    <span class="analytics-legend-item"><span class="analytics-legend-dot work"></span> Work</span>
-                    <span class="analytics-legend-item"><span class="analytics-legend-dot personal"></span> Personal</span>
-                </div>
+                ${createCategoryLegendHTML()}
             </div>
         `;
     }
 
-    // Completed tasks list
-    if (completedTasks.length > 0) {
+    // Completed tasks list (archived ones are only counted)
+    if (totalTasks > 0) {
         html += `
             <div class="analytics-section">
                 <h4 class="analytics-section-title">Completed Tasks</h4>
-                <div class="analytics-list">
+                ${completedTasks.length === 0 ? '' : `<div class="analytics-list">
                     ${completedTasks.map(task => {
                         const completedDate = task.completedAt.toDate ? task.completedAt.toDate() : new Date(task.completedAt);
                         const timeStr = completedDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
                         return `
-                            <div class="analytics-list-item">
-                                <span class="analytics-list-type ${task.type}">${task.type === 'work' ? '&#x1f4bc;' : '&#x1f3e0;'}</span>
+                            <div class="analytics-list-item" data-task-id="${task.id}">
+                                <span class="analytics-list-type ${getCategoryColor(task.type)}">${createCategoryIconHTML(task.type)}</span>
                                 <span class="analytics-list-title">${escapeHtml(task.title)}</span>
                                 <span class="analytics-list-date">${timeStr}</span>
                             </div>
                         `;
                     }).join('')}
-                </div>
+                </div>`}
+                ${archivedTotal ? `<a href="#" class="analytics-archive-link">+ ${archivedTotal} older task${archivedTotal === 1 ? '' : 's'} in Completed</a>` : ''}
             </div>
         `;
     }
@@ -314,7 +348,7 @@ function buildAnalyticsHTML() {
                         const timeStr = completedDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
                         const catLabel = p.category ? (getCategoryLabel ? getCategoryLabel(p.category) : p.category) : '';
                         return `
-                            <div class="analytics-list-item">
+                            <div class="analytics-list-item" data-completed-priority-id="${p.id}">
                                 <span class="analytics-list-type priority">&#x2713;</span>
                                 <span class="analytics-list-title">${escapeHtml(p.title)}</span>
                                 <span class="analytics-list-cat">${catLabel}</span>
@@ -348,4 +382,13 @@ function attachAnalyticsListeners(container) {
             renderAnalytics();
         });
     });
+
+    container.querySelector('.analytics-archive-link')?.addEventListener('click', (e) => {
+        e.preventDefault();
+        if (container.id === 'mobileAnalyticsContent') {
+            document.getElementById('mobileArchive')?.click();
+        } else {
+            showView('archive');
+        }
+    });
 }
@@ -3,25 +3,6 @@
 // Current view state
 let currentView = 'dashboard';
 
-// Morning jokes
-const jokes = [
-    { setup: "Why do programmers prefer dark mode?", punchline: "Because light attracts bugs." },
-    { setup: "Why did the developer go broke?", punchline: "Because he used up all his cache." },
-    { setup: "What's a programmer's favorite hangout place?", punchline: "Foo Bar." },
-    { setup: "Why do Java developers wear glasses?", punchline: "Because they can't C#." },
-    { setup: "What do you call a developer who doesn't comment their code?", punchline: "A mystery writer." },
-    { setup: "Why was the JavaScript developer sad?", punchline: "Because he didn't Node how to Express himself." },
-    { setup: "What's a computer's least favorite food?", punchline: "Spam." },
-    { setup: "Why did the functions stop calling each other?", punchline: "Because they had too many arguments." },
-    { setup: "What do you call 8 hobbits?", punchline: "A hobbyte." },
-    { setup: "Why do programmers always mix up Halloween and Christmas?", punchline: "Because Oct 31 == Dec 25." },
-    { setup: "How do trees access the internet?", punchline: "They log in." },
-    { setup: "Why was the computer cold?", punchline: "It left its Windows open." },
-    { setup: "What's a computer's favorite snack?", punchline: "Microchips." },
-    { setup: "Why did the PowerPoint presentation cross the road?", punchline: "To get to the other slide." },
-    { setup: "What do you call a computer that sings?", punchline: "A-Dell." }
-];
-
 // Celebration types and messages - more variety!
 const celebrationTypes = ['confetti', 'champagne', 'cat', 'emoji', 'stars', 'rainbow', 'fireworks', 'dance', 'rocket'];
 const toastMessages = [
@@ -35,9 +16,17 @@ const toastMessages = [
 async function loadAllData() {
     loadTasks();
     loadPriorities();
+    loadSeries();
+    loadTrash();
+    loadArchive();
+    loadTemplates();
+    loadShortcuts();
+    loadTagSettings();
+    loadPlannerSettings();
+    loadPushReminders();
     loadAnalytics();
 
-    // Check greeting status
+    // Offer morning planning
     checkGreeting();
 
     // Initialize calendar (after DOM is ready)
@@ -46,7 +35,7 @@ async function loadAllData() {
     }
 }
 
-// Check if greeting should be shown
+// Show the planning card unless the day was already planned (or the card dismissed)
 async function checkGreeting() {
     const greetingEl = document.getElementById('greeting');
     if (!greetingEl) return;
@@ -59,29 +48,15 @@ async function checkGreeting() {
         const today = new Date().toDateString();
         const dismissedDate = settings.greetingDismissedDate;
 
-        if (dismissedDate === today) {
-            greetingEl.classList.add('hidden');
-        } else {
-            greetingEl.classList.remove('hidden');
-            showRandomJoke();
-        }
+        greetingEl.classList.toggle('hidden', dismissedDate === today);
+        renderPlanningSummary();
     } catch (error) {
         console.error('Error checking greeting:', error);
-        showRandomJoke();
+        greetingEl.classList.remove('hidden');
     }
 }
 
-// Show a random joke
-function showRandomJoke() {
-    const joke = jokes[Math.floor(Math.random() * jokes.length)];
-    const setupEl = document.querySelector('.greeting p:not(.punchline)');
-    const punchlineEl = document.querySelector('.greeting .punchline');
-
-    if (setupEl) setupEl.textContent = joke.setup;
-    if (punchlineEl) punchlineEl.textContent = joke.punchline;
-}
-
-// Dismiss greeting for today
+// Hide the planning card for today
 async function dismissGreeting() {
     const greetingEl = document.getElementById('greeting');
     if (greetingEl) {
@@ -151,11 +126,15 @@ function showAddTaskPopup(type) {
     overlay.innerHTML = `
         <div class="add-task-popup">
             <div class="add-task-popup-header">
-                <h3>Add ${type === 'work' ? 'Work' : 'Personal'} Task</h3>
+                <h3 class="add-task-popup-heading">Add ${escapeHtml(getCategoryLabel(type))} Task</h3>
                 <button class="add-task-popup-close">&times;</button>
             </div>
             <div class="add-task-popup-body">
-                <input type="text" class="add-task-popup-title" placeholder="What needs to be done?" autofocus />
+                <input type="text" class="add-task-popup-title" placeholder="e.g. Send invoice friday every month #work #billing !" autofocus />
+                <div class="quick-add-preview" hidden>
+                    <div class="quick-add-highlight"></div>
+                    <div class="quick-add-chips"></div>
+                </div>
 
                 <div class="add-task-popup-row">
                     <label>Due Date</label>
@@ -167,6 +146,11 @@ function showAddTaskPopup(type) {
                     </div>
                 </div>
 
+                <div class="add-task-popup-row">
+                    <label>Time &amp; Reminders</label>
+                    ${createReminderFieldsHTML(null, [])}
+                </div>
+
                 <div class="add-task-popup-row">
                     <label>Recurring</label>
                     <div class="add-task-popup-options">
@@ -175,6 +159,7 @@ function showAddTaskPopup(type) {
                         <button class="add-task-popup-option" data-value="weekdays">Weekdays</button>
                         <button class="add-task-popup-option" data-value="weekly">Weekly</button>
                         <button class="add-task-popup-option" data-value="monthly">Monthly</button>
+                        <button class="add-task-popup-option add-task-popup-custom-recurrence" data-value="custom">Custom\u2026</button>
                     </div>
                 </div>
 
@@ -187,6 +172,23 @@ function showAddTaskPopup(type) {
                         <button class="add-task-popup-option" data-cat="backburner">Backburner</button>
                     </div>
                 </div>
+
+                <div class="add-task-popup-row">
+                    <label>Priority</label>
+                    <select class="add-task-popup-date add-task-popup-priority">
+                        ${createPriorityOptionsHTML(type, null)}
+                    </select>
+                </div>
+
+                <div class="add-task-popup-row">
+                    <label>Tags</label>
+                    <div class="add-task-popup-tags"></div>
+                </div>
+
+                <div class="add-task-popup-row">
+                    <label>Estimate</label>
+                    <input type="text" class="add-task-popup-date add-task-popup-estimate" placeholder="e.g. 15m, 1h, 1h30m" />
+                </div>
             </div>
             <div class="add-task-popup-footer">
                 <button class="add-task-popup-cancel">Cancel</button>
@@ -200,8 +202,15 @@ function showAddTaskPopup(type) {
     const popup = overlay.querySelector('.add-task-popup');
     const titleInput = popup.querySelector('.add-task-popup-title');
     const dateInput = popup.querySelector('.add-task-popup-date');
+    const prioritySelect = popup.querySelector('.add-task-popup-priority');
+    const readReminders = initReminderFields(popup.querySelector('.reminder-fields'));
     let selectedRecurring = '';
     let selectedCategory = 'today';
+    let selectedType = type;
+    let parsedInput = null;
+    // What the title parser put into each control, and the value it replaced (dropped when the user picks one by hand)
+    const parserSet = { dueDate: null, recurring: null, category: null };
+    const tagInput = createTagInput(popup.querySelector('.add-task-popup-tags'), [], () => {});
 
     titleInput.focus();
 
@@ -212,15 +221,32 @@ function showAddTaskPopup(type) {
             const date = new Date();
             date.setDate(date.getDate() + days);
             dateInput.value = typeof toLocalDateString === 'function' ? toLocalDateString(date) : date.toISOString().split('T')[0];
+            parserSet.dueDate = null;
         });
     });
+    dateInput.addEventListener('input', () => parserSet.dueDate = null);
 
     // Recurring option buttons
+    const customRecurrenceBtn = popup.querySelector('.add-task-popup-custom-recurrence');
     popup.querySelectorAll('.add-task-popup-option[data-value]').forEach(btn => {
         btn.addEventListener('click', () => {
-            popup.querySelectorAll('.add-task-popup-option[data-value]').forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-            selectedRecurring = btn.dataset.value;
+            const selectOption = (value) => {
+                popup.querySelectorAll('.add-task-popup-option[data-value]').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                selectedRecurring = value;
+                parserSet.recurring = null;
+            };
+
+            if (btn === customRecurrenceBtn) {
+                showRecurrenceEditor(selectedRecurring || null, (pattern) => {
+                    selectOption(pattern);
+                    customRecurrenceBtn.textContent = `\u21bb ${describeRecurrence(pattern)}`;
+                });
+                return;
+            }
+
+            customRecurrenceBtn.textContent = 'Custom\u2026';
+            selectOption(btn.dataset.value);
         });
     });
     // Set "None" as default active
@@ -232,9 +258,70 @@ function showAddTaskPopup(type) {
             popup.querySelectorAll('.add-task-popup-option[data-cat]').forEach(b => b.classList.remove('active'));
             btn.classList.add('active');
             selectedCategory = btn.dataset.cat;
+            parserSet.category = null;
         });
     });
 
+    // Natural-language parsing: highlight recognized tokens and mirror them into the controls
+    const preview = popup.querySelector('.quick-add-preview');
+    const heading = popup.querySelector('.add-task-popup-heading');
+    titleInput.addEventListener('input', () => {
+        const text = titleInput.value;
+        parsedInput = parseQuickAdd(text);
+
+        if (parsedInput.tokens.length === 0) {
+            preview.hidden = true;
+        } else {
+            preview.hidden = false;
+            preview.querySelector('.quick-add-highlight').innerHTML = highlightQuickAdd(text, parsedInput);
+            preview.querySelector('.quick-add-chips').innerHTML = describeQuickAdd(parsedInput);
+        }
+
+        // Values parsed from the title follow it: set while the token is there, put back once it's gone
+        const followParsed = (field, parsed, current) => {
+            if (parsed) {
+                parserSet[field] = { value: parsed, previous: parserSet[field] ? parserSet[field].previous : current };
+                return parsed;
+            }
+            const restored = parserSet[field] ? parserSet[field].previous : current;
+            parserSet[field] = null;
+            return restored;
+        };
+
+        dateInput.value = followParsed('dueDate', parsedInput.dueDate, dateInput.value);
+
+        if (parsedInput.recurring || parserSet.recurring) {
+            const recurring = followParsed('recurring', parsedInput.recurring, selectedRecurring);
+            const presetBtn = Array.from(popup.querySelectorAll('.add-task-popup-option[data-value]'))
+                .find(b => b !== customRecurrenceBtn && (recurring ? b.dataset.value && normalizeRecurrence(b.dataset.value) === normalizeRecurrence(recurring) : !b.dataset.value));
+            popup.querySelectorAll('.add-task-popup-option[data-value]').forEach(b => b.classList.remove('active'));
+            if (presetBtn) {
+                presetBtn.classList.add('active');
+                customRecurrenceBtn.textContent = 'Custom\u2026';
+            } else {
+                customRecurrenceBtn.classList.add('active');
+                customRecurrenceBtn.textContent = `\u21bb ${describeRecurrence(recurring)}`;
+            }
+            selectedRecurring = recurring;
+        }
+
+        if (parsedInput.category || parserSet.category) {
+            const category = followParsed('category', parsedInput.category, selectedCategory);
+            popup.querySelectorAll('.add-task-popup-option[data-cat]').forEach(b => {
+                b.classList.toggle('active', b.dataset.cat === category);
+            });
+            selectedCategory = category;
+        }
+
+        // Priorities belong to a category, so the picker follows the task's type
+        const nextType = parsedInput.type || type;
+        if (nextType !== selectedType) {
+            prioritySelect.innerHTML = createPriorityOptionsHTML(nextType, null);
+        }
+        selectedType = nextType;
+        heading.textContent = `Add ${getCategoryLabel(selectedType)} Task`;
+    });
+
     // Close handlers
     const closePopup = () => overlay.remove();
 
@@ -246,21 +333,43 @@ function showAddTaskPopup(type) {
 
     // Save handler
     const saveTask = async () => {
-        const title = titleInput.value.trim();
-        if (!title) {
+        const rawTitle = titleInput.value.trim();
+        if (!rawTitle) {
             titleInput.focus();
             return;
         }
 
+        // Fall back to the raw text if every word was parsed away
+        const title = parsedInput?.title || rawTitle;
+
+        const estimateInput = popup.querySelector('.add-task-popup-estimate');
+        const estimate = parseDuration(estimateInput.value);
+        if (estimateInput.value.trim() && !estimate) {
+            showToast('Enter an estimate like 15m or 1h');
+            estimateInput.focus();
+            return;
+        }
+
+        // A time without a date means today
+        const { dueTime, reminders } = readReminders();
+        if (dueTime && !dateInput.value) dateInput.value = toLocalDateString(new Date());
+
         const options = {
             category: selectedCategory,
             dueDate: dateInput.value || null,
+            dueTime,
+            reminders,
             recurring: selectedRecurring || null,
-            recurringPattern: selectedRecurring || null
+            recurringPattern: selectedRecurring || null,
+            todayPriority: parsedInput?.todayPriority || false,
+            tags: [...new Set([...tagInput.getTags(), ...(parsedInput?.tags || [])])],
+            estimate,
+            priorityId: prioritySelect.value || null
         };
 
         closePopup();
-        await addTask(type, title, options);
+        requestReminderPermission(reminders);
+        await addTask(selectedType, title, options);
     };
 
     popup.querySelector('.add-task-popup-save').addEventListener('click', saveTask);
@@ -287,6 +396,8 @@ function triggerCelebration() {
         case 'rocket': createRocket(overlay); break;
     }
 
+    // Don't replace a toast that offers Undo (the completion toast) with a cheer
+    if (document.querySelector('.toast .toast-action')) return;
     showToast(toastMessages[Math.floor(Math.random() * toastMessages.length)]);
 }
 
@@ -427,15 +538,28 @@ function createRocket(overlay) {
 }
 
 // Toast notification
-function showToast(message) {
+// Optional action ({ label, handler }) adds a button, e.g. Undo, and keeps the toast up longer
+function showToast(message, action = null) {
     const existing = document.querySelector('.toast');
     if (existing) existing.remove();
 
     const toast = document.createElement('div');
     toast.className = 'toast';
     toast.textContent = message;
+
+    if (action) {
+        const btn = document.createElement('button');
+        btn.className = 'toast-action';
+        btn.textContent = action.label;
+        btn.addEventListener('click', () => {
+            toast.remove();
+            action.handler();
+        });
+        toast.appendChild(btn);
+    }
+
     document.body.appendChild(toast);
-    setTimeout(() => toast.remove(), 2500);
+    setTimeout(() => toast.remove(), action ? 5000 : 2500);
 }
 
 // Mobile navigation
@@ -490,11 +614,25 @@ function initMobileNav() {
         });
     }
 
-    // Mobile add task buttons
-    document.querySelectorAll('.mobile-add-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const type = btn.dataset.type;
-            showMobileAddTask(type, btn);
+    // Templates
+    document.getElementById('mobileTemplates')?.addEventListener('click', () => {
+        menuOverlay?.classList.remove('active');
+        showTemplateManager();
+    });
+
+    // Morning planning
+    document.getElementById('mobilePlanDay')?.addEventListener('click', () => {
+        menuOverlay?.classList.remove('active');
+        showPlanningFlow();
+    });
+
+    // Mobile week, snoozed, completed and trash (not tabs, so no tab is highlighted while they are open)
+    [['mobileWeek', 'mobileWeekPanel'], ['mobileSnoozed', 'mobileSnoozedPanel'], ['mobileArchive', 'mobileArchivePanel'], ['mobileTrash', 'mobileTrashPanel']].forEach(([buttonId, panelId]) => {
+        document.getElementById(buttonId)?.addEventListener('click', () => {
+            tabs.forEach(t => t.classList.remove('active'));
+            panels.forEach(p => p.classList.remove('active'));
+            document.getElementById(panelId)?.classList.add('active');
+            menuOverlay?.classList.remove('active');
         });
     });
 }
@@ -519,23 +657,30 @@ function updateMobileUserInfo(user) {
 
 // Initialize the app
 document.addEventListener('DOMContentLoaded', () => {
-    // Set up sidebar navigation
-    document.querySelectorAll('.sidebar-item[data-view]').forEach(item => {
-        item.addEventListener('click', (e) => {
-            e.preventDefault();
-            showView(item.dataset.view);
-        });
+    // Set up sidebar navigation (category items are added later, so delegate)
+    document.getElementById('sidebar')?.addEventListener('click', (e) => {
+        const item = e.target.closest('.sidebar-item[data-view]');
+        if (!item) return;
+        e.preventDefault();
+        showView(item.dataset.view);
     });
 
     // Sidebar toggle
     document.getElementById('sidebarToggle')?.addEventListener('click', toggleSidebar);
 
-    // Greeting dismiss
+    // Templates
+    document.getElementById('templatesButton')?.addEventListener('click', showTemplateManager);
+
+    // Planning card
     document.getElementById('greetingClose')?.addEventListener('click', dismissGreeting);
+    document.getElementById('greetingPlan')?.addEventListener('click', showPlanningFlow);
 
     // Initialize focus mode controls
     initFocusControls();
 
+    // Register the service worker that shows reminders
+    registerReminderWorker();
+
     // Initialize mobile navigation
     initMobileNav();
 
@@ -577,14 +722,13 @@ function initFAB() {
         }
     });
 
-    // FAB options
-    fabMenu.querySelectorAll('.fab-option').forEach(option => {
-        option.addEventListener('click', () => {
-            const type = option.dataset.type;
-            fab.classList.remove('active');
-            fabMenu.classList.remove('active');
-            showQuickAddTask(type);
-        });
+    // FAB options (rebuilt with the category list, so delegate)
+    fabMenu.addEventListener('click', (e) => {
+        const option = e.target.closest('.fab-option');
+        if (!option) return;
+        fab.classList.remove('active');
+        fabMenu.classList.remove('active');
+        showQuickAddTask(option.dataset.type);
     });
 }
 
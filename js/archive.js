@@ -0,0 +1,392 @@
+// Archive module
+// Completed tasks older than `archiveAfterDays` are moved from `tasks` into the `archive`
+// collection, so the live task listeners only carry active and recently completed tasks.
+// Archived tasks are read a page at a time; analytics keeps counting them through per-day
+// completion counts stored in `settings/archive`, and priority progress through per-priority counts.
+
+const DEFAULT_ARCHIVE_AFTER_DAYS = 30;
+const ARCHIVE_AGE_OPTIONS = [7, 14, 30, 60, 90];
+const ARCHIVE_PAGE_SIZE = 25;
+
+// Tasks moved per batch (each one is a copy and a delete)
+const ARCHIVE_BATCH_TASKS = 100;
+
+// Longest word prefix indexed for search
+const ARCHIVE_PREFIX_LENGTH = 12;
+
+// Archive settings: age, and completions per day and type ({ 'YYYY-MM-DD': { work: 3 } })
+let archiveAfterDays = DEFAULT_ARCHIVE_AFTER_DAYS;
+let archivedCompletionCounts = {};
+// Archived completed tasks per priority ({ priorityId: 4 })
+let archivedPriorityCounts = {};
+let archiveSettingsLoaded = false;
+let archiveSettingsListener = null;
+let archiveInProgress = false;
+
+// Tasks already moved, so snapshots that still list them don't count them twice
+const archivedTaskIds = new Set();
+
+// Pages of archived tasks loaded so far for the current search
+let archivePage = { tasks: [], lastDoc: null, hasMore: true, loading: false, search: '' };
+
+// Archived occurrences of recurring series, loaded when a series panel opens
+let archivedSeriesOccurrences = {};
+
+// Load the archive settings and the first page of archived tasks
+function loadArchive() {
+    if (archiveSettingsListener) archiveSettingsListener();
+    archiveSettingsLoaded = false;
+
+    archiveSettingsListener = getUserDoc().collection('settings').doc('archive')
+        .onSnapshot(doc => {
+            const data = doc.exists ? doc.data() : {};
+            archiveAfterDays = data.afterDays || DEFAULT_ARCHIVE_AFTER_DAYS;
+            archivedCompletionCounts = data.counts || {};
+            archivedPriorityCounts = data.priorityCounts || {};
+            archiveSettingsLoaded = true;
+            archiveCompletedTasks();
+            renderArchive();
+            renderAnalytics();
+        }, error => {
+            console.error('Error loading archive settings:', error);
+        });
+
+    loadArchivePage(true);
+}
+
+// Save how long completed tasks stay in the task lists (in days)
+async function setArchiveAge(days) {
+    try {
+        await getUserDoc().collection('settings').doc('archive').set({ afterDays: days }, { merge: true });
+        showToast(`Completed tasks are archived after ${days} days`);
+    } catch (error) {
+        console.error('Error saving archive settings:', error);
+        showToast('Failed to save archive settings');
+    }
+}
+
+// Local day a task was completed on (pending server timestamps count as today)
+function getCompletedDay(task) {
+    const completed = trashDate(task.completedAt) || new Date();
+    return toLocalDateString(completed);
+}
+
+// Lowercased word prefixes of a title, for `array-contains` search
+function getSearchPrefixes(title) {
+    const prefixes = new Set();
+    getSearchWords(title).forEach(word => {
+        for (let i = 1; i <= Math.min(word.length, ARCHIVE_PREFIX_LENGTH); i++) {
+            prefixes.add(word.slice(0, i));
+        }
+    });
+    return [...prefixes];
+}
+
+// Lowercased words of a title or search
+function getSearchWords(text) {
+    return (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+// Move completed tasks past the archive age out of the live task lists
+async function archiveCompletedTasks() {
+    if (!archiveSettingsLoaded || archiveInProgress) return;
+
+    const cutoff = new Date();
+    cutoff.setHours(0, 0, 0, 0);
+    cutoff.setDate(cutoff.getDate() - archiveAfterDays);
+
+    const expired = Object.values(tasks).flat().filter(task => {
+        const completed = trashDate(task.completedAt);
+        return task.completed && !task.deletedAt && completed && completed < cutoff && !archivedTaskIds.has(task.id);
+    });
+    if (expired.length === 0) return;
+
+    archiveInProgress = true;
+    const userDoc = getUserDoc();
+    const increment = firebase.firestore.FieldValue.increment;
+
+    try {
+        for (let i = 0; i < expired.length; i += ARCHIVE_BATCH_TASKS) {
+            const chunk = expired.slice(i, i + ARCHIVE_BATCH_TASKS);
+            const batch = db.batch();
+            const counts = {};
+            const priorityCounts = {};
+
+            chunk.forEach(({ id, ...data }) => {
+                batch.set(userDoc.collection('archive').doc(id), {
+                    ...data,
+                    titleLower: (data.title || '').toLowerCase(),
+                    searchPrefixes: getSearchPrefixes(data.title),
+                    archivedAt: firebase.firestore.FieldValue.serverTimestamp()
+                });
+                batch.delete(userDoc.collection('tasks').doc(id));
+
+                const day = getCompletedDay(data);
+                counts[day] = counts[day] || {};
+                counts[day][data.type] = (counts[day][data.type] || 0) + 1;
+                if (data.priorityId) priorityCounts[data.priorityId] = (priorityCounts[data.priorityId] || 0) + 1;
+            });
+
+            Object.values(counts).forEach(types => {
+                Object.keys(types).forEach(type => types[type] = increment(types[type]));
+            });
+            Object.keys(priorityCounts).forEach(id => priorityCounts[id] = increment(priorityCounts[id]));
+            batch.set(userDoc.collection('settings').doc('archive'), { counts, priorityCounts }, { merge: true });
+
+            await batch.commit();
+            chunk.forEach(task => archivedTaskIds.add(task.id));
+        }
+        loadArchivePage(true);
+    } catch (error) {
+        console.error('Error archiving completed tasks:', error);
+    } finally {
+        archiveInProgress = false;
+    }
+}
+
+// Put an archived task back into its list as an open task
+async function restoreArchivedTask(taskId) {
+    const userDoc = getUserDoc();
+    const archiveRef = userDoc.collection('archive').doc(taskId);
+    const doc = await archiveRef.get();
+    if (!doc.exists) return;
+
+    const { titleLower, searchPrefixes, archivedAt, ...task } = doc.data();
+    const day = getCompletedDay(task);
+
+    const batch = db.batch();
+    batch.set(userDoc.collection('tasks').doc(taskId), {
+        ...task,
+        completed: false,
+        completedAt: null,
+        updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+    batch.delete(archiveRef);
+    batch.set(userDoc.collection('settings').doc('archive'), {
+        counts: { [day]: { [task.type]: firebase.firestore.FieldValue.increment(-1) } },
+        ...(task.priorityId ? { priorityCounts: { [task.priorityId]: firebase.firestore.FieldValue.increment(-1) } } : {})
+    }, { merge: true });
+    await batch.commit();
+    archivedTaskIds.delete(taskId);
+
+    archivePage.tasks = archivePage.tasks.filter(t => t.id !== taskId);
+    renderArchive();
+
+    const hidden = categories.includes(task.type) ? '' : ' (its list was deleted)';
+    showToast(`Restored to ${getCategoryLabel(task.type)}${hidden}`);
+}
+
+// Archived tasks whose titles may contain all the words, newest completion first
+// (the prefix search with the completedAt order needs the index in firestore.indexes.json)
+function getArchiveQuery(words) {
+    // Firestore matches one word; the longest narrows the query the most, the rest are checked by the caller
+    const longest = [...words].sort((a, b) => b.length - a.length)[0];
+
+    let query = getUserDoc().collection('archive');
+    if (longest) query = query.where('searchPrefixes', 'array-contains', longest.slice(0, ARCHIVE_PREFIX_LENGTH));
+    return query.orderBy('completedAt', 'desc');
+}
+
+// Fetch the next page of archived tasks, newest completion first (reset starts over)
+async function loadArchivePage(reset = false) {
+    if (reset) {
+        archivePage = { tasks: [], lastDoc: null, hasMore: true, loading: false, search: archivePage.search };
+    }
+    if (archivePage.loading || !archivePage.hasMore) return;
+
+    const page = archivePage;
+    page.loading = true;
+    renderArchive();
+
+    const words = getSearchWords(page.search);
+    let query = getArchiveQuery(words).limit(ARCHIVE_PAGE_SIZE);
+    if (page.lastDoc) query = query.startAfter(page.lastDoc);
+
+    try {
+        const snapshot = await query.get();
+        // A newer search started in the meantime
+        if (page !== archivePage) return;
+
+        const loaded = snapshot.docs
+            .map(doc => ({ id: doc.id, ...doc.data() }))
+            .filter(task => words.every(word => task.titleLower.includes(word)));
+
+        page.tasks.push(...loaded);
+        page.lastDoc = snapshot.docs[snapshot.docs.length - 1] || page.lastDoc;
+        page.hasMore = snapshot.docs.length === ARCHIVE_PAGE_SIZE;
+    } catch (error) {
+        console.error('Error loading archived tasks:', error);
+        showToast('Failed to load archived tasks');
+    } finally {
+        page.loading = false;
+        renderArchive();
+    }
+}
+
+// Archived tasks with every word of a search in their title (for the command palette)
+async function findArchivedTasks(search, limit) {
+    const words = getSearchWords(search);
+    if (words.length === 0) return [];
+
+    const snapshot = await getArchiveQuery(words).limit(limit).get();
+    return snapshot.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .filter(task => words.every(word => task.titleLower.includes(word)));
+}
+
+// Open the Completed view searching for an archived task
+function showArchivedTask(task) {
+    showView('archive');
+    searchArchive(task.title || '');
+}
+
+// Search the archive (and recent completions) by title
+function searchArchive(search) {
+    archivePage.search = search;
+    loadArchivePage(true);
+}
+
+// Completed tasks still in the live lists, newest first, matching the current search
+function getRecentCompletedTasks() {
+    const words = getSearchWords(archivePage.search);
+    const time = task => trashDate(task.completedAt)?.getTime() || Date.now();
+
+    return Object.values(tasks).flat()
+        .filter(task => task.completed && words.every(word => task.title.toLowerCase().includes(word)))
+        .sort((a, b) => time(b) - time(a));
+}
+
+// Load the archived occurrences of a recurring series (for its history and streak)
+async function loadArchivedOccurrences(seriesId) {
+    try {
+        const snapshot = await getUserDoc().collection('archive').where('seriesId', '==', seriesId).get();
+        archivedSeriesOccurrences[seriesId] = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+        console.error('Error loading archived occurrences:', error);
+    }
+}
+
+// Changes to the archived tasks carrying a tag (tag renames and deletes apply to them too)
+async function getArchivedTagChanges(tag, getTags) {
+    const snapshot = await getUserDoc().collection('archive').where('tags', 'array-contains', tag).get();
+    return snapshot.docs.map(doc => docChange(doc.ref, { tags: getTags(doc.data().tags) }, doc.data()));
+}
+
+// Archived completions per category between two dates
+function getArchivedCounts(start, end) {
+    const counts = createCategoryCounts();
+
+    Object.entries(archivedCompletionCounts).forEach(([day, types]) => {
+        const date = parseLocalDate(day);
+        if (date < start || date > end) return;
+        Object.entries(types).forEach(([type, count]) => {
+            if (type in counts) counts[type] += count;
+        });
+    });
+
+    return counts;
+}
+
+// Render the completed view (desktop and mobile)
+function renderArchive() {
+    ['archiveContent', 'mobileArchiveContent'].forEach(id => {
+        const container = document.getElementById(id);
+        if (container) renderArchiveList(container);
+    });
+}
+
+// Row for a completed task
+function createArchiveItemHTML(task, archived) {
+    const completed = trashDate(task.completedAt);
+    const when = completed ? formatDate(toLocalDateString(completed)) : 'today';
+    return `
+        <div class="trash-item archive-item" data-task-id="${task.id}" data-archived="${archived}">
+            <span class="trash-item-icon">✓</span>
+            <div class="trash-item-info">
+                <div class="trash-item-title">${escapeHtml(task.title || 'Untitled')}</div>
+                <div class="trash-item-meta">${escapeHtml(getCategoryLabel(task.type))} · completed ${when}</div>
+            </div>
+            <button class="trash-restore-btn">${archived ? 'Restore' : 'Reopen'}</button>
+        </div>
+    `;
+}
+
+// Render recent and archived completions with search, paging and restore into a container
+function renderArchiveList(container) {
+    const recent = getRecentCompletedTasks();
+    const archived = archivePage.tasks;
+    const searching = getSearchWords(archivePage.search).length > 0;
+
+    // Keep focus and caret in the search box across re-renders
+    const hadFocus = container.contains(document.activeElement) && document.activeElement.classList.contains('archive-search');
+
+    container.innerHTML = `
+        <div class="trash-toolbar">
+            <input type="search" class="archive-search" placeholder="Search completed tasks…" value="${escapeAttr(archivePage.search)}" />
+            <label>
+                Archive after
+                <select class="trash-retention archive-age">
+                    ${ARCHIVE_AGE_OPTIONS.map(days => `
+                        <option value="${days}" ${days === archiveAfterDays ? 'selected' : ''}>${days} days</option>
+                    `).join('')}
+                </select>
+            </label>
+        </div>
+
+        <div class="archive-section">
+            <div class="archive-section-header">Last ${archiveAfterDays} days</div>
+            ${recent.length === 0
+                ? `<div class="trash-empty">${searching ? 'No matches' : 'Nothing completed recently'}</div>`
+                : `<div class="trash-list">${recent.map(task => createArchiveItemHTML(task, false)).join('')}</div>`}
+        </div>
+
+        <div class="archive-section">
+            <div class="archive-section-header">Archive</div>
+            ${archived.length === 0 && !archivePage.loading
+                ? `<div class="trash-empty">${searching ? 'No matches' : 'Nothing archived yet'}</div>`
+                : `<div class="trash-list">${archived.map(task => createArchiveItemHTML(task, true)).join('')}</div>`}
+            ${archivePage.loading ? '<div class="loading">Loading archived tasks</div>' : ''}
+            ${archivePage.hasMore && !archivePage.loading ? '<button class="trash-restore-btn archive-more-btn">Load more</button>' : ''}
+        </div>
+    `;
+
+    const searchInput = container.querySelector('.archive-search');
+    if (hadFocus) {
+        searchInput.focus();
+        searchInput.setSelectionRange(searchInput.value.length, searchInput.value.length);
+    }
+
+    let searchTimer = null;
+    searchInput.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => searchArchive(searchInput.value.trim()), 300);
+    });
+
+    container.querySelector('.archive-age').addEventListener('change', (e) => {
+        setArchiveAge(parseInt(e.target.value));
+    });
+
+    container.querySelector('.archive-more-btn')?.addEventListener('click', () => loadArchivePage());
+
+    container.querySelectorAll('.archive-item').forEach(item => {
+        const { taskId, archived } = item.dataset;
+
+        if (archived === 'false') {
+            item.querySelector('.trash-item-info').addEventListener('click', () => openTaskDetail(taskId));
+        }
+
+        item.querySelector('.trash-restore-btn').addEventListener('click', async () => {
+            try {
+                if (archived === 'true') {
+                    await restoreArchivedTask(taskId);
+                } else {
+                    await completeTask(taskId, findTask(taskId).type);
+                    showToast('Reopened', undoToastAction());
+                }
+            } catch (error) {
+                console.error('Error restoring task:', error);
+                showToast('Failed to restore');
+            }
+        });
+    });
+}
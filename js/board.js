@@ -0,0 +1,154 @@
+// Board module
+// A category's full view can be shown as a board instead of stacked sections. Columns are the
+// sections (dragging between them moves tasks like moveTask) or the task statuses. The layout,
+// column choice and per-column WIP limits are kept in the category's settings.
+
+// Layout of a category's view: 'list' or 'board'
+function getViewLayout(type) {
+    return categorySettings[type]?.layout === 'board' ? 'board' : 'list';
+}
+
+// What the board columns stand for: 'sections' or 'status'
+function getBoardColumnMode(type) {
+    return categorySettings[type]?.boardColumns === 'status' ? 'status' : 'sections';
+}
+
+// WIP limit of a board column (null = none)
+function getWipLimit(type, columnId) {
+    return categorySettings[type]?.wipLimits?.[columnId] || null;
+}
+
+// Save view settings for a category and redraw its view
+async function saveViewSettings(type, updates) {
+    categorySettings[type] = { ...categorySettings[type], ...updates };
+    renderTypeView(type);
+
+    try {
+        await getUserDoc().collection('settings').doc('categories').set({
+            list: categories,
+            settings: categorySettings
+        }, { merge: true });
+    } catch (error) {
+        console.error('Error saving view settings:', error);
+        showToast('Failed to save view settings');
+    }
+}
+
+// Ask for a column's WIP limit (blank removes it)
+async function editWipLimit(type, columnId, label) {
+    const current = getWipLimit(type, columnId);
+    const input = prompt(`WIP limit for ${label} (leave blank for none):`, current || '');
+    if (input === null) return;
+
+    const limit = parseInt(input);
+    if (input.trim() && !(limit > 0)) {
+        showToast('Enter a number above 0');
+        return;
+    }
+
+    const wipLimits = { ...(categorySettings[type]?.wipLimits || {}) };
+    if (limit > 0) {
+        wipLimits[columnId] = limit;
+        await saveViewSettings(type, { wipLimits });
+        return;
+    }
+    if (!current) return;
+
+    // A merge set never removes a nested key, so clear the saved limit with a field delete
+    delete wipLimits[columnId];
+    categorySettings[type] = { ...categorySettings[type], wipLimits };
+    renderTypeView(type);
+
+    try {
+        await getUserDoc().collection('settings').doc('categories').update({
+            [`settings.${type}.wipLimits.${columnId}`]: firebase.firestore.FieldValue.delete()
+        });
+    } catch (error) {
+        console.error('Error removing WIP limit:', error);
+        showToast('Failed to save view settings');
+    }
+}
+
+// Whether a task finished today
+function isCompletedToday(task) {
+    const completed = task.completed && task.completedAt && (task.completedAt.toDate ? task.completedAt.toDate() : new Date(task.completedAt));
+    return !!completed && toLocalDateString(completed) === toLocalDateString(new Date());
+}
+
+// Tasks in a status column: open tasks with that status, or today's completions for Done
+function getTasksByStatus(type, status) {
+    return tasks[type].filter(task => {
+        if (task.paused && !task.completed) return false;
+        if (isSnoozed(task)) return false;
+        if (status === 'done') return isCompletedToday(task);
+        return !task.completed && getTaskStatus(task) === status;
+    }).sort((a, b) => {
+        if (!!a.todayPriority !== !!b.todayPriority) return a.todayPriority ? -1 : 1;
+        return compareTaskRank(a, b);
+    });
+}
+
+// List/board switch above a category's view
+function createViewLayoutToolbar(type) {
+    const layout = getViewLayout(type);
+    const toolbar = document.createElement('div');
+    toolbar.className = 'view-layout-toolbar';
+
+    toolbar.innerHTML = `
+        <div class="view-layout-toggle">
+            <button class="view-layout-btn ${layout === 'list' ? 'active' : ''}" data-layout="list">☰ List</button>
+            <button class="view-layout-btn ${layout === 'board' ? 'active' : ''}" data-layout="board">▦ Board</button>
+        </div>
+        ${layout === 'board' ? `
+            <select class="view-layout-columns" title="Board columns">
+                <option value="sections" ${getBoardColumnMode(type) === 'sections' ? 'selected' : ''}>Columns: Sections</option>
+                <option value="status" ${getBoardColumnMode(type) === 'status' ? 'selected' : ''}>Columns: Status</option>
+            </select>
+        ` : ''}
+    `;
+
+    toolbar.querySelectorAll('[data-layout]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (btn.dataset.layout !== layout) saveViewSettings(type, { layout: btn.dataset.layout });
+        });
+    });
+    toolbar.querySelector('.view-layout-columns')?.addEventListener('change', (e) => {
+        saveViewSettings(type, { boardColumns: e.target.value });
+    });
+
+    return toolbar;
+}
+
+// Board with one column per section or status
+function createTaskBoard(type) {
+    const mode = getBoardColumnMode(type);
+    const board = document.createElement('div');
+    board.className = 'task-board';
+
+    const columns = mode === 'status'
+        ? TASK_STATUSES.map(s => ({ id: s.id, label: s.label, tasks: getTasksByStatus(type, s.id), status: s.id }))
+        : TASK_SECTIONS.map(s => ({ id: s.id, label: s.label, tasks: getTasksByCategory(type, s.id), category: s.id }));
+
+    columns.forEach(column => {
+        const limit = getWipLimit(type, column.id);
+        const count = column.id === 'done' ? column.tasks.length : column.tasks.filter(task => !task.completed).length;
+        const overLimit = limit && count > limit;
+
+        const columnEl = document.createElement('div');
+        columnEl.className = `task-section board-column ${overLimit ? 'over-limit' : ''}`;
+        columnEl.innerHTML = `
+            <div class="task-section-header board-column-header">
+                <span>${column.label}</span>
+                <button class="board-column-count" title="${limit ? `WIP limit ${limit}` : 'Set a WIP limit'}">${count}${limit ? ` / ${limit}` : ''}</button>
+            </div>
+            <div class="task-list" data-type="${type}" ${column.category ? `data-category="${column.category}"` : `data-status="${column.status}"`}></div>
+        `;
+
+        renderTaskList(columnEl.querySelector('.task-list'), column.tasks, type);
+        columnEl.querySelector('.board-column-count').addEventListener('click', () => editWipLimit(type, column.id, column.label));
+
+        board.appendChild(columnEl);
+    });
+
+    return board;
+}
@@ -57,6 +57,50 @@ async function authorizeCalendar() {
     }
 }
 
+// Fetch events between two times from ALL calendars, sorted by start time
+async function fetchCalendarEvents(timeMin, timeMax, maxResults = 20) {
+    // First, get list of all calendars
+    const calendarList = await gapi.client.calendar.calendarList.list();
+    const calendars = calendarList.result.items || [];
+
+    console.log('Found calendars:', calendars.map(c => c.summary));
+
+    // Fetch events from all calendars
+    let allEvents = [];
+
+    for (const calendar of calendars) {
+        try {
+            const response = await gapi.client.calendar.events.list({
+                calendarId: calendar.id,
+                timeMin: timeMin.toISOString(),
+                timeMax: timeMax.toISOString(),
+                singleEvents: true,
+                orderBy: 'startTime',
+                maxResults
+            });
+
+            const events = (response.result.items || []).map(event => ({
+                ...event,
+                calendarName: calendar.summary,
+                calendarColor: calendar.backgroundColor
+            }));
+
+            allEvents = allEvents.concat(events);
+        } catch (err) {
+            console.log(`Could not fetch from calendar ${calendar.summary}:`, err.message);
+        }
+    }
+
+    // Sort all events by start time
+    allEvents.sort((a, b) => {
+        const aTime = a.start.dateTime || a.start.date;
+        const bTime = b.start.dateTime || b.start.date;
+        return new Date(aTime) - new Date(bTime);
+    });
+
+    return allEvents;
+}
+
 // Load today's calendar events from ALL calendars
 async function loadCalendarEvents() {
     try {
@@ -66,46 +110,7 @@ async function loadCalendarEvents() {
         const tomorrow = new Date(today);
         tomorrow.setDate(tomorrow.getDate() + 1);
 
-        // First, get list of all calendars
-        const calendarList = await gapi.client.calendar.calendarList.list();
-        const calendars = calendarList.result.items || [];
-
-        console.log('Found calendars:', calendars.map(c => c.summary));
-
-        // Fetch events from all calendars
-        let allEvents = [];
-
-        for (const calendar of calendars) {
-            try {
-                const response = await gapi.client.calendar.events.list({
-                    calendarId: calendar.id,
-                    timeMin: today.toISOString(),
-                    timeMax: tomorrow.toISOString(),
-                    singleEvents: true,
-                    orderBy: 'startTime',
-                    maxResults: 20
-                });
-
-                const events = (response.result.items || []).map(event => ({
-                    ...event,
-                    calendarName: calendar.summary,
-                    calendarColor: calendar.backgroundColor
-                }));
-
-                allEvents = allEvents.concat(events);
-            } catch (err) {
-                console.log(`Could not fetch from calendar ${calendar.summary}:`, err.message);
-            }
-        }
-
-        // Sort all events by start time
-        allEvents.sort((a, b) => {
-            const aTime = a.start.dateTime || a.start.date;
-            const bTime = b.start.dateTime || b.start.date;
-            return new Date(aTime) - new Date(bTime);
-        });
-
-        calendarEvents = allEvents;
+        calendarEvents = await fetchCalendarEvents(today, tomorrow);
         renderCalendar();
     } catch (error) {
         console.error('Error loading calendar events:', error);
@@ -141,6 +146,9 @@ function renderCalendar() {
     document.querySelectorAll('.calendar-header span').forEach(el => {
         el.textContent = dateStr;
     });
+
+    renderPlanningSummary();
+    renderWeekPlanner();
 }
 
 // Generate calendar HTML
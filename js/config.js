@@ -7,5 +7,6 @@ const CONFIG = {
     FIREBASE_MESSAGING_SENDER_ID: '495524959522',
     FIREBASE_APP_ID: '1:495524959522:web:3cdb8518f24a29624d017b',
     GOOGLE_CLIENT_ID: 'GOOGLE_CLIENT_ID_PLACEHOLDER',
-    GOOGLE_API_KEY: 'GOOGLE_API_KEY_PLACEHOLDER'
+    GOOGLE_API_KEY: 'GOOGLE_API_KEY_PLACEHOLDER',
+    FIREBASE_VAPID_KEY: 'FIREBASE_VAPID_KEY_PLACEHOLDER'
 };
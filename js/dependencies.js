@@ -0,0 +1,144 @@
+// Task dependencies module
+// A task lists the tasks it waits on in `blockedBy: [taskId, ...]`. It is blocked while any of
+// them is still open; blockers that were deleted no longer count.
+
+// Open tasks currently blocking a task
+function getBlockers(task) {
+    return (task.blockedBy || [])
+        .map(findTask)
+        .filter(blocker => blocker && !blocker.completed);
+}
+
+// Whether a task is waiting on another one
+function isTaskBlocked(task) {
+    return !task.completed && getBlockers(task).length > 0;
+}
+
+// Tasks that list the given task as a blocker
+function getDependents(taskId) {
+    return Object.values(tasks).flat().filter(task => (task.blockedBy || []).includes(taskId));
+}
+
+// Whether making `taskId` wait on `blockerId` would close a loop
+function wouldCreateCycle(taskId, blockerId) {
+    if (taskId === blockerId) return true;
+
+    // Walk everything the blocker (transitively) waits on, looking for the task
+    const visited = new Set();
+    const stack = [blockerId];
+    while (stack.length) {
+        const id = stack.pop();
+        if (id === taskId) return true;
+        if (visited.has(id)) continue;
+        visited.add(id);
+
+        const task = findTask(id);
+        if (task) stack.push(...(task.blockedBy || []));
+    }
+    return false;
+}
+
+// Validate a new "blocked by" link, explaining why it is rejected
+function canAddBlocker(taskId, blockerId) {
+    if (taskId === blockerId) {
+        showToast('A task can\'t block itself');
+        return false;
+    }
+    if (wouldCreateCycle(taskId, blockerId)) {
+        const blocker = findTask(blockerId);
+        showToast(`"${blocker ? blocker.title : 'That task'}" already waits on this task`);
+        return false;
+    }
+    return true;
+}
+
+// Dependents that become free once the given tasks are completed
+function getUnblockedTasks(completedIds) {
+    const done = new Set(completedIds);
+    const candidates = new Map();
+
+    completedIds.forEach(id => getDependents(id).forEach(task => candidates.set(task.id, task)));
+
+    return [...candidates.values()].filter(task =>
+        !task.completed && !done.has(task.id) && getBlockers(task).every(blocker => done.has(blocker.id))
+    );
+}
+
+// Toast about a completion, mentioning (and notifying about) tasks it unblocked
+function notifyUnblocked(completedIds, message) {
+    const unblocked = getUnblockedTasks(completedIds);
+
+    if (unblocked.length === 1) {
+        message += ` · "${unblocked[0].title}" is unblocked`;
+    } else if (unblocked.length > 1) {
+        message += ` · ${unblocked.length} tasks unblocked`;
+    }
+    showToast(message, undoToastAction());
+
+    if (unblocked.length && 'Notification' in window && Notification.permission === 'granted') {
+        new Notification(unblocked.length === 1 ? 'Task unblocked' : `${unblocked.length} tasks unblocked`, {
+            body: unblocked.map(task => task.title).join('\n'),
+            icon: '/favicon.ico'
+        });
+    }
+}
+
+// Blocker indicator for a task row
+function createBlockedHTML(task) {
+    if (!isTaskBlocked(task)) return '';
+
+    const blockers = getBlockers(task);
+    const names = blockers.map(blocker => blocker.title).join(', ');
+    return `<span class="task-blocked" title="Blocked by: ${escapeHtml(names)}">⛔ ${blockers.length === 1 ? 'Blocked' : `Blocked by ${blockers.length}`}</span>`;
+}
+
+// "Blocked by" editor used by the detail panel; calls onChange with the new id list
+function createBlockerInput(container, taskId, initialIds, onChange) {
+    let blockerIds = [...(initialIds || [])];
+
+    const render = () => {
+        const linked = blockerIds.map(findTask).filter(Boolean);
+        const options = Object.values(tasks).flat()
+            .filter(t => !t.completed && t.id !== taskId && !blockerIds.includes(t.id))
+            .sort((a, b) => a.title.localeCompare(b.title));
+
+        container.innerHTML = `
+            ${linked.length === 0 ? '<div class="task-detail-empty">Not waiting on anything</div>' : linked.map(blocker => `
+                <div class="task-detail-blocker ${blocker.completed ? 'done' : ''}">
+                    <span>${blocker.completed ? '✓' : '⛔'} ${escapeHtml(blocker.title)}</span>
+                    <button class="subtask-delete-btn" data-id="${blocker.id}" title="Remove">✕</button>
+                </div>
+            `).join('')}
+            <select class="add-task-popup-date task-detail-blocker-select">
+                <option value="">Add a blocking task…</option>
+                ${options.map(t => `
+                    <option value="${t.id}">${escapeHtml(t.title)} (${escapeHtml(getCategoryLabel(t.type))})</option>
+                `).join('')}
+            </select>
+        `;
+
+        container.querySelectorAll('[data-id]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                blockerIds = blockerIds.filter(id => id !== btn.dataset.id);
+                render();
+                onChange(blockerIds);
+            });
+        });
+
+        container.querySelector('.task-detail-blocker-select').addEventListener('change', (e) => {
+            const blockerId = e.target.value;
+            if (!blockerId) return;
+            if (canAddBlocker(taskId, blockerId)) {
+                blockerIds.push(blockerId);
+                onChange(blockerIds);
+            }
+            render();
+        });
+    };
+
+    render();
+
+    return {
+        getBlockerIds: () => [...blockerIds]
+    };
+}
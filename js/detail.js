@@ -0,0 +1,454 @@
+// Task detail panel module
+// Side panel (full screen on mobile) for editing every field of a task in one place
+
+// Id of the task currently open in the panel
+let detailTaskId = null;
+
+// Category options offered in the panel
+const detailCategories = [
+    { id: 'today', label: 'Today' },
+    { id: 'thisWeek', label: 'This Week' },
+    { id: 'nextWeek', label: 'Next Week' },
+    { id: 'backburner', label: 'Backburner' }
+];
+
+// Render a small, safe subset of markdown (input is escaped first)
+function renderMarkdown(text) {
+    if (!text) return '';
+
+    // Links are found in one pass and set aside, so a URL inside link text isn't linked again and
+    // the emphasis rules never touch an href. The href is re-validated and its quotes encoded.
+    const inline = (line) => {
+        const links = [];
+        const linked = line.replace(/\u0000/g, '').replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)|(^|\s)(https?:\/\/[^\s<]+)/g, (match, label, url, space, bareUrl) => {
+            const href = normalizeLink((url || bareUrl).replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&'));
+            if (!href) return match;
+
+            links.push(`<a href="${escapeAttr(href)}" target="_blank" rel="noopener">${label || bareUrl}</a>`);
+            return `${space || ''}\u0000${links.length - 1}\u0000`;
+        });
+
+        return linked
+            .replace(/`([^`]+)`/g, '<code>$1</code>')
+            .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^*])\*([^*]+)\*/g, '$1<em>$2</em>')
+            .replace(/\u0000(\d+)\u0000/g, (match, index) => links[index]);
+    };
+
+    const lines = escapeHtml(text).split('\n');
+    let html = '';
+    let inList = false;
+
+    lines.forEach(line => {
+        const listMatch = line.match(/^\s*[-*]\s+(\[( |x)\]\s+)?(.*)$/i);
+        if (listMatch) {
+            if (!inList) {
+                html += '<ul>';
+                inList = true;
+            }
+            const checkbox = listMatch[1] ? (listMatch[2].toLowerCase() === 'x' ? '☑ ' : '☐ ') : '';
+            html += `<li>${checkbox}${inline(listMatch[3])}</li>`;
+            return;
+        }
+
+        if (inList) {
+            html += '</ul>';
+            inList = false;
+        }
+
+        const headingMatch = line.match(/^(#{1,3})\s+(.*)$/);
+        if (headingMatch) {
+            const level = headingMatch[1].length + 3;
+            html += `<h${level}>${inline(headingMatch[2])}</h${level}>`;
+        } else if (line.trim()) {
+            html += `<p>${inline(line)}</p>`;
+        }
+    });
+
+    if (inList) html += '</ul>';
+    return html;
+}
+
+// Normalize a user-entered URL, returning null if it isn't valid
+function normalizeLink(value) {
+    const trimmed = value.trim();
+    if (!trimmed) return null;
+
+    const withProtocol = /^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+    try {
+        const url = new URL(withProtocol);
+        return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// Format a Firestore timestamp for the metadata footer
+function formatTimestamp(timestamp) {
+    if (!timestamp) return '—';
+    const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+    return date.toLocaleString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
+// Open the detail panel for a task
+function openTaskDetail(taskId) {
+    const task = findTask(taskId);
+    if (!task) return;
+
+    closeTaskDetail();
+    detailTaskId = taskId;
+
+    const type = task.type;
+    let recurring = task.recurring || null;
+    let links = [...(task.links || [])];
+
+    const overlay = document.createElement('div');
+    overlay.className = 'task-detail-overlay';
+    overlay.innerHTML = `
+        <aside class="task-detail-panel">
+            <div class="task-detail-header">
+                <span class="task-detail-type">${escapeHtml(getCategoryLabel(type))}</span>
+                <button class="add-task-popup-close task-detail-close">&times;</button>
+            </div>
+            <div class="task-detail-body">
+                <input type="text" class="add-task-popup-title task-detail-title" value="${escapeAttr(task.title)}" />
+
+                <div class="add-task-popup-row">
+                    <label>Status</label>
+                    <div class="add-task-popup-options task-detail-statuses">
+                        ${TASK_STATUSES.map(s => `
+                            <button class="add-task-popup-option ${getTaskStatus(task) === s.id ? 'active' : ''}" data-status="${s.id}">${s.icon} ${s.label}</button>
+                        `).join('')}
+                    </div>
+                    <div class="add-task-popup-date-row task-detail-waiting" ${isWaiting(task) ? '' : 'hidden'}>
+                        <input type="text" class="add-task-popup-date task-detail-waiting-for" placeholder="Waiting for…" value="${escapeAttr(task.waitingFor || '')}" />
+                        <input type="date" class="add-task-popup-date task-detail-follow-up" title="Follow up on" value="${task.followUpDate || ''}" />
+                    </div>
+                </div>
+
+                <div class="add-task-popup-row">
+                    <label>Notes</label>
+                    <div class="task-detail-notes-tabs">
+                        <button class="task-detail-notes-tab active" data-mode="write">Write</button>
+                        <button class="task-detail-notes-tab" data-mode="preview">Preview</button>
+                    </div>
+                    <textarea class="task-detail-notes" rows="6" placeholder="Markdown supported: **bold**, *italic*, - lists, [links](https://...)">${escapeHtml(task.notes || '')}</textarea>
+                    <div class="task-detail-notes-preview markdown-body" style="display: none;"></div>
+                </div>
+
+                <div class="add-task-popup-row">
+                    <label>Due Date</label>
+                    <div class="add-task-popup-date-row">
+                        <input type="date" class="add-task-popup-date task-detail-date" value="${task.dueDate || ''}" />
+                        <button class="add-task-popup-quick-date" data-days="0">Today</button>
+                        <button class="add-task-popup-quick-date" data-days="1">Tomorrow</button>
+                        <button class="add-task-popup-quick-date" data-clear="true">Clear</button>
+                    </div>
+                </div>
+
+                <div class="add-task-popup-row">
+                    <label>Start Date</label>
+                    <div class="add-task-popup-date-row">
+                        <input type="date" class="add-task-popup-date task-detail-start-date" value="${task.startDate || ''}" title="Hidden from every list until this date" />
+                        <button class="add-task-popup-quick-date task-detail-start-clear">Clear</button>
+                    </div>
+                </div>
+
+                <div class="add-task-popup-row">
+                    <label>Category</label>
+                    <div class="add-task-popup-options task-detail-categories">
+                        ${detailCategories.map(c => `
+                            <button class="add-task-popup-option ${task.category === c.id ? 'active' : ''}" data-cat="${c.id}">${c.label}</button>
+                        `).join('')}
+                    </div>
+                </div>
+
+                <div class="add-task-popup-row">
+                    <label>Tags</label>
+                    <div class="task-detail-tags"></div>
+                </div>
+
+                <div class="add-task-popup-row">
+                    <label>Recurring</label>
+                    <div class="add-task-popup-options">
+                        <button class="add-task-popup-option task-detail-recurrence ${recurring ? 'active' : ''}">${recurring ? `↻ ${escapeHtml(describeRecurrence(recurring))}` : 'Does not repeat'}</button>
+                        <button class="add-task-popup-option task-detail-recurrence-clear" ${recurring ? '' : 'style="display: none;"'}>Remove</button>
+                    </div>
+                </div>
+
+                <div class="add-task-popup-row">
+                    <label>Priority</label>
+                    <select class="add-task-popup-date task-detail-priority">
+                        ${createPriorityOptionsHTML(type, task.priorityId)}
+                    </select>
+                </div>
+
+                <div class="add-task-popup-row">
+                    <label>Time</label>
+                    <div class="task-detail-time">
+                        <input type="text" class="add-task-popup-date task-detail-estimate" value="${task.estimate ? formatDuration(task.estimate) : ''}" placeholder="Estimate, e.g. 30m" />
+                        <span class="task-detail-actual"></span>
+                        <button class="add-task-popup-quick-date task-detail-tracking"></button>
+                    </div>
+                </div>
+
+                <div class="add-task-popup-row">
+                    <label>Blocked By</label>
+                    <div class="task-detail-blockers"></div>
+                </div>
+
+                <div class="add-task-popup-row">
+                    <label>Links</label>
+                    <div class="task-detail-links"></div>
+                    <div class="task-detail-link-add">
+                        <input type="url" class="add-task-popup-date task-detail-link-input" placeholder="https://..." />
+                        <button class="add-task-popup-quick-date task-detail-link-btn">Add</button>
+                    </div>
+                </div>
+            </div>
+            <div class="task-detail-meta">
+                <div><span>Created</span>${formatTimestamp(task.createdAt)}</div>
+                <div><span>Updated</span>${formatTimestamp(task.updatedAt)}</div>
+                <div><span>Completed</span>${task.completed ? formatTimestamp(task.completedAt) : '—'}</div>
+            </div>
+            <div class="add-task-popup-footer">
+                <button class="add-task-popup-cancel">Cancel</button>
+                <button class="add-task-popup-save">Save</button>
+            </div>
+        </aside>
+    `;
+
+    document.body.appendChild(overlay);
+    requestAnimationFrame(() => overlay.classList.add('open'));
+
+    const panel = overlay.querySelector('.task-detail-panel');
+    const titleInput = panel.querySelector('.task-detail-title');
+    const notesInput = panel.querySelector('.task-detail-notes');
+    const notesPreview = panel.querySelector('.task-detail-notes-preview');
+    const dateInput = panel.querySelector('.task-detail-date');
+    const startDateInput = panel.querySelector('.task-detail-start-date');
+    const prioritySelect = panel.querySelector('.task-detail-priority');
+    const recurrenceBtn = panel.querySelector('.task-detail-recurrence');
+    const recurrenceClearBtn = panel.querySelector('.task-detail-recurrence-clear');
+    const linksContainer = panel.querySelector('.task-detail-links');
+    const linkInput = panel.querySelector('.task-detail-link-input');
+    let selectedCategory = task.category || 'today';
+    let selectedStatus = getTaskStatus(task);
+    const waitingRow = panel.querySelector('.task-detail-waiting');
+    const waitingForInput = panel.querySelector('.task-detail-waiting-for');
+    const followUpInput = panel.querySelector('.task-detail-follow-up');
+    const tagInput = createTagInput(panel.querySelector('.task-detail-tags'), task.tags || [], () => {});
+    const estimateInput = panel.querySelector('.task-detail-estimate');
+    const blockerInput = createBlockerInput(panel.querySelector('.task-detail-blockers'), taskId, task.blockedBy || [], () => {});
+
+    // Notes write/preview tabs
+    panel.querySelectorAll('.task-detail-notes-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            panel.querySelectorAll('.task-detail-notes-tab').forEach(t => t.classList.remove('active'));
+            tab.classList.add('active');
+            const preview = tab.dataset.mode === 'preview';
+            notesPreview.innerHTML = renderMarkdown(notesInput.value) || '<p class="task-detail-empty">Nothing to preview</p>';
+            notesPreview.style.display = preview ? '' : 'none';
+            notesInput.style.display = preview ? 'none' : '';
+        });
+    });
+
+    // Quick date buttons
+    panel.querySelectorAll('.add-task-popup-quick-date[data-days], .add-task-popup-quick-date[data-clear]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            if (btn.dataset.clear) {
+                dateInput.value = '';
+                return;
+            }
+            const date = new Date();
+            date.setDate(date.getDate() + parseInt(btn.dataset.days));
+            dateInput.value = toLocalDateString(date);
+        });
+    });
+
+    panel.querySelector('.task-detail-start-clear').addEventListener('click', () => {
+        startDateInput.value = '';
+    });
+
+    // Status buttons (waiting asks for a person and a follow-up date)
+    panel.querySelectorAll('.task-detail-statuses [data-status]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            panel.querySelectorAll('.task-detail-statuses [data-status]').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            selectedStatus = btn.dataset.status;
+            waitingRow.hidden = selectedStatus !== 'waiting';
+            if (selectedStatus === 'waiting') {
+                if (!followUpInput.value) {
+                    const followUp = new Date();
+                    followUp.setDate(followUp.getDate() + DEFAULT_FOLLOW_UP_DAYS);
+                    followUpInput.value = toLocalDateString(followUp);
+                }
+                waitingForInput.focus();
+            }
+        });
+    });
+
+    // Category buttons
+    panel.querySelectorAll('.task-detail-categories [data-cat]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            panel.querySelectorAll('.task-detail-categories [data-cat]').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            selectedCategory = btn.dataset.cat;
+        });
+    });
+
+    // Recurrence
+    const updateRecurrenceButtons = () => {
+        recurrenceBtn.textContent = recurring ? `↻ ${describeRecurrence(recurring)}` : 'Does not repeat';
+        recurrenceBtn.classList.toggle('active', !!recurring);
+        recurrenceClearBtn.style.display = recurring ? '' : 'none';
+    };
+    recurrenceBtn.addEventListener('click', () => {
+        showRecurrenceEditor(recurring, (pattern) => {
+            recurring = pattern;
+            updateRecurrenceButtons();
+        });
+    });
+    recurrenceClearBtn.addEventListener('click', () => {
+        recurring = null;
+        updateRecurrenceButtons();
+    });
+
+    // Actual time and the manual tracker (the tracker saves straight away)
+    const actualEl = panel.querySelector('.task-detail-actual');
+    const trackingBtn = panel.querySelector('.task-detail-tracking');
+    const renderTime = () => {
+        const current = findTask(taskId) || task;
+        const estimate = parseDuration(estimateInput.value);
+        const spent = getTimeSpent(current) / 60;
+        actualEl.textContent = `Actual ${formatDuration(spent)}${estimate ? ` of ${formatDuration(estimate)}` : ''}`;
+        actualEl.classList.toggle('over', !!estimate && spent > estimate);
+        trackingBtn.textContent = current.trackingStartedAt ? '⏹ Stop' : '⏺ Start';
+        trackingBtn.classList.toggle('active', !!current.trackingStartedAt);
+    };
+    trackingBtn.addEventListener('click', async () => {
+        await toggleTracking(taskId);
+        renderTime();
+    });
+    estimateInput.addEventListener('input', renderTime);
+    renderTime();
+
+    // Links
+    const renderLinks = () => {
+        linksContainer.innerHTML = links.length === 0
+            ? '<div class="task-detail-empty">No links yet</div>'
+            : links.map((url, i) => `
+                <div class="task-detail-link">
+                    <a href="${escapeAttr(url)}" target="_blank" rel="noopener">${escapeHtml(url.replace(/^https?:\/\//, ''))}</a>
+                    <button class="subtask-delete-btn" data-index="${i}" title="Remove link">✕</button>
+                </div>
+            `).join('');
+
+        linksContainer.querySelectorAll('[data-index]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                links.splice(parseInt(btn.dataset.index), 1);
+                renderLinks();
+            });
+        });
+    };
+    const addLink = () => {
+        const url = normalizeLink(linkInput.value);
+        if (!url) {
+            showToast('Enter a valid URL');
+            return;
+        }
+        if (!links.includes(url)) links.push(url);
+        linkInput.value = '';
+        renderLinks();
+    };
+    panel.querySelector('.task-detail-link-btn').addEventListener('click', addLink);
+    linkInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') addLink();
+    });
+    renderLinks();
+
+    // Close handlers
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closeTaskDetail();
+    });
+    panel.querySelector('.task-detail-close').addEventListener('click', closeTaskDetail);
+    panel.querySelector('.add-task-popup-cancel').addEventListener('click', closeTaskDetail);
+    overlay.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeTaskDetail();
+    });
+
+    // Save handler
+    panel.querySelector('.add-task-popup-save').addEventListener('click', async () => {
+        const title = titleInput.value.trim();
+        if (!title) {
+            titleInput.focus();
+            return;
+        }
+
+        const estimate = parseDuration(estimateInput.value);
+        if (estimateInput.value.trim() && !estimate) {
+            showToast('Enter an estimate like 15m or 1h');
+            estimateInput.focus();
+            return;
+        }
+
+        if (selectedStatus === 'waiting' && !waitingForInput.value.trim()) {
+            waitingForInput.focus();
+            return;
+        }
+
+        const updates = {
+            title,
+            notes: notesInput.value,
+            dueDate: dateInput.value || null,
+            startDate: startDateInput.value || null,
+            category: selectedCategory,
+            priorityId: prioritySelect.value || null,
+            tags: tagInput.getTags(),
+            blockedBy: blockerInput.getBlockerIds(),
+            estimate,
+            links
+        };
+        if (selectedStatus !== 'done') updates.status = selectedStatus;
+        if (selectedStatus === 'waiting') {
+            updates.waitingFor = waitingForInput.value.trim();
+            updates.followUpDate = followUpInput.value || null;
+        }
+
+        closeTaskDetail();
+        await updateTask(taskId, updates);
+
+        // Done and reopening go through completion, so recurring tasks spawn their next occurrence
+        if ((selectedStatus === 'done') !== !!task.completed) {
+            if (await completeTask(taskId, type)) triggerCelebration();
+        }
+
+        // Recurrence changes go through the series-aware helpers
+        const previous = normalizeRecurrence(task.recurring);
+        if (recurring && recurring !== previous) {
+            await setRecurring(taskId, recurring);
+        } else if (!recurring && previous) {
+            if (task.seriesId) {
+                await stopSeries(task.seriesId, { silent: true });
+            } else {
+                await updateTask(taskId, { recurring: null, recurringPattern: null, recurrenceIndex: null, recurrenceDay: null });
+            }
+        }
+
+        showToast('Task saved');
+    });
+
+    titleInput.focus();
+}
+
+// Close the detail panel
+function closeTaskDetail() {
+    document.querySelectorAll('.task-detail-overlay').forEach(o => o.remove());
+    detailTaskId = null;
+}
@@ -21,6 +21,10 @@ function openFocusMode(taskId, taskTitle, duration = 20) {
     focusState.active = true;
     focusState.startTime = Date.now();
 
+    // The focus session does the tracking now
+    const task = findTask(taskId);
+    if (task && task.trackingStartedAt) stopTracking(taskId);
+
     // Update UI
     const overlay = document.getElementById('focusOverlay');
     const timerEl = document.getElementById('focusTimer');
@@ -139,17 +143,19 @@ function closeFocusMode(completed = false) {
     const overlay = document.getElementById('focusOverlay');
     overlay.classList.remove('active');
 
+    // Save the focused time on the task
+    if (focusState.taskId) {
+        addTimeSpent(focusState.taskId, focusState.duration - focusState.remaining);
+    }
+
     // If completed, optionally mark the task as done
     if (completed && focusState.taskId) {
-        // Find the task type
-        const workTask = tasks.work.find(t => t.id === focusState.taskId);
-        const personalTask = tasks.personal.find(t => t.id === focusState.taskId);
+        const task = findTask(focusState.taskId);
 
-        if (workTask || personalTask) {
+        if (task) {
             const shouldComplete = confirm('Mark this task as completed?');
             if (shouldComplete) {
-                const type = workTask ? 'work' : 'personal';
-                completeTask(focusState.taskId, type);
+                completeTask(task.id, task.type);
             }
         }
     }
@@ -166,13 +172,10 @@ async function completeFocusTask() {
         return;
     }
 
-    // Find the task type
-    const workTask = tasks.work.find(t => t.id === focusState.taskId);
-    const personalTask = tasks.personal.find(t => t.id === focusState.taskId);
+    const task = findTask(focusState.taskId);
 
-    if (workTask || personalTask) {
-        const type = workTask ? 'work' : 'personal';
-        await completeTask(focusState.taskId, type);
+    if (task) {
+        await completeTask(task.id, task.type);
         triggerCelebration();
     }
 
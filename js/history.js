@@ -0,0 +1,94 @@
+// Operation history module
+// Each entry carries its own undo/redo steps that write the captured state back to Firestore
+
+const HISTORY_LIMIT = 50;
+
+let undoStack = [];
+let redoStack = [];
+let historyBusy = false;
+
+// Record an operation that has just been applied (clears anything that could be redone)
+function recordOperation(label, undo, redo) {
+    undoStack.push({ label, undo, redo });
+    if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+    redoStack = [];
+}
+
+// Toast action that undoes the most recent operation
+function undoToastAction() {
+    return { label: 'Undo', handler: undoLastOperation };
+}
+
+// Undo the most recent operation
+async function undoLastOperation() {
+    if (historyBusy) return;
+
+    const entry = undoStack.pop();
+    if (!entry) {
+        showToast('Nothing to undo');
+        return;
+    }
+
+    historyBusy = true;
+    try {
+        await entry.undo();
+        redoStack.push(entry);
+        showToast(`Undone: ${entry.label}`, { label: 'Redo', handler: redoLastOperation });
+    } catch (error) {
+        console.error('Error undoing operation:', error);
+        showToast('Failed to undo');
+    } finally {
+        historyBusy = false;
+    }
+}
+
+// Redo the most recently undone operation
+async function redoLastOperation() {
+    if (historyBusy) return;
+
+    const entry = redoStack.pop();
+    if (!entry) {
+        showToast('Nothing to redo');
+        return;
+    }
+
+    historyBusy = true;
+    try {
+        await entry.redo();
+        undoStack.push(entry);
+        showToast(`Redone: ${entry.label}`, undoToastAction());
+    } catch (error) {
+        console.error('Error redoing operation:', error);
+        showToast('Failed to redo');
+    } finally {
+        historyBusy = false;
+    }
+}
+
+// Stored fields of a task (drops the local id)
+function snapshotTask(task) {
+    const { id, ...data } = task;
+    return data;
+}
+
+// Write a task document back exactly as it was captured
+async function restoreTaskDoc(taskId, data) {
+    await getUserDoc().collection('tasks').doc(taskId).set(data);
+}
+
+// Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac); text fields keep their native undo
+document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+    const target = e.target;
+    if (target.matches && (target.matches('input, textarea, select') || target.isContentEditable)) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undoLastOperation();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        redoLastOperation();
+    }
+});
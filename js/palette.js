@@ -0,0 +1,367 @@
+// Command palette module
+// Ctrl+K / Cmd+K opens a fuzzy search over tasks, priorities and commands. Archived tasks
+// aren't kept in memory, so they're fetched from the archive once typing pauses.
+
+const PALETTE_MAX_RESULTS = 50;
+const PALETTE_ARCHIVE_RESULTS = 20;
+const PALETTE_ARCHIVE_DELAY = 300;
+
+// 'all' searches everything; 'focus' picks a task for focus mode
+let paletteMode = 'all';
+
+// Views to switch to; every category has its own task view
+function getPaletteViews() {
+    return [
+        { id: 'dashboard', label: 'Dashboard' },
+        ...categories.map(cat => ({ id: cat, label: getCategoryLabel(cat) })),
+        { id: 'priorities', label: 'Priorities' },
+        { id: 'analytics', label: 'Analytics' },
+        { id: 'week', label: 'Week' },
+        { id: 'snoozed', label: 'Snoozed' },
+        { id: 'archive', label: 'Completed' },
+        { id: 'trash', label: 'Trash' }
+    ];
+}
+
+// Score how well a query fuzzy-matches some text (-1 = no match); also returns matched positions
+function fuzzyMatch(query, text) {
+    const q = query.toLowerCase();
+    const t = (text || '').toLowerCase();
+    if (!q) return { score: 0, positions: [] };
+
+    const positions = [];
+    let score = 0;
+    let ti = 0;
+    let lastMatch = -1;
+
+    for (let qi = 0; qi < q.length; qi++) {
+        const ch = q[qi];
+        if (ch === ' ') continue;
+
+        const found = t.indexOf(ch, ti);
+        if (found === -1) return { score: -1, positions: [] };
+
+        // Reward consecutive characters and matches at the start of words
+        score += 1;
+        if (found === lastMatch + 1) score += 3;
+        if (found === 0 || /[\s\-_/]/.test(t[found - 1])) score += 2;
+
+        positions.push(found);
+        lastMatch = found;
+        ti = found + 1;
+    }
+
+    // Prefer tighter matches and shorter titles
+    score -= (positions[positions.length - 1] - positions[0]) * 0.1;
+    score -= t.length * 0.01;
+
+    return { score, positions };
+}
+
+// Wrap matched characters in <mark>
+function highlightFuzzyMatch(text, positions) {
+    const matched = new Set(positions);
+    return (text || '').split('').map((ch, i) => matched.has(i) ? `<mark>${escapeHtml(ch)}</mark>` : escapeHtml(ch)).join('');
+}
+
+// Commands available from the palette
+function getPaletteCommands() {
+    const commands = Object.keys(tasks).map(type => ({
+        icon: '+',
+        title: `New ${getCategoryLabel(type).toLowerCase()} task`,
+        run: () => showAddTaskPopup(type)
+    }));
+
+    commands.push({
+        icon: '⏱',
+        title: 'Start focus on…',
+        keepOpen: true,
+        run: () => setPaletteMode('focus')
+    });
+
+    getPaletteViews().forEach(view => {
+        commands.push({
+            icon: '→',
+            title: `Switch view: ${view.label}`,
+            run: () => showView(view.id)
+        });
+    });
+
+    commands.push(
+        { icon: '🌙', title: 'Toggle dark mode', run: toggleDarkMode },
+        { icon: '⌨', title: 'Keyboard shortcuts', run: showShortcutsHelp },
+        { icon: '#', title: 'Manage tags', run: showTagManager },
+        { icon: '☀️', title: 'Plan my day', run: showPlanningFlow },
+        { icon: '📋', title: 'Templates', run: showTemplateManager },
+        { icon: '↶', title: 'Undo', run: undoLastOperation },
+        { icon: '↷', title: 'Redo', run: redoLastOperation }
+    );
+
+    taskTemplates.forEach(template => {
+        commands.push({
+            icon: '📋',
+            title: `Use template: ${template.name}`,
+            run: () => showUseTemplate(template)
+        });
+    });
+
+    getAllTags().forEach(({ tag }) => {
+        commands.push({
+            icon: '#',
+            title: `Filter by #${tag}`,
+            run: () => {
+                if (activeTagFilter !== tag) setTagFilter(tag);
+            }
+        });
+    });
+
+    return commands.map(c => ({ ...c, kind: 'command', meta: 'Command' }));
+}
+
+// Searchable tasks, priorities and closed priorities
+function getPaletteRecords() {
+    const taskRecords = Object.values(tasks).flat().map(task => ({
+        kind: 'task',
+        icon: task.completed ? '✓' : '☐',
+        title: task.title,
+        meta: [
+            getCategoryLabel(task.type),
+            task.completed ? 'Completed' : (task.dueDate ? formatDate(task.dueDate) : formatCategory(task.category))
+        ].join(' · '),
+        completed: !!task.completed,
+        run: () => jumpToTask(task.id)
+    }));
+
+    const priorityRecords = Object.keys(priorities).flatMap(type => (priorities[type] || []).map(p => ({
+        kind: 'priority',
+        icon: '★',
+        title: p.title,
+        meta: `Priority · ${getCategoryLabel(type)}`,
+        run: () => jumpToElement('priorities', `.priority-item[data-priority-id="${p.id}"]`)
+    })));
+
+    const closedRecords = completedPrioritiesList.map(p => ({
+        kind: 'closed',
+        icon: '✓',
+        title: p.title,
+        meta: `Closed priority${p.category ? ' · ' + getCategoryLabel(p.category) : ''}`,
+        completed: true,
+        run: () => jumpToAnalyticsItem(`[data-completed-priority-id="${p.id}"]`)
+    }));
+
+    return [...taskRecords, ...priorityRecords, ...closedRecords];
+}
+
+// Archived tasks found for a search
+function getArchivedPaletteRecords(archivedTasks) {
+    return archivedTasks.map(task => ({
+        kind: 'task',
+        icon: '✓',
+        title: task.title,
+        meta: `${getCategoryLabel(task.type)} · Archived`,
+        completed: true,
+        run: () => showArchivedTask(task)
+    }));
+}
+
+// Active tasks for the "Start focus on…" mode
+function getFocusRecords() {
+    return Object.values(tasks).flat().filter(t => !t.completed).map(task => ({
+        kind: 'task',
+        icon: '⏱',
+        title: task.title,
+        meta: getCategoryLabel(task.type),
+        run: () => openFocusMode(task.id, task.title)
+    }));
+}
+
+// Show a view, then scroll to and flash an element inside it
+function jumpToElement(viewName, selector) {
+    showView(viewName);
+
+    setTimeout(() => {
+        const el = document.querySelector(`#${viewName}View ${selector}`);
+        if (!el) return;
+        el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        el.classList.add('search-highlight');
+        setTimeout(() => el.classList.remove('search-highlight'), 2000);
+    }, 50);
+}
+
+// Show an item from the all-time analytics lists
+function jumpToAnalyticsItem(selector) {
+    analyticsTimePeriod = 'all';
+    renderAnalytics();
+    jumpToElement('analytics', selector);
+}
+
+// Jump to a task wherever it is currently listed
+function jumpToTask(taskId) {
+    const task = findTask(taskId);
+    if (!task) return;
+
+    if (document.querySelector(`#${task.type}View .task-item[data-task-id="${taskId}"]`)) {
+        jumpToElement(task.type, `.task-item[data-task-id="${taskId}"]`);
+    } else if (task.completed && task.completedAt) {
+        // Completed on an earlier day, so only the analytics history lists it
+        jumpToAnalyticsItem(`[data-task-id="${taskId}"]`);
+    } else {
+        openTaskDetail(taskId);
+    }
+}
+
+// Switch between searching everything and picking a task to focus on
+function setPaletteMode(mode) {
+    paletteMode = mode;
+    const input = document.querySelector('.command-palette-input');
+    if (!input) return;
+
+    input.value = '';
+    input.placeholder = mode === 'focus' ? 'Focus on which task?' : 'Search tasks and priorities, or type a command…';
+    input.dispatchEvent(new Event('input'));
+    input.focus();
+}
+
+// Open the command palette
+function openCommandPalette() {
+    if (document.querySelector('.command-palette-overlay')) return;
+
+    paletteMode = 'all';
+
+    const overlay = document.createElement('div');
+    overlay.className = 'command-palette-overlay';
+    overlay.innerHTML = `
+        <div class="command-palette">
+            <input type="text" class="command-palette-input" placeholder="Search tasks and priorities, or type a command…" />
+            <div class="command-palette-results"></div>
+            <div class="command-palette-footer">↑↓ to navigate · Enter to open · Esc to close</div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const input = overlay.querySelector('.command-palette-input');
+    const resultsEl = overlay.querySelector('.command-palette-results');
+    let results = [];
+    let activeIndex = 0;
+    let archivedRecords = [];
+    let archiveTimer = null;
+
+    const closePalette = () => overlay.remove();
+
+    const renderResults = () => {
+        resultsEl.innerHTML = results.length === 0
+            ? '<div class="command-palette-empty">No matches</div>'
+            : results.map((r, i) => `
+                <div class="command-palette-item ${i === activeIndex ? 'active' : ''} ${r.completed ? 'completed' : ''}" data-index="${i}">
+                    <span class="command-palette-icon">${r.icon}</span>
+                    <span class="command-palette-title">${highlightFuzzyMatch(r.title, r.positions)}</span>
+                    <span class="command-palette-meta">${escapeHtml(r.meta)}</span>
+                </div>
+            `).join('');
+
+        resultsEl.querySelector('.command-palette-item.active')?.scrollIntoView({ block: 'nearest' });
+
+        resultsEl.querySelectorAll('.command-palette-item').forEach(el => {
+            el.addEventListener('click', () => runResult(parseInt(el.dataset.index)));
+            el.addEventListener('mousemove', () => {
+                activeIndex = parseInt(el.dataset.index);
+                resultsEl.querySelectorAll('.command-palette-item').forEach(item => item.classList.toggle('active', item === el));
+            });
+        });
+    };
+
+    const search = () => {
+        const query = input.value.trim();
+        const records = paletteMode === 'focus'
+            ? getFocusRecords()
+            : [...getPaletteCommands(), ...(query ? [...getPaletteRecords(), ...archivedRecords] : [])];
+
+        results = records
+            .map(r => ({ ...r, ...fuzzyMatch(query, r.title) }))
+            .filter(r => r.score >= 0)
+            // Open items rank above completed ones with a similar score
+            .sort((a, b) => (b.score - (b.completed ? 2 : 0)) - (a.score - (a.completed ? 2 : 0)))
+            .slice(0, PALETTE_MAX_RESULTS);
+
+        activeIndex = 0;
+        renderResults();
+    };
+
+    // Fetch archived matches once typing pauses, then search again with them
+    const searchArchived = () => {
+        clearTimeout(archiveTimer);
+        archivedRecords = [];
+
+        const query = input.value.trim();
+        if (paletteMode !== 'all' || !query) return;
+
+        archiveTimer = setTimeout(async () => {
+            let found = [];
+            try {
+                found = await findArchivedTasks(query, PALETTE_ARCHIVE_RESULTS);
+            } catch (error) {
+                console.error('Error searching archived tasks:', error);
+            }
+
+            // The query changed or the palette closed in the meantime
+            if (!overlay.isConnected || paletteMode !== 'all' || input.value.trim() !== query) return;
+            archivedRecords = getArchivedPaletteRecords(found);
+            if (archivedRecords.length) search();
+        }, PALETTE_ARCHIVE_DELAY);
+    };
+
+    const runResult = (index) => {
+        const result = results[index];
+        if (!result) return;
+        if (!result.keepOpen) closePalette();
+        result.run();
+    };
+
+    input.addEventListener('input', () => {
+        searchArchived();
+        search();
+    });
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            activeIndex = Math.min(activeIndex + 1, results.length - 1);
+            renderResults();
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            activeIndex = Math.max(activeIndex - 1, 0);
+            renderResults();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            runResult(activeIndex);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            if (paletteMode !== 'all') {
+                setPaletteMode('all');
+            } else {
+                closePalette();
+            }
+        } else if (e.key === 'Backspace' && !input.value && paletteMode !== 'all') {
+            setPaletteMode('all');
+        }
+    });
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closePalette();
+    });
+
+    search();
+    input.focus();
+}
+
+// Ctrl+K / Cmd+K toggles the palette from anywhere
+document.addEventListener('keydown', (e) => {
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        const existing = document.querySelector('.command-palette-overlay');
+        if (existing) {
+            existing.remove();
+        } else {
+            openCommandPalette();
+        }
+    }
+});
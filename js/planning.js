@@ -0,0 +1,275 @@
+// Morning planning module
+// The card at the top of the dashboard invites you to plan the day. Planning walks through
+// overdue tasks one at a time, shows how busy today's calendar is, then lets you star the
+// tasks that matter most today.
+
+// How many top tasks to suggest starring
+const PLANNING_TOP_TASKS = 3;
+
+// Open, one-off tasks whose due date has passed (recurring ones have their own overdue handling)
+function getOverdueTasks() {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    return Object.values(tasks).flat()
+        .filter(task => !task.completed && !task.recurring && !task.paused && !isSnoozed(task) && task.dueDate && parseLocalDate(task.dueDate) < today)
+        .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+}
+
+// Whole days since a date
+function daysSince(dateString) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return Math.round((today - parseLocalDate(dateString)) / (24 * 60 * 60 * 1000));
+}
+
+// Today's meetings: timed events, all-day events and minutes booked (overlaps counted once)
+function getCalendarLoad() {
+    const timed = calendarEvents.filter(event => event.start.dateTime);
+    const allDay = calendarEvents.filter(event => event.start.date);
+
+    const ranges = timed
+        .map(event => [new Date(event.start.dateTime).getTime(), new Date(event.end.dateTime).getTime()])
+        .sort((a, b) => a[0] - b[0]);
+
+    let busy = 0;
+    let coveredUntil = 0;
+    ranges.forEach(([start, end]) => {
+        const from = Math.max(start, coveredUntil);
+        if (end > from) busy += end - from;
+        coveredUntil = Math.max(coveredUntil, end);
+    });
+
+    return { timed, allDay, busyMinutes: Math.round(busy / 60000) };
+}
+
+// One-line summary on the planning card
+function renderPlanningSummary() {
+    const summary = document.getElementById('greetingSummary');
+    if (!summary) return;
+
+    const overdue = getOverdueTasks().length;
+    const { timed, busyMinutes } = getCalendarLoad();
+    const parts = [
+        overdue ? `${overdue} overdue task${overdue === 1 ? '' : 's'} to sort out` : 'Nothing overdue',
+        timed.length ? `${timed.length} meeting${timed.length === 1 ? '' : 's'} (${formatDuration(busyMinutes)})` : 'no meetings'
+    ];
+    summary.textContent = `${parts.join(', ')}. Take a minute to plan your day?`;
+}
+
+// Apply a triage choice to one task (undoable like any other edit)
+async function applyPlanningChange(task, updates) {
+    await applyBulkChanges('plan day', [taskChange(task, updates)]);
+}
+
+// Walk through the planning steps: overdue triage, calendar load, top tasks
+function showPlanningFlow() {
+    document.querySelectorAll('.planning-overlay').forEach(p => p.remove());
+
+    const overlay = document.createElement('div');
+    overlay.className = 'add-task-popup-overlay planning-overlay';
+    document.body.appendChild(overlay);
+
+    const closeFlow = () => overlay.remove();
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closeFlow();
+    });
+
+    const overdue = getOverdueTasks();
+    let step = overdue.length ? 'triage' : 'calendar';
+    let triageIndex = 0;
+    let starred = null;
+
+    const renderTriage = () => {
+        const task = overdue[triageIndex];
+        const days = daysSince(task.dueDate);
+        const tomorrow = new Date();
+        tomorrow.setDate(tomorrow.getDate() + 1);
+
+        return `
+            <div class="planning-step-label">Overdue ${triageIndex + 1} of ${overdue.length}</div>
+            <div class="planning-task">
+                <div class="planning-task-title">${escapeHtml(task.title)}</div>
+                <div class="planning-task-meta">
+                    ${escapeHtml(getCategoryLabel(task.type))} · was due ${formatDate(task.dueDate)}
+                    (${days === 1 ? 'yesterday' : `${days} days ago`})
+                </div>
+            </div>
+            <div class="add-task-popup-options planning-choices">
+                <button class="add-task-popup-option" data-choice="today">☀️ Do today</button>
+                <button class="add-task-popup-option" data-choice="reschedule">📆 Reschedule</button>
+                <button class="add-task-popup-option" data-choice="backburner">🔥 Backburner</button>
+                <button class="add-task-popup-option danger" data-choice="delete">🗑 Delete</button>
+            </div>
+            <div class="add-task-popup-date-row planning-reschedule" hidden>
+                <input type="date" class="add-task-popup-date planning-date" value="${toLocalDateString(tomorrow)}" />
+                <button class="add-task-popup-quick-date" data-days="1">Tomorrow</button>
+                <button class="add-task-popup-quick-date" data-days="7">+1 Week</button>
+                <button class="add-task-popup-save planning-reschedule-save">Move</button>
+            </div>
+        `;
+    };
+
+    const renderCalendarLoad = () => {
+        const { timed, allDay, busyMinutes } = getCalendarLoad();
+        const todayTasks = Object.keys(tasks).flatMap(type => getTodayTasks(type)).filter(task => !task.completed);
+        const estimated = todayTasks.reduce((sum, task) => sum + getRemainingEstimate(task), 0);
+
+        const eventList = [...allDay, ...timed].map(event => {
+            const { startTime, endTime } = formatEventTimes(event);
+            return `
+                <div class="planning-event">
+                    <span class="planning-event-time">${startTime}${endTime ? ` – ${endTime}` : ''}</span>
+                    <span>${escapeHtml(event.summary || '(No title)')}</span>
+                </div>
+            `;
+        }).join('');
+
+        return `
+            <div class="planning-step-label">Today's calendar</div>
+            <div class="series-stats">
+                <div class="series-stat"><span class="series-stat-number">${timed.length}</span><span class="series-stat-label">Meetings</span></div>
+                <div class="series-stat"><span class="series-stat-number">${formatDuration(busyMinutes)}</span><span class="series-stat-label">Booked</span></div>
+                <div class="series-stat"><span class="series-stat-number">${formatDuration(estimated)}</span><span class="series-stat-label">Task estimates</span></div>
+            </div>
+            ${calendarEvents.length || sessionStorage.getItem('googleAccessToken')
+                ? (eventList || '<div class="task-detail-empty">No events today</div>')
+                : '<div class="task-detail-empty">Connect your calendar to see today\'s meetings</div>'}
+        `;
+    };
+
+    const renderTopTasks = () => {
+        const todayTasks = Object.keys(tasks).flatMap(type => getTodayTasks(type)).filter(task => !task.completed);
+        if (!starred) starred = new Set(todayTasks.filter(task => task.todayPriority).map(task => task.id));
+
+        return `
+            <div class="planning-step-label">Star your top ${PLANNING_TOP_TASKS} for today</div>
+            ${todayTasks.length === 0 ? '<div class="task-detail-empty">Nothing planned for today yet</div>' : todayTasks.map(task => `
+                <div class="planning-top-task ${starred.has(task.id) ? 'starred' : ''}" data-task-id="${task.id}">
+                    <span class="planning-star">${starred.has(task.id) ? '★' : '☆'}</span>
+                    <span class="planning-top-task-title">${escapeHtml(task.title)}</span>
+                    <span class="planning-task-meta">${escapeHtml(getCategoryLabel(task.type))}</span>
+                </div>
+            `).join('')}
+        `;
+    };
+
+    const render = () => {
+        const body = step === 'triage' ? renderTriage() : step === 'calendar' ? renderCalendarLoad() : renderTopTasks();
+        const nextLabel = step === 'top' ? 'Start the day' : 'Next';
+
+        overlay.innerHTML = `
+            <div class="add-task-popup planning-flow">
+                <div class="add-task-popup-header">
+                    <h3>☀️ Plan your day</h3>
+                    <button class="add-task-popup-close">&times;</button>
+                </div>
+                <div class="add-task-popup-body">${body}</div>
+                <div class="add-task-popup-footer">
+                    <button class="add-task-popup-cancel">${step === 'triage' ? 'Skip for now' : 'Close'}</button>
+                    ${step === 'triage' ? '' : `<button class="add-task-popup-save planning-next">${nextLabel}</button>`}
+                </div>
+            </div>
+        `;
+
+        overlay.querySelector('.add-task-popup-close').addEventListener('click', closeFlow);
+        overlay.querySelector('.add-task-popup-cancel').addEventListener('click', () => {
+            if (step === 'triage') {
+                step = 'calendar';
+                render();
+            } else {
+                closeFlow();
+            }
+        });
+        overlay.querySelector('.planning-next')?.addEventListener('click', next);
+
+        if (step === 'triage') bindTriage();
+        if (step === 'top') bindTopTasks();
+    };
+
+    const nextTriageTask = () => {
+        triageIndex++;
+        if (triageIndex >= overdue.length) step = 'calendar';
+        render();
+    };
+
+    const bindTriage = () => {
+        const task = overdue[triageIndex];
+        const reschedule = overlay.querySelector('.planning-reschedule');
+        const dateInput = overlay.querySelector('.planning-date');
+
+        overlay.querySelectorAll('[data-choice]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const choice = btn.dataset.choice;
+                if (choice === 'reschedule') {
+                    reschedule.hidden = false;
+                    dateInput.focus();
+                    return;
+                }
+
+                if (choice === 'today') {
+                    await applyPlanningChange(task, { dueDate: toLocalDateString(new Date()), category: 'today' });
+                } else if (choice === 'backburner') {
+                    await applyPlanningChange(task, getMoveUpdates('backburner'));
+                } else if (choice === 'delete') {
+                    await deleteTask(task.id);
+                }
+                nextTriageTask();
+            });
+        });
+
+        overlay.querySelectorAll('.planning-reschedule .add-task-popup-quick-date').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const date = new Date();
+                date.setDate(date.getDate() + parseInt(btn.dataset.days));
+                dateInput.value = toLocalDateString(date);
+            });
+        });
+
+        overlay.querySelector('.planning-reschedule-save').addEventListener('click', async () => {
+            if (!dateInput.value) return;
+            await applyPlanningChange(task, { dueDate: dateInput.value });
+            nextTriageTask();
+        });
+    };
+
+    const bindTopTasks = () => {
+        overlay.querySelectorAll('.planning-top-task').forEach(row => {
+            row.addEventListener('click', () => {
+                const taskId = row.dataset.taskId;
+                if (starred.has(taskId)) {
+                    starred.delete(taskId);
+                } else if (starred.size >= PLANNING_TOP_TASKS) {
+                    showToast(`Pick at most ${PLANNING_TOP_TASKS} top tasks`);
+                    return;
+                } else {
+                    starred.add(taskId);
+                }
+                render();
+            });
+        });
+    };
+
+    // Save the stars and put the card away for today
+    const finish = async () => {
+        const changes = Object.keys(tasks).flatMap(type => getTodayTasks(type))
+            .filter(task => !task.completed && !!task.todayPriority !== starred.has(task.id))
+            .map(task => taskChange(task, { todayPriority: starred.has(task.id) }));
+
+        closeFlow();
+        if (changes.length) await applyBulkChanges('plan day', changes);
+        await dismissGreeting();
+        showToast('Day planned. Have a good one! ☀️', changes.length ? undoToastAction() : null);
+    };
+
+    function next() {
+        if (step === 'calendar') {
+            step = 'top';
+            render();
+        } else if (step === 'top') {
+            finish();
+        }
+    }
+
+    render();
+}
@@ -57,10 +57,14 @@ function loadPriorities() {
             // Load priorities for each category
             loadPrioritiesForCategories();
             renderPriorities();
+
+            // Each category is also a task list
+            syncTaskCategories();
         }, error => {
             console.error('Error loading categories:', error);
             categories = ['work', 'personal'];
             loadPrioritiesForCategories();
+            syncTaskCategories();
         });
 }
 
@@ -129,13 +133,28 @@ async function updatePriority(type, priorityId, newTitle) {
 
 // Delete a priority
 async function deletePriority(type, priorityId) {
-    priorities[type] = priorities[type].filter(p => p.id !== priorityId);
+    let trashId = null;
 
-    // Re-order remaining priorities
-    priorities[type].forEach((p, i) => p.order = i);
+    // Moves the priority to the trash, remembering its position
+    const removePriority = async () => {
+        const index = priorities[type].findIndex(p => p.id === priorityId);
+        if (index === -1) return;
+        const priority = priorities[type][index];
 
-    await savePriorities(type);
-    showToast('Priority removed');
+        priorities[type] = priorities[type].filter(p => p.id !== priorityId);
+
+        // Re-order remaining priorities
+        priorities[type].forEach((p, i) => p.order = i);
+
+        await savePriorities(type);
+        trashId = await trashPriority(type, { ...priority }, index);
+    };
+
+    await removePriority();
+
+    recordOperation('delete priority', () => restoreTrashEntry(trashId), removePriority);
+
+    showToast('Priority moved to Trash', undoToastAction());
 }
 
 // Complete/close a priority (records it for analytics, then removes it)
@@ -143,6 +162,19 @@ async function completePriority(type, priorityId) {
     const priority = (priorities[type] || []).find(p => p.id === priorityId);
     if (!priority) return;
 
+    // Linked tasks that are still open get completed or unlinked along with the priority
+    const openTaskIds = getLinkedTasks(type, priorityId).filter(t => !t.completed).map(t => t.id);
+    if (openTaskIds.length > 0) {
+        const taskAction = await choosePriorityTaskAction(priority, openTaskIds.length);
+        if (!taskAction) return;
+
+        if (taskAction === 'complete') {
+            await bulkCompleteTasks(openTaskIds);
+        } else {
+            await bulkSetPriority(openTaskIds, null);
+        }
+    }
+
     const userDoc = getUserDoc();
 
     // Record in completedPriorities collection
@@ -182,7 +214,11 @@ async function addNewCategory() {
     const name = prompt('Enter category name:');
     if (!name || !name.trim()) return;
 
-    const categoryId = name.trim().toLowerCase().replace(/\s+/g, '-');
+    // The id is also used in element ids (`${id}View`), so keep it simple and clear of built-in views
+    let categoryId = name.trim().toLowerCase().replace(/\s+/g, '-').replace(/[^a-z0-9-]/g, '');
+    if (!categoryId || ['dashboard', 'priorities', 'analytics', 'week', 'snoozed', 'archive', 'trash'].includes(categoryId)) {
+        categoryId = 'list-' + generateId();
+    }
 
     if (categories.includes(categoryId)) {
         showToast('Category already exists');
@@ -218,21 +254,36 @@ async function addNewCategory() {
 // Delete a category
 async function deleteCategory(categoryId) {
     const label = getCategoryLabel(categoryId);
-    if (!confirm(`Delete category "${label}" and all its priorities?`)) return;
-
-    categories = categories.filter(c => c !== categoryId);
-    delete priorities[categoryId];
-    delete categorySettings[categoryId];
+    if (!confirm(`Move category "${label}" and all its priorities to Trash? Its tasks are hidden until the category is restored.`)) return;
 
     const userDoc = getUserDoc();
-    await userDoc.collection('settings').doc('categories').set({
-        list: categories,
-        settings: categorySettings
-    }, { merge: true });
+    let trashId = null;
+
+    // Moves the category, its settings and priorities to the trash
+    const removeCategory = async () => {
+        const index = categories.indexOf(categoryId);
+        if (index === -1) return;
+        const settings = categorySettings[categoryId] ? { ...categorySettings[categoryId] } : null;
+        const items = (priorities[categoryId] || []).map(p => ({ ...p }));
+
+        categories = categories.filter(c => c !== categoryId);
+        delete priorities[categoryId];
+        delete categorySettings[categoryId];
+
+        await userDoc.collection('settings').doc('categories').set({
+            list: categories,
+            settings: categorySettings
+        }, { merge: true });
+
+        await userDoc.collection('priorities').doc(categoryId).delete();
+        trashId = await trashCategory(categoryId, settings, items, index);
+    };
 
-    await userDoc.collection('priorities').doc(categoryId).delete();
+    await removeCategory();
 
-    showToast('Category deleted');
+    recordOperation('delete category', () => restoreTrashEntry(trashId), removeCategory);
+
+    showToast('Category moved to Trash', undoToastAction());
 }
 
 // Edit category label
@@ -357,7 +408,7 @@ function renderPrioritiesManager() {
                     ${catPriorities.map((p, i) => `
                         <div class="priority-item" data-priority-id="${p.id}" data-category="${cat}" draggable="true">
                             <span class="priority-item-num ${color}">${i + 1}</span>
-                            <span class="priority-item-title">${escapeHtml(p.title)}</span>
+                            <span class="priority-item-title" title="Show linked tasks">${escapeHtml(p.title)}</span>
                             <div class="priority-item-actions">
                                 <button onclick="editPriorityInManager('${cat}', '${p.id}')" title="Edit">\u270f\ufe0f</button>
                                 <button class="complete" onclick="completePriority('${cat}', '${p.id}')" title="Mark Complete">\u2705</button>
@@ -373,6 +424,15 @@ function renderPrioritiesManager() {
 
     container.innerHTML = html;
 
+    // Clicking a title opens the priority's tasks (not while it is being renamed)
+    container.querySelectorAll('.priority-item-title').forEach(title => {
+        title.addEventListener('click', () => {
+            if (title.querySelector('input')) return;
+            const item = title.closest('.priority-item');
+            showPriorityDetail(item.dataset.category, item.dataset.priorityId);
+        });
+    });
+
     // Initialize drag and drop for priorities
     initPriorityDragAndDrop();
 }
@@ -565,9 +625,19 @@ function renderPriorityList(container, priorityList, type) {
         <div class="priority-chip add" data-type="${type}">+</div>
     `;
 
-    // Add event listeners for editing
+    // Click opens the priority's tasks, double-click renames it
     container.querySelectorAll('.priority-chip:not(.add)').forEach(chip => {
-        chip.addEventListener('click', () => startEditingPriority(chip));
+        // Wait briefly so the second click of a double-click doesn't open the panel
+        let clickTimer = null;
+        chip.addEventListener('click', () => {
+            if (chip.classList.contains('editing')) return;
+            clearTimeout(clickTimer);
+            clickTimer = setTimeout(() => showPriorityDetail(type, chip.dataset.priorityId), 250);
+        });
+        chip.addEventListener('dblclick', () => {
+            clearTimeout(clickTimer);
+            startEditingPriority(chip);
+        });
         chip.addEventListener('contextmenu', (e) => {
             e.preventDefault();
             showPriorityContextMenu(chip, e);
@@ -608,7 +678,7 @@ function startEditingPriority(chip) {
             await updatePriority(type, priorityId, newTitle);
         } else if (!newTitle) {
             // Empty title - delete the priority
-            if (confirm('Delete this priority?')) {
+            if (confirm('Move this priority to Trash?')) {
                 await deletePriority(type, priorityId);
             }
         }
@@ -677,6 +747,7 @@ function showPriorityContextMenu(chip, event) {
     menu.style.left = event.clientX + 'px';
     menu.style.top = event.clientY + 'px';
     menu.innerHTML = `
+        <div class="dropdown-item" data-action="open">\ud83c\udfaf Open Tasks</div>
         <div class="dropdown-item" data-action="edit">\u270f\ufe0f Edit</div>
         <div class="dropdown-item" data-action="complete">\u2705 Mark Complete</div>
         <div class="dropdown-divider"></div>
@@ -685,6 +756,11 @@ function showPriorityContextMenu(chip, event) {
 
     document.body.appendChild(menu);
 
+    menu.querySelector('[data-action="open"]').addEventListener('click', () => {
+        menu.remove();
+        showPriorityDetail(type, priorityId);
+    });
+
     menu.querySelector('[data-action="edit"]').addEventListener('click', () => {
         menu.remove();
         startEditingPriority(chip);
@@ -697,7 +773,7 @@ function showPriorityContextMenu(chip, event) {
 
     menu.querySelector('[data-action="delete"]').addEventListener('click', async () => {
         menu.remove();
-        if (confirm('Delete this priority?')) {
+        if (confirm('Move this priority to Trash?')) {
             await deletePriority(type, priorityId);
         }
     });
@@ -731,7 +807,7 @@ function renderMobilePriorities() {
                     ${catPriorities.length === 0
                         ? '<div class="mobile-priority-empty">No priorities yet</div>'
                         : catPriorities.map((p, i) => `
-                            <div class="mobile-priority-item-full">
+                            <div class="mobile-priority-item-full" onclick="showPriorityDetail('${cat}', '${p.id}')">
                                 <span class="mobile-priority-num ${color}">${i + 1}</span>
                                 <span>${escapeHtml(p.title)}</span>
                             </div>
@@ -0,0 +1,217 @@
+// Priority detail module
+// Tasks link to a priority of their own category through `priorityId`. The detail panel lists
+// the linked tasks and shows how far along the priority is.
+
+// Find a priority in a category
+function findPriority(type, priorityId) {
+    return (priorities[type] || []).find(p => p.id === priorityId) || null;
+}
+
+// Tasks (open and completed) linked to a priority
+function getLinkedTasks(type, priorityId) {
+    return (tasks[type] || []).filter(task => task.priorityId === priorityId);
+}
+
+// Completed vs linked task counts for a priority (archived completions included)
+function getPriorityProgress(type, priorityId) {
+    const linked = getLinkedTasks(type, priorityId);
+    const archived = Math.max(0, archivedPriorityCounts[priorityId] || 0);
+    const done = linked.filter(task => task.completed).length + archived;
+    const total = linked.length + archived;
+    return {
+        done,
+        total,
+        archived,
+        percent: total ? Math.round((done / total) * 100) : 0
+    };
+}
+
+// <option>s for a priority picker, for the priorities of one category
+function createPriorityOptionsHTML(type, selectedId) {
+    const options = [...(priorities[type] || [])].sort((a, b) => a.order - b.order);
+    return `
+        <option value="">None</option>
+        ${options.map(p => `
+            <option value="${p.id}" ${p.id === selectedId ? 'selected' : ''}>${escapeHtml(p.title)}</option>
+        `).join('')}
+    `;
+}
+
+// Row in the detail panel's task lists
+function createLinkedTaskHTML(task) {
+    const due = task.dueDate ? `<span class="priority-detail-task-due">${formatDate(task.dueDate)}</span>` : '';
+    return `
+        <div class="priority-detail-task ${task.completed ? 'completed' : ''}" data-task-id="${task.id}">
+            <div class="task-checkbox ${task.completed ? 'checked' : ''}"></div>
+            <span class="priority-detail-task-title">${escapeHtml(task.title)}</span>
+            ${due}
+            <button class="subtask-delete-btn" data-unlink="${task.id}" title="Unlink from priority">✕</button>
+        </div>
+    `;
+}
+
+// Panel with a priority's linked tasks and progress
+function showPriorityDetail(type, priorityId) {
+    if (!findPriority(type, priorityId)) return;
+
+    document.querySelectorAll('.priority-detail-overlay').forEach(p => p.remove());
+
+    const overlay = document.createElement('div');
+    overlay.className = 'add-task-popup-overlay priority-detail-overlay';
+    document.body.appendChild(overlay);
+
+    const closePanel = () => overlay.remove();
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closePanel();
+    });
+
+    const render = () => {
+        const priority = findPriority(type, priorityId);
+        if (!priority) {
+            closePanel();
+            return;
+        }
+
+        const color = getCategoryColor(type);
+        const linked = getLinkedTasks(type, priorityId);
+        const open = linked.filter(task => !task.completed).sort(compareTaskRank);
+        const completed = linked.filter(task => task.completed).sort((a, b) => {
+            const timeA = a.completedAt?.toMillis ? a.completedAt.toMillis() : 0;
+            const timeB = b.completedAt?.toMillis ? b.completedAt.toMillis() : 0;
+            return timeB - timeA;
+        });
+        const progress = getPriorityProgress(type, priorityId);
+        const unlinked = (tasks[type] || [])
+            .filter(task => !task.completed && task.priorityId !== priorityId)
+            .sort((a, b) => a.title.localeCompare(b.title));
+
+        overlay.innerHTML = `
+            <div class="add-task-popup priority-detail">
+                <div class="add-task-popup-header">
+                    <h3>🎯 ${escapeHtml(priority.title)}</h3>
+                    <button class="add-task-popup-close">&times;</button>
+                </div>
+                <div class="add-task-popup-body">
+                    <div class="priority-detail-category"><span class="category-dot ${color}"></span>${escapeHtml(getCategoryLabel(type))}</div>
+
+                    <div class="priority-progress">
+                        <div class="priority-progress-bar ${color}" style="width: ${progress.percent}%"></div>
+                    </div>
+                    <div class="priority-progress-label">
+                        ${progress.total
+                            ? `${progress.done} of ${progress.total} task${progress.total === 1 ? '' : 's'} done · ${progress.percent}%`
+                            : 'No tasks linked yet'}
+                    </div>
+
+                    <div class="add-task-popup-row">
+                        <label>Open (${open.length})</label>
+                        ${open.length === 0
+                            ? '<div class="task-detail-empty">Nothing left to do</div>'
+                            : open.map(createLinkedTaskHTML).join('')}
+                    </div>
+
+                    <div class="add-task-popup-row">
+                        <label>Completed (${completed.length + progress.archived})</label>
+                        ${completed.length === 0 && !progress.archived
+                            ? '<div class="task-detail-empty">No tasks completed yet</div>'
+                            : completed.map(createLinkedTaskHTML).join('')}
+                        ${progress.archived ? `<div class="task-detail-empty">+ ${progress.archived} older in Completed</div>` : ''}
+                    </div>
+
+                    <div class="add-task-popup-row">
+                        <label>Link a Task</label>
+                        <select class="add-task-popup-date priority-detail-link">
+                            <option value="">Choose a ${escapeHtml(getCategoryLabel(type).toLowerCase())} task…</option>
+                            ${unlinked.map(task => `
+                                <option value="${task.id}">${escapeHtml(task.title)}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                </div>
+                <div class="add-task-popup-footer">
+                    <button class="add-task-popup-cancel">Close</button>
+                    <button class="add-task-popup-save priority-detail-complete">✅ Complete Priority</button>
+                </div>
+            </div>
+        `;
+
+        overlay.querySelector('.add-task-popup-close').addEventListener('click', closePanel);
+        overlay.querySelector('.add-task-popup-cancel').addEventListener('click', closePanel);
+
+        overlay.querySelectorAll('.priority-detail-task .task-checkbox').forEach(checkbox => {
+            checkbox.addEventListener('click', async () => {
+                const taskId = checkbox.closest('.priority-detail-task').dataset.taskId;
+                if (await completeTask(taskId, type)) triggerCelebration();
+                render();
+            });
+        });
+
+        overlay.querySelectorAll('.priority-detail-task-title').forEach(title => {
+            title.addEventListener('click', () => {
+                closePanel();
+                openTaskDetail(title.closest('.priority-detail-task').dataset.taskId);
+            });
+        });
+
+        overlay.querySelectorAll('[data-unlink]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                await bulkSetPriority([btn.dataset.unlink], null);
+                render();
+            });
+        });
+
+        overlay.querySelector('.priority-detail-link').addEventListener('change', async (e) => {
+            if (!e.target.value) return;
+            await bulkSetPriority([e.target.value], priorityId);
+            render();
+        });
+
+        overlay.querySelector('.priority-detail-complete').addEventListener('click', async () => {
+            closePanel();
+            await completePriority(type, priorityId);
+        });
+    };
+
+    render();
+}
+
+// Ask what to do with open tasks when their priority is completed: 'complete', 'unlink' or null (cancel)
+function choosePriorityTaskAction(priority, openCount) {
+    return new Promise(resolve => {
+        const overlay = document.createElement('div');
+        overlay.className = 'add-task-popup-overlay';
+        overlay.innerHTML = `
+            <div class="add-task-popup priority-complete-dialog">
+                <div class="add-task-popup-header">
+                    <h3>Complete "${escapeHtml(priority.title)}"</h3>
+                    <button class="add-task-popup-close">&times;</button>
+                </div>
+                <div class="add-task-popup-body">
+                    <p>${openCount} linked task${openCount === 1 ? ' is' : 's are'} still open. What should happen to ${openCount === 1 ? 'it' : 'them'}?</p>
+                    <div class="add-task-popup-options">
+                        <button class="add-task-popup-option" data-choice="complete">✓ Complete ${openCount === 1 ? 'it' : 'them'}</button>
+                        <button class="add-task-popup-option" data-choice="unlink">Unlink ${openCount === 1 ? 'it' : 'them'}</button>
+                    </div>
+                </div>
+                <div class="add-task-popup-footer">
+                    <button class="add-task-popup-cancel">Cancel</button>
+                </div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+
+        const close = (choice) => {
+            overlay.remove();
+            resolve(choice);
+        };
+
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) close(null);
+        });
+        overlay.querySelector('.add-task-popup-close').addEventListener('click', () => close(null));
+        overlay.querySelector('.add-task-popup-cancel').addEventListener('click', () => close(null));
+        overlay.querySelectorAll('[data-choice]').forEach(btn => {
+            btn.addEventListener('click', () => close(btn.dataset.choice));
+        });
+    });
+}
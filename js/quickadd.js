@@ -0,0 +1,265 @@
+// Natural-language quick add module
+// Parses input like "Send invoice friday every month #work #billing !" into task fields
+
+const QUICK_ADD_WEEKDAYS = {
+    sunday: 0, sun: 0,
+    monday: 1, mon: 1,
+    tuesday: 2, tue: 2, tues: 2,
+    wednesday: 3, wed: 3,
+    thursday: 4, thu: 4, thur: 4, thurs: 4,
+    friday: 5, fri: 5,
+    saturday: 6, sat: 6
+};
+
+const QUICK_ADD_MONTHS = {
+    jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4,
+    may: 5, jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8,
+    sep: 9, sept: 9, september: 9, oct: 10, october: 10, nov: 11, november: 11, dec: 12, december: 12
+};
+
+const QUICK_ADD_ORDINALS = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4, last: -1 };
+const QUICK_ADD_NUMBERS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+const QUICK_ADD_CATEGORIES = {
+    today: 'today',
+    thisweek: 'thisWeek', 'this-week': 'thisWeek',
+    nextweek: 'nextWeek', 'next-week': 'nextWeek',
+    backburner: 'backburner', someday: 'backburner'
+};
+
+// Regex fragments
+const QA_WEEKDAY = '(?:sunday|monday|tuesday|wednesday|thursday|friday|saturday|sun|mon|tues?|wed|thu(?:rs?)?|fri|sat)';
+const QA_WEEKDAY_SAFE = '(?:sunday|monday|tuesday|wednesday|thursday|friday|saturday|mon|tues?|wed|thu(?:rs?)?|fri)';
+const QA_MONTH = '(?:january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|jun|jul|aug|sept?|oct|nov|dec)';
+const QA_ORDINAL = '(?:1st|2nd|3rd|4th|first|second|third|fourth|last)';
+const QA_UNIT = '(day|week|month|year)s?';
+const QA_COUNT = '(\\d+|an?|one|two|three|four|five|six|seven|eight|nine|ten)';
+
+// Add days to a date, returning a new date
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setDate(result.getDate() + days);
+    return result;
+}
+
+// Next date falling on `weekday`, optionally including today
+function nextWeekday(today, weekday, includeToday = true) {
+    let diff = (weekday - today.getDay() + 7) % 7;
+    if (diff === 0 && !includeToday) diff = 7;
+    return addDays(today, diff);
+}
+
+// Shift a date by N units
+function addUnits(date, count, unit) {
+    const result = new Date(date);
+    if (unit === 'day') result.setDate(result.getDate() + count);
+    if (unit === 'week') result.setDate(result.getDate() + count * 7);
+    if (unit === 'month') result.setMonth(result.getMonth() + count);
+    if (unit === 'year') result.setFullYear(result.getFullYear() + count);
+    return result;
+}
+
+// Build a date for month/day, rolling to next year if it already passed
+function resolveMonthDay(today, month, day, year = null) {
+    let date = new Date(year || today.getFullYear(), month - 1, day);
+    if (!year && date < today) {
+        date = new Date(today.getFullYear() + 1, month - 1, day);
+    }
+    return date;
+}
+
+// Whether a month and day name a real date (Feb 29 counts unless the year rules it out)
+function isValidMonthDay(month, day, year = 2000) {
+    return month >= 1 && month <= 12 && day >= 1 && day <= new Date(year, month, 0).getDate();
+}
+
+// Date for a "m/d" or "m/d/yy" match, or null when it isn't a real date
+function resolveSlashDate(m, today) {
+    const month = parseInt(m[1]);
+    const day = parseInt(m[2]);
+    const year = m[3] ? (m[3].length === 2 ? 2000 + parseInt(m[3]) : parseInt(m[3])) : null;
+    return isValidMonthDay(month, day, year || 2000) ? resolveMonthDay(today, month, day, year) : null;
+}
+
+// Whether a bare "m/d" reads as a common fraction ("1/2", "3/4") rather than a date
+function isFractionLike(m) {
+    return !m[3] && parseInt(m[1]) < parseInt(m[2]) && parseInt(m[2]) <= 4;
+}
+
+// The given weekday in the week after this one (weeks start on the planner's week start)
+function nextWeekWeekday(today, weekday) {
+    const startOfNextWeek = addDays(getStartOfWeek(today), 7);
+    return addDays(startOfNextWeek, (weekday - getWeekStartDay() + 7) % 7);
+}
+
+function parseQuickAddCount(value) {
+    return QUICK_ADD_NUMBERS[value] || parseInt(value) || 1;
+}
+
+function rruleWeekday(name) {
+    return RRULE_WEEKDAYS[QUICK_ADD_WEEKDAYS[name]];
+}
+
+// Token rules, in order of precedence. Each resolves a regex match to a value.
+const quickAddRules = [
+    // Recurrence
+    { kind: 'recurrence', pattern: `every\\s+(${QA_ORDINAL})\\s+(${QA_WEEKDAY})(?:\\s+of\\s+(?:the\\s+)?month)?`,
+        resolve: m => `FREQ=MONTHLY;BYDAY=${QUICK_ADD_ORDINALS[m[1]]}${rruleWeekday(m[2])}` },
+    { kind: 'recurrence', pattern: `every\\s+(\\d+)\\s+${QA_UNIT}`,
+        resolve: m => serializeRecurrenceRule({ freq: { day: 'DAILY', week: 'WEEKLY', month: 'MONTHLY', year: 'YEARLY' }[m[2]], interval: parseInt(m[1]), byDay: [], byMonthDay: [], byMonth: [] }) },
+    { kind: 'recurrence', pattern: `every\\s+other\\s+(day|week|month|year)`,
+        resolve: m => serializeRecurrenceRule({ freq: { day: 'DAILY', week: 'WEEKLY', month: 'MONTHLY', year: 'YEARLY' }[m[1]], interval: 2, byDay: [], byMonthDay: [], byMonth: [] }) },
+    { kind: 'recurrence', pattern: `every\\s+(\\d{1,2})(?:st|nd|rd|th)`,
+        resolve: m => `FREQ=MONTHLY;BYMONTHDAY=${parseInt(m[1])}` },
+    { kind: 'recurrence', pattern: `every\\s+(${QA_WEEKDAY}(?:(?:\\s*,\\s*|\\s+and\\s+|\\s*&\\s*)${QA_WEEKDAY})*)`,
+        resolve: m => `FREQ=WEEKLY;BYDAY=${m[1].split(/\s*,\s*|\s+and\s+|\s*&\s*/).map(rruleWeekday).join(',')}` },
+    { kind: 'recurrence', pattern: 'every\\s+(day|weekday|week|month|year)|(daily|weekdays|weekly|monthly|yearly|annually)',
+        resolve: m => {
+            const word = m[1] || m[2];
+            const map = { day: 'daily', daily: 'daily', weekday: 'weekdays', weekdays: 'weekdays', week: 'weekly', weekly: 'weekly', month: 'monthly', monthly: 'monthly', year: 'yearly', yearly: 'yearly', annually: 'yearly' };
+            return normalizeRecurrence(map[word]);
+        } },
+
+    // Dates
+    { kind: 'date', pattern: `(?:due\\s+|by\\s+)?in\\s+${QA_COUNT}\\s+${QA_UNIT}`,
+        resolve: (m, today) => addUnits(today, parseQuickAddCount(m[1]), m[2]) },
+    { kind: 'date', pattern: `(?:due\\s+|by\\s+|on\\s+)?next\\s+(${QA_WEEKDAY})`,
+        resolve: (m, today) => nextWeekWeekday(today, QUICK_ADD_WEEKDAYS[m[1]]) },
+    { kind: 'date', pattern: 'next\\s+(week|month)',
+        resolve: (m, today) => m[1] === 'week'
+            ? addDays(getStartOfWeek(today), 7)
+            : new Date(today.getFullYear(), today.getMonth() + 1, 1) },
+    { kind: 'date', pattern: '(?:due\\s+|by\\s+)?(?:eow|end\\s+of\\s+(?:the\\s+)?week)',
+        resolve: (m, today) => today.getDay() <= 5 ? nextWeekday(today, 5) : nextWeekday(today, 0) },
+    { kind: 'date', pattern: '(?:due\\s+|by\\s+)?(?:eom|end\\s+of\\s+(?:the\\s+)?month)',
+        resolve: (m, today) => new Date(today.getFullYear(), today.getMonth() + 1, 0) },
+    { kind: 'date', pattern: '(?:due\\s+|by\\s+)?(today|tonight|tomorrow|tmrw?)',
+        resolve: (m, today) => ['today', 'tonight'].includes(m[1]) ? today : addDays(today, 1) },
+    { kind: 'date', pattern: `(?:due\\s+|by\\s+|on\\s+)?(${QA_MONTH})\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?`,
+        resolve: (m, today) => resolveMonthDay(today, QUICK_ADD_MONTHS[m[1]], parseInt(m[2]), m[3] ? parseInt(m[3]) : null) },
+    { kind: 'date', pattern: `(?:due\\s+|by\\s+|on\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(${QA_MONTH})`,
+        resolve: (m, today) => resolveMonthDay(today, QUICK_ADD_MONTHS[m[2]], parseInt(m[1])) },
+    { kind: 'date', pattern: '(?:due\\s+|by\\s+|on\\s+)?(\\d{4})-(\\d{2})-(\\d{2})',
+        resolve: m => new Date(parseInt(m[1]), parseInt(m[2]) - 1, parseInt(m[3])) },
+    { kind: 'date', pattern: '(?:due|by|on)\\s+(\\d{1,2})/(\\d{1,2})(?:/(\\d{2,4}))?',
+        resolve: resolveSlashDate },
+    // Without on/due/by, "1/2 of the report" and other fractions stay in the title
+    { kind: 'date', pattern: '(\\d{1,2})/(\\d{1,2})(?:/(\\d{2,4}))?(?!\\s+of(?:\\s|$))',
+        resolve: (m, today) => isFractionLike(m) ? null : resolveSlashDate(m, today) },
+    // Bare "sat"/"sun" are too ambiguous ("sun cream") unless prefixed
+    { kind: 'date', pattern: `(?:due\\s+|by\\s+|on\\s+)(${QA_WEEKDAY})|(${QA_WEEKDAY_SAFE})`,
+        resolve: (m, today) => nextWeekday(today, QUICK_ADD_WEEKDAYS[m[1] || m[2]]) },
+
+    // Task list, category and priority flag
+    { kind: 'type', pattern: '#([\\w-]+)',
+        resolve: m => categories.includes(m[1]) ? m[1] : undefined },
+    { kind: 'category', pattern: '@([\\w-]+)',
+        resolve: m => QUICK_ADD_CATEGORIES[m[1]] },
+    { kind: 'priority', pattern: '!{1,3}',
+        resolve: () => true }
+];
+
+// Parse quick add text into task fields and the tokens that produced them
+function parseQuickAdd(text, now = new Date()) {
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+
+    const result = {
+        title: text.trim(),
+        dueDate: null,
+        recurring: null,
+        type: null,
+        category: null,
+        todayPriority: false,
+        tags: [],
+        tokens: []
+    };
+
+    const overlaps = (start, end) => result.tokens.some(t => start < t.end && end > t.start);
+    const lower = text.toLowerCase();
+
+    quickAddRules.forEach(rule => {
+        if (result.tokens.some(t => t.kind === rule.kind)) return;
+
+        const regex = new RegExp(`(^|\\s)(?:${rule.pattern})(?=$|\\s|[,.;:?])`, 'g');
+        let match;
+        while ((match = regex.exec(lower)) !== null) {
+            const start = match.index + match[1].length;
+            const end = match.index + match[0].length;
+            if (overlaps(start, end)) continue;
+
+            // Drop the leading whitespace group so capture indexes line up with the rule pattern
+            const groups = [match[0].slice(match[1].length), ...match.slice(2)];
+            const value = rule.resolve(groups, today);
+            if (value === undefined || value === null) continue;
+
+            result.tokens.push({ kind: rule.kind, start, end, text: text.slice(start, end), value });
+            break;
+        }
+    });
+
+    // Any other #hashtags become tags
+    const tagRegex = /(^|\s)#([\w-]+)(?=$|\s|[,.;:?])/g;
+    let tagMatch;
+    while ((tagMatch = tagRegex.exec(lower)) !== null) {
+        const start = tagMatch.index + tagMatch[1].length;
+        const end = tagMatch.index + tagMatch[0].length;
+        if (overlaps(start, end)) continue;
+        result.tokens.push({ kind: 'tag', start, end, text: text.slice(start, end), value: normalizeTag(tagMatch[2]) });
+    }
+
+    result.tokens.sort((a, b) => a.start - b.start);
+
+    result.tokens.forEach(token => {
+        if (token.kind === 'recurrence') result.recurring = token.value;
+        if (token.kind === 'date') result.dueDate = toLocalDateString(token.value);
+        if (token.kind === 'type') result.type = token.value;
+        if (token.kind === 'category') result.category = token.value;
+        if (token.kind === 'priority') result.todayPriority = true;
+        if (token.kind === 'tag' && !result.tags.includes(token.value)) result.tags.push(token.value);
+    });
+
+    // A recurrence without an explicit date starts at its first occurrence from today
+    if (result.recurring && !result.dueDate) {
+        result.dueDate = getNextOccurrence(result.recurring, toLocalDateString(addDays(today, -1)), 1);
+    }
+
+    // Title is the input with every recognized token removed
+    let title = '';
+    let cursor = 0;
+    result.tokens.forEach(token => {
+        title += text.slice(cursor, token.start);
+        cursor = token.end;
+    });
+    title += text.slice(cursor);
+    result.title = title.replace(/\s+/g, ' ').trim();
+
+    return result;
+}
+
+// HTML for the input text with recognized tokens highlighted
+function highlightQuickAdd(text, parsed) {
+    let html = '';
+    let cursor = 0;
+
+    parsed.tokens.forEach(token => {
+        html += escapeHtml(text.slice(cursor, token.start));
+        html += `<mark class="quick-add-token ${token.kind}">${escapeHtml(token.text)}</mark>`;
+        cursor = token.end;
+    });
+    html += escapeHtml(text.slice(cursor));
+
+    return html;
+}
+
+// Short summary chips for the parsed fields
+function describeQuickAdd(parsed) {
+    const chips = [];
+    if (parsed.dueDate) chips.push(`<span class="quick-add-chip date">📅 ${formatDate(parsed.dueDate)}</span>`);
+    if (parsed.recurring) chips.push(`<span class="quick-add-chip recurrence">↻ ${escapeHtml(describeRecurrence(parsed.recurring))}</span>`);
+    if (parsed.type) chips.push(`<span class="quick-add-chip type">${escapeHtml(getCategoryLabel(parsed.type))}</span>`);
+    if (parsed.category) chips.push(`<span class="quick-add-chip category">${escapeHtml(formatCategory(parsed.category))}</span>`);
+    if (parsed.todayPriority) chips.push('<span class="quick-add-chip priority">★ Priority</span>');
+    parsed.tags.forEach(tag => chips.push(`<span class="quick-add-chip tag">#${escapeHtml(tag)}</span>`));
+    return chips.join('');
+}
@@ -0,0 +1,121 @@
+// Task ordering module
+// Tasks are ordered by `rank`, a base-36 string compared character by character. Moving a task
+// writes a rank between its new neighbours, so a reorder is a single write. Ranks are shared by
+// every section of a type, so a move inside a filtered section only needs the neighbours on
+// screen. When keys get too long (or older tasks have no rank yet) the whole list is re-spaced
+// in one batch.
+
+const RANK_DIGITS = '0123456789abcdefghijklmnopqrstuvwxyz';
+
+// Keys longer than this trigger a rebalance
+const RANK_MAX_LENGTH = 12;
+
+// Compare tasks by rank; tasks without one (created before ranks) fall back to the old `order`
+function compareTaskRank(a, b) {
+    const rankA = a.rank || '';
+    const rankB = b.rank || '';
+    if (rankA !== rankB) return rankA < rankB ? -1 : 1;
+    return (a.order || 0) - (b.order || 0);
+}
+
+// A key strictly between two keys ('' = start of the list, null = end of the list)
+function rankBetween(before, after) {
+    let rank = '';
+
+    for (let i = 0; ; i++) {
+        const low = i < before.length ? RANK_DIGITS.indexOf(before[i]) : 0;
+        const high = after !== null && i < after.length ? RANK_DIGITS.indexOf(after[i]) : RANK_DIGITS.length;
+
+        if (high - low > 1) {
+            // Never ends in '0', so there is always room before any key
+            return rank + RANK_DIGITS[Math.floor((low + high) / 2)];
+        }
+
+        rank += RANK_DIGITS[low];
+        // Once this digit is below the upper key's, later digits are unconstrained above
+        if (low < high) after = null;
+    }
+}
+
+// `count` evenly spaced keys
+function spreadRanks(count) {
+    let length = 1;
+    while (Math.pow(RANK_DIGITS.length, length) < (count + 1) * RANK_DIGITS.length) length++;
+
+    const space = Math.pow(RANK_DIGITS.length, length);
+    return Array.from({ length: count }, (_, i) => {
+        const value = Math.floor((i + 1) * space / (count + 1));
+        // Trailing zeros don't change the ordering
+        return value.toString(36).padStart(length, '0').replace(/0+$/, '');
+    });
+}
+
+// Re-space every task of a type in one batch, keeping the current order
+async function rebalanceTaskRanks(type) {
+    const sorted = [...tasks[type]].sort(compareTaskRank);
+    const ranks = spreadRanks(sorted.length);
+    const tasksRef = getUserDoc().collection('tasks');
+
+    // Update local copies too, so ranks computed right after this see the new keys
+    const writes = [];
+    sorted.forEach((task, i) => {
+        const rank = ranks[i];
+        if (task.rank === rank) return;
+        task.rank = rank;
+        writes.push(batch => batch.update(tasksRef.doc(task.id), { rank }));
+    });
+
+    if (writes.length === 0) return;
+
+    try {
+        await commitBatchedWrites(writes);
+    } catch (error) {
+        console.error('Error rebalancing task order:', error);
+    }
+}
+
+// Rank for a task dropped between two tasks of a type (either neighbour may be missing)
+async function getRankBetweenTasks(type, before, after) {
+    const needsRebalance = () => (before && !before.rank) || (after && !after.rank);
+    if (needsRebalance()) await rebalanceTaskRanks(type);
+
+    const low = before ? before.rank : '';
+    let high = after ? after.rank : null;
+
+    // Neighbours on screen can be out of rank order (e.g. starred tasks sort first);
+    // then land directly after the task above
+    if (high !== null && low >= high) {
+        high = tasks[type].map(t => t.rank).filter(rank => rank && rank > low).sort()[0] || null;
+    }
+
+    const rank = rankBetween(low, high);
+    if (rank.length <= RANK_MAX_LENGTH) return rank;
+
+    await rebalanceTaskRanks(type);
+    return getRankBetweenTasks(type, before, after);
+}
+
+// Rank that puts a new task at the top of its type's lists
+async function getTopRank(type) {
+    // Give older tasks ranks first, otherwise they would all sort above the new one
+    if ((tasks[type] || []).some(t => !t.rank)) await rebalanceTaskRanks(type);
+
+    const first = () => (tasks[type] || []).map(t => t.rank).filter(Boolean).sort()[0] || null;
+
+    let rank = rankBetween('', first());
+    if (rank.length > RANK_MAX_LENGTH) {
+        await rebalanceTaskRanks(type);
+        rank = rankBetween('', first());
+    }
+    return rank;
+}
+
+// Ranks that put `count` new tasks at the top of a type's lists, in the given order
+async function getTopRanks(type, count) {
+    if (count === 0) return [];
+
+    const ranks = [await getTopRank(type)];
+    const first = (tasks[type] || []).map(t => t.rank).filter(Boolean).sort()[0] || null;
+    while (ranks.length < count) ranks.push(rankBetween(ranks[ranks.length - 1], first));
+    return ranks;
+}
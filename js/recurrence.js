@@ -0,0 +1,502 @@
+// Recurrence rule module
+// Rules are stored on tasks as RFC 5545 RRULE strings (without the "RRULE:" prefix, which an
+// iCalendar line adds back), e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE" or "FREQ=MONTHLY;BYDAY=-1FR;COUNT=6"
+
+const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const WEEKDAY_SHORT_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTH_SHORT_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Legacy preset names (stored by older versions) mapped to their rule
+const RECURRENCE_PRESETS = {
+    daily: 'FREQ=DAILY',
+    weekdays: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+    weekly: 'FREQ=WEEKLY',
+    monthly: 'FREQ=MONTHLY',
+    yearly: 'FREQ=YEARLY'
+};
+
+// Safety limit when scanning forward for the next matching date
+const RECURRENCE_SEARCH_LIMIT = 1000;
+
+// Normalize a preset name or RRULE string to a bare RRULE string
+function normalizeRecurrence(pattern) {
+    if (!pattern) return null;
+    if (RECURRENCE_PRESETS[pattern]) return RECURRENCE_PRESETS[pattern];
+    return pattern.replace(/^RRULE:/i, '').trim().toUpperCase();
+}
+
+// Parse an RRULE string (or legacy preset) into a rule object
+function parseRecurrenceRule(pattern) {
+    const normalized = normalizeRecurrence(pattern);
+    if (!normalized) return null;
+
+    const rule = {
+        freq: 'DAILY',
+        interval: 1,
+        byDay: [],
+        byMonthDay: [],
+        byMonth: [],
+        count: null,
+        until: null
+    };
+
+    normalized.split(';').forEach(part => {
+        const [key, value] = part.split('=');
+        if (!value) return;
+
+        switch (key) {
+            case 'FREQ':
+                rule.freq = value;
+                break;
+            case 'INTERVAL':
+                rule.interval = Math.max(1, parseInt(value) || 1);
+                break;
+            case 'BYDAY':
+                rule.byDay = value.split(',').map(token => {
+                    const match = token.match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/);
+                    if (!match) return null;
+                    return {
+                        weekday: RRULE_WEEKDAYS.indexOf(match[2]),
+                        nth: match[1] ? parseInt(match[1]) : null
+                    };
+                }).filter(Boolean);
+                break;
+            case 'BYMONTHDAY':
+                rule.byMonthDay = value.split(',').map(Number).filter(n => n && n >= -31 && n <= 31);
+                break;
+            case 'BYMONTH':
+                rule.byMonth = value.split(',').map(Number).filter(n => n >= 1 && n <= 12);
+                break;
+            case 'COUNT':
+                rule.count = parseInt(value) || null;
+                break;
+            case 'UNTIL':
+                // Accept both YYYYMMDD and YYYYMMDDTHHMMSSZ forms
+                rule.until = `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+                break;
+        }
+    });
+
+    if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.freq)) {
+        rule.freq = 'DAILY';
+    }
+
+    return rule;
+}
+
+// Serialize a rule object back to an RRULE string
+function serializeRecurrenceRule(rule) {
+    const parts = [`FREQ=${rule.freq}`];
+
+    if (rule.interval && rule.interval > 1) {
+        parts.push(`INTERVAL=${rule.interval}`);
+    }
+    if (rule.byDay && rule.byDay.length) {
+        parts.push('BYDAY=' + rule.byDay.map(d => `${d.nth || ''}${RRULE_WEEKDAYS[d.weekday]}`).join(','));
+    }
+    if (rule.byMonthDay && rule.byMonthDay.length) {
+        parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+    }
+    if (rule.byMonth && rule.byMonth.length) {
+        parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+    }
+    if (rule.count) {
+        parts.push(`COUNT=${rule.count}`);
+    } else if (rule.until) {
+        parts.push(`UNTIL=${rule.until.replace(/-/g, '')}`);
+    }
+
+    return parts.join(';');
+}
+
+// Whole days between two local dates
+function daysBetween(a, b) {
+    return Math.round((b - a) / (24 * 60 * 60 * 1000));
+}
+
+// Sunday of the week containing date
+function startOfWeekSunday(date) {
+    const start = new Date(date);
+    start.setDate(start.getDate() - start.getDay());
+    start.setHours(0, 0, 0, 0);
+    return start;
+}
+
+function daysInMonth(year, month) {
+    return new Date(year, month + 1, 0).getDate();
+}
+
+// Dates in a given month that match the rule's BYDAY/BYMONTHDAY parts
+function getMonthCandidates(rule, year, month, anchorDay) {
+    const lastDay = daysInMonth(year, month);
+    const days = [];
+
+    if (rule.byDay.length) {
+        rule.byDay.forEach(({ weekday, nth }) => {
+            // All days in the month falling on this weekday
+            const matches = [];
+            for (let d = 1; d <= lastDay; d++) {
+                if (new Date(year, month, d).getDay() === weekday) matches.push(d);
+            }
+            if (nth === null) {
+                days.push(...matches);
+            } else {
+                const index = nth > 0 ? nth - 1 : matches.length + nth;
+                if (matches[index]) days.push(matches[index]);
+            }
+        });
+    } else if (rule.byMonthDay.length) {
+        rule.byMonthDay.forEach(day => {
+            const resolved = day > 0 ? day : lastDay + day + 1;
+            if (resolved >= 1 && resolved <= lastDay) days.push(resolved);
+        });
+    } else {
+        // Default to the anchor's day of month, clamped to the month length
+        days.push(Math.min(anchorDay, lastDay));
+    }
+
+    return [...new Set(days)].sort((a, b) => a - b).map(d => new Date(year, month, d));
+}
+
+// Find the first date strictly after `base` that satisfies the rule
+// (`anchorDay` is the day of month monthly and yearly rules without BYMONTHDAY fall on)
+function findNextMatch(rule, base, anchorDay = base.getDate()) {
+    const weekdaySet = rule.byDay.map(d => d.weekday);
+
+    if (rule.freq === 'DAILY') {
+        const date = new Date(base);
+        for (let i = 0; i < RECURRENCE_SEARCH_LIMIT; i++) {
+            date.setDate(date.getDate() + rule.interval);
+            if (!weekdaySet.length || weekdaySet.includes(date.getDay())) return date;
+        }
+        return null;
+    }
+
+    if (rule.freq === 'WEEKLY') {
+        if (!weekdaySet.length) {
+            const date = new Date(base);
+            date.setDate(date.getDate() + 7 * rule.interval);
+            return date;
+        }
+
+        // Walk forward day by day, only accepting weeks aligned to the interval
+        const anchorWeek = startOfWeekSunday(base);
+        const date = new Date(base);
+        for (let i = 0; i < RECURRENCE_SEARCH_LIMIT; i++) {
+            date.setDate(date.getDate() + 1);
+            const weekOffset = daysBetween(anchorWeek, startOfWeekSunday(date)) / 7;
+            if (weekOffset % rule.interval === 0 && weekdaySet.includes(date.getDay())) return date;
+        }
+        return null;
+    }
+
+    if (rule.freq === 'MONTHLY') {
+        for (let step = 0; step < RECURRENCE_SEARCH_LIMIT; step++) {
+            const monthIndex = base.getMonth() + step * rule.interval;
+            const year = base.getFullYear() + Math.floor(monthIndex / 12);
+            const month = monthIndex % 12;
+            if (rule.byMonth.length && !rule.byMonth.includes(month + 1)) continue;
+
+            const next = getMonthCandidates(rule, year, month, anchorDay).find(d => d > base);
+            if (next) return next;
+        }
+        return null;
+    }
+
+    if (rule.freq === 'YEARLY') {
+        const months = rule.byMonth.length ? rule.byMonth.map(m => m - 1) : [base.getMonth()];
+        for (let step = 0; step < RECURRENCE_SEARCH_LIMIT; step++) {
+            const year = base.getFullYear() + step * rule.interval;
+            for (const month of [...months].sort((a, b) => a - b)) {
+                const next = getMonthCandidates(rule, year, month, anchorDay).find(d => d > base);
+                if (next) return next;
+            }
+        }
+        return null;
+    }
+
+    return null;
+}
+
+// Day of month a recurring task's series is anchored to (its first due date's day)
+function getRecurrenceDay(task) {
+    if (task.recurrenceDay) return task.recurrenceDay;
+    return task.dueDate ? parseLocalDate(task.dueDate).getDate() : null;
+}
+
+// Calculate the next occurrence date for a rule.
+// `currentDate` is the YYYY-MM-DD date the series continues from and
+// `occurrenceIndex` is the 1-based number of the occurrence just completed.
+// `anchorDay` keeps monthly dates on the series' day (the 31st stays the 31st after February).
+// Returns a YYYY-MM-DD string, or null when the series has ended.
+function getNextOccurrence(pattern, currentDate, occurrenceIndex = 1, anchorDay = null) {
+    const rule = parseRecurrenceRule(pattern);
+    if (!rule) return null;
+
+    if (rule.count && occurrenceIndex >= rule.count) return null;
+
+    const base = currentDate ? parseLocalDate(currentDate) : new Date();
+    base.setHours(0, 0, 0, 0);
+
+    const next = findNextMatch(rule, base, anchorDay || base.getDate());
+    if (!next) return null;
+
+    const nextDate = toLocalDateString(next);
+    if (rule.until && nextDate > rule.until) return null;
+
+    return nextDate;
+}
+
+// Ordinal label for BYDAY positions
+function formatOrdinal(nth) {
+    if (nth === -1) return 'last';
+    if (nth < 0) return `${formatOrdinal(-nth)}-to-last`;
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const suffix = (nth % 100 >= 11 && nth % 100 <= 13) ? 'th' : (suffixes[nth % 10] || 'th');
+    return `${nth}${suffix}`;
+}
+
+// Human readable description of a rule, e.g. "every 2 weeks on Mon, Wed"
+function describeRecurrence(pattern) {
+    const rule = parseRecurrenceRule(pattern);
+    if (!rule) return '';
+
+    const normalized = normalizeRecurrence(pattern);
+    if (normalized === RECURRENCE_PRESETS.daily) return 'daily';
+    if (normalized === RECURRENCE_PRESETS.weekdays) return 'weekdays';
+    if (normalized === RECURRENCE_PRESETS.weekly) return 'weekly';
+    if (normalized === RECURRENCE_PRESETS.monthly) return 'monthly';
+    if (normalized === RECURRENCE_PRESETS.yearly) return 'yearly';
+
+    const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+    const unit = units[rule.freq];
+    let text = rule.interval > 1 ? `every ${rule.interval} ${unit}s` : `every ${unit}`;
+
+    const dayNames = rule.byDay.map(d => {
+        const name = WEEKDAY_SHORT_NAMES[d.weekday];
+        return d.nth ? `${formatOrdinal(d.nth)} ${name}` : name;
+    });
+
+    if (rule.freq === 'YEARLY' && rule.byMonth.length) {
+        const monthNames = rule.byMonth.map(m => MONTH_SHORT_NAMES[m - 1]).join(', ');
+        if (dayNames.length) {
+            text += ` on the ${dayNames.join(', ')} of ${monthNames}`;
+        } else if (rule.byMonthDay.length) {
+            text += ` on ${monthNames} ${rule.byMonthDay.join(', ')}`;
+        } else {
+            text += ` in ${monthNames}`;
+        }
+    } else if (dayNames.length) {
+        const hasNth = rule.byDay.some(d => d.nth);
+        text += hasNth ? ` on the ${dayNames.join(', ')}` : ` on ${dayNames.join(', ')}`;
+    } else if (rule.byMonthDay.length) {
+        const dayLabels = rule.byMonthDay.map(d => d === -1 ? 'last day' : formatOrdinal(d));
+        text += ` on the ${dayLabels.join(', ')}`;
+    }
+
+    if (rule.count) {
+        text += `, ${rule.count} times`;
+    } else if (rule.until) {
+        text += `, until ${formatDate(rule.until)}`;
+    }
+
+    return text;
+}
+
+// Show a popup for building a custom recurrence rule
+// Calls onSave with the RRULE string (or null when recurrence is cleared)
+function showRecurrenceEditor(initialPattern, onSave) {
+    document.querySelectorAll('.recurrence-editor-overlay').forEach(p => p.remove());
+
+    const rule = parseRecurrenceRule(initialPattern) || {
+        freq: 'WEEKLY', interval: 1, byDay: [], byMonthDay: [], byMonth: [], count: null, until: null
+    };
+    const today = new Date();
+    const monthlyNth = rule.byDay.find(d => d.nth);
+
+    const overlay = document.createElement('div');
+    overlay.className = 'add-task-popup-overlay recurrence-editor-overlay';
+    overlay.innerHTML = `
+        <div class="add-task-popup recurrence-editor">
+            <div class="add-task-popup-header">
+                <h3>Custom Recurrence</h3>
+                <button class="add-task-popup-close">&times;</button>
+            </div>
+            <div class="add-task-popup-body">
+                <div class="add-task-popup-row">
+                    <label>Repeat every</label>
+                    <div class="recurrence-editor-inline">
+                        <input type="number" min="1" class="recurrence-interval add-task-popup-date" value="${rule.interval}" />
+                        <select class="recurrence-freq add-task-popup-date">
+                            <option value="DAILY" ${rule.freq === 'DAILY' ? 'selected' : ''}>day(s)</option>
+                            <option value="WEEKLY" ${rule.freq === 'WEEKLY' ? 'selected' : ''}>week(s)</option>
+                            <option value="MONTHLY" ${rule.freq === 'MONTHLY' ? 'selected' : ''}>month(s)</option>
+                            <option value="YEARLY" ${rule.freq === 'YEARLY' ? 'selected' : ''}>year(s)</option>
+                        </select>
+                    </div>
+                </div>
+
+                <div class="add-task-popup-row recurrence-weekly-row">
+                    <label>On</label>
+                    <div class="add-task-popup-options">
+                        ${WEEKDAY_SHORT_NAMES.map((name, i) => `
+                            <button class="add-task-popup-option ${rule.byDay.some(d => d.weekday === i && !d.nth) ? 'active' : ''}" data-weekday="${i}">${name}</button>
+                        `).join('')}
+                    </div>
+                </div>
+
+                <div class="add-task-popup-row recurrence-monthly-row">
+                    <label>On</label>
+                    <div class="recurrence-editor-inline">
+                        <select class="recurrence-month-mode add-task-popup-date">
+                            <option value="day" ${!monthlyNth ? 'selected' : ''}>Day of month</option>
+                            <option value="nth" ${monthlyNth ? 'selected' : ''}>Weekday of month</option>
+                        </select>
+                        <input type="number" min="-1" max="31" class="recurrence-month-day add-task-popup-date"
+                               value="${rule.byMonthDay[0] || today.getDate()}" title="Use -1 for the last day" />
+                        <select class="recurrence-nth add-task-popup-date">
+                            ${[1, 2, 3, 4, -1].map(n => `
+                                <option value="${n}" ${monthlyNth && monthlyNth.nth === n ? 'selected' : ''}>${formatOrdinal(n)}</option>
+                            `).join('')}
+                        </select>
+                        <select class="recurrence-nth-weekday add-task-popup-date">
+                            ${WEEKDAY_SHORT_NAMES.map((name, i) => `
+                                <option value="${i}" ${(monthlyNth ? monthlyNth.weekday : today.getDay()) === i ? 'selected' : ''}>${name}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                </div>
+
+                <div class="add-task-popup-row recurrence-yearly-row">
+                    <label>In</label>
+                    <select class="recurrence-month add-task-popup-date">
+                        ${MONTH_SHORT_NAMES.map((name, i) => `
+                            <option value="${i + 1}" ${(rule.byMonth[0] || today.getMonth() + 1) === i + 1 ? 'selected' : ''}>${name}</option>
+                        `).join('')}
+                    </select>
+                </div>
+
+                <div class="add-task-popup-row">
+                    <label>Ends</label>
+                    <div class="add-task-popup-options">
+                        <button class="add-task-popup-option ${!rule.count && !rule.until ? 'active' : ''}" data-end="never">Never</button>
+                        <button class="add-task-popup-option ${rule.until ? 'active' : ''}" data-end="until">On date</button>
+                        <button class="add-task-popup-option ${rule.count ? 'active' : ''}" data-end="count">After</button>
+                    </div>
+                    <div class="recurrence-editor-inline recurrence-end-inputs">
+                        <input type="date" class="recurrence-until add-task-popup-date" value="${rule.until || ''}" />
+                        <input type="number" min="1" class="recurrence-count add-task-popup-date" value="${rule.count || 10}" />
+                        <span class="recurrence-count-label">occurrences</span>
+                    </div>
+                </div>
+
+                <div class="recurrence-summary"></div>
+            </div>
+            <div class="add-task-popup-footer">
+                <button class="add-task-popup-cancel">Cancel</button>
+                <button class="add-task-popup-save">Done</button>
+            </div>
+        </div>
+    `;
+
+    document.body.appendChild(overlay);
+
+    const popup = overlay.querySelector('.recurrence-editor');
+    const intervalInput = popup.querySelector('.recurrence-interval');
+    const freqSelect = popup.querySelector('.recurrence-freq');
+    const monthModeSelect = popup.querySelector('.recurrence-month-mode');
+    const monthDayInput = popup.querySelector('.recurrence-month-day');
+    const nthSelect = popup.querySelector('.recurrence-nth');
+    const nthWeekdaySelect = popup.querySelector('.recurrence-nth-weekday');
+    const monthSelect = popup.querySelector('.recurrence-month');
+    const untilInput = popup.querySelector('.recurrence-until');
+    const countInput = popup.querySelector('.recurrence-count');
+    let endMode = rule.count ? 'count' : (rule.until ? 'until' : 'never');
+
+    // Build the rule from the current form state
+    const buildRule = () => {
+        const built = {
+            freq: freqSelect.value,
+            interval: Math.max(1, parseInt(intervalInput.value) || 1),
+            byDay: [],
+            byMonthDay: [],
+            byMonth: [],
+            count: endMode === 'count' ? Math.max(1, parseInt(countInput.value) || 1) : null,
+            until: endMode === 'until' && untilInput.value ? untilInput.value : null
+        };
+
+        if (built.freq === 'WEEKLY') {
+            popup.querySelectorAll('[data-weekday].active').forEach(btn => {
+                built.byDay.push({ weekday: parseInt(btn.dataset.weekday), nth: null });
+            });
+        } else if (built.freq === 'MONTHLY' || built.freq === 'YEARLY') {
+            if (monthModeSelect.value === 'nth') {
+                built.byDay.push({ weekday: parseInt(nthWeekdaySelect.value), nth: parseInt(nthSelect.value) });
+            } else {
+                const day = parseInt(monthDayInput.value);
+                if (day) built.byMonthDay.push(day);
+            }
+            if (built.freq === 'YEARLY') {
+                built.byMonth.push(parseInt(monthSelect.value));
+            }
+        }
+
+        return built;
+    };
+
+    // Show only the inputs relevant to the chosen frequency
+    const updateVisibility = () => {
+        const freq = freqSelect.value;
+        popup.querySelector('.recurrence-weekly-row').style.display = freq === 'WEEKLY' ? '' : 'none';
+        popup.querySelector('.recurrence-monthly-row').style.display = freq === 'MONTHLY' || freq === 'YEARLY' ? '' : 'none';
+        popup.querySelector('.recurrence-yearly-row').style.display = freq === 'YEARLY' ? '' : 'none';
+
+        const nthMode = monthModeSelect.value === 'nth';
+        monthDayInput.style.display = nthMode ? 'none' : '';
+        nthSelect.style.display = nthMode ? '' : 'none';
+        nthWeekdaySelect.style.display = nthMode ? '' : 'none';
+
+        untilInput.style.display = endMode === 'until' ? '' : 'none';
+        countInput.style.display = endMode === 'count' ? '' : 'none';
+        popup.querySelector('.recurrence-count-label').style.display = endMode === 'count' ? '' : 'none';
+
+        popup.querySelector('.recurrence-summary').textContent = `Repeats ${describeRecurrence(serializeRecurrenceRule(buildRule()))}`;
+    };
+
+    popup.querySelectorAll('[data-weekday]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            btn.classList.toggle('active');
+            updateVisibility();
+        });
+    });
+
+    popup.querySelectorAll('[data-end]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            popup.querySelectorAll('[data-end]').forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            endMode = btn.dataset.end;
+            updateVisibility();
+        });
+    });
+
+    popup.querySelectorAll('input, select').forEach(input => {
+        input.addEventListener('change', updateVisibility);
+        input.addEventListener('input', updateVisibility);
+    });
+
+    updateVisibility();
+
+    const closePopup = () => overlay.remove();
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closePopup();
+    });
+    popup.querySelector('.add-task-popup-close').addEventListener('click', closePopup);
+    popup.querySelector('.add-task-popup-cancel').addEventListener('click', closePopup);
+
+    popup.querySelector('.add-task-popup-save').addEventListener('click', () => {
+        const pattern = serializeRecurrenceRule(buildRule());
+        closePopup();
+        onSave(pattern);
+    });
+}
@@ -0,0 +1,248 @@
+// Reminders module
+// Tasks can have a `dueTime` ("14:00") next to `dueDate` and a list of `reminders`
+// (ids from REMINDER_OPTIONS). Upcoming reminders are sent to the service worker (sw.js),
+// which shows them as notifications with snooze actions while a tab is open. They are also
+// mirrored to `pushReminders`, where a scheduled function (functions/index.js) sends them as
+// web pushes to this device, so they arrive when every tab is closed too.
+
+const REMINDER_OPTIONS = [
+    { id: 'atTime', label: 'At time', needsTime: true },
+    { id: 'before15', label: '15 min before', needsTime: true },
+    { id: 'morning', label: 'Morning of' }
+];
+
+// Hour used for "morning of" reminders
+const MORNING_REMINDER_HOUR = 9;
+
+// Reminders that were missed while the app was closed still fire if they are this recent
+const REMINDER_GRACE_PERIOD = 24 * 60 * 60 * 1000;
+
+// How often the open app nudges the worker (timers in workers can be cut short)
+const REMINDER_CHECK_INTERVAL = 60 * 1000;
+
+// Reminders waiting on the push server, by key (null until loaded)
+let pushReminders = null;
+let pushRemindersListener = null;
+
+// Task to open once tasks load (set when a notification opens the app)
+let reminderTaskToOpen = new URLSearchParams(window.location.search).get('task');
+
+// Format "14:00" as "2:00 PM"
+function formatTime12(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const date = new Date();
+    date.setHours(hours, minutes, 0, 0);
+    return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+}
+
+// When a reminder fires for a task, or null if it can't (no date, or no time for time-based ones)
+function getReminderTime(task, reminderId) {
+    const option = REMINDER_OPTIONS.find(o => o.id === reminderId);
+    if (!option || !task.dueDate || (option.needsTime && !task.dueTime)) return null;
+
+    const date = parseLocalDate(task.dueDate);
+    if (reminderId === 'morning') {
+        date.setHours(MORNING_REMINDER_HOUR, 0, 0, 0);
+        return date;
+    }
+
+    const [hours, minutes] = task.dueTime.split(':').map(Number);
+    date.setHours(hours, minutes, 0, 0);
+    if (reminderId === 'before15') date.setMinutes(date.getMinutes() - 15);
+    return date;
+}
+
+// Reminders for open tasks in the shape the service worker expects
+function getScheduledReminders() {
+    const cutoff = Date.now() - REMINDER_GRACE_PERIOD;
+
+    return Object.values(tasks).flat()
+        .filter(task => !task.completed && (task.reminders || []).length > 0)
+        .flatMap(task => task.reminders.map(reminderId => {
+            const time = getReminderTime(task, reminderId);
+            if (!time || time.getTime() < cutoff) return null;
+
+            const due = task.dueTime ? `${formatDate(task.dueDate)} at ${formatTime12(task.dueTime)}` : formatDate(task.dueDate);
+            return {
+                // The time is part of the key so moving the task re-arms its reminders
+                key: `${task.id}:${reminderId}:${time.getTime()}`,
+                taskId: task.id,
+                title: task.title,
+                body: `Due ${due}`,
+                at: time.getTime()
+            };
+        }))
+        .filter(Boolean);
+}
+
+// Register the reminder worker
+async function registerReminderWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    try {
+        await navigator.serviceWorker.register('sw.js');
+    } catch (error) {
+        console.error('Error registering reminder worker:', error);
+        return;
+    }
+
+    // Clicking a notification opens its task
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.type === 'open-task') openTaskDetail(event.data.taskId);
+    });
+
+    setInterval(() => postToReminderWorker({ type: 'check' }), REMINDER_CHECK_INTERVAL);
+}
+
+// Send a message to the active worker
+async function postToReminderWorker(message) {
+    if (!('serviceWorker' in navigator)) return;
+
+    const registration = await navigator.serviceWorker.ready;
+    registration.active?.postMessage(message);
+}
+
+// Send the current reminders to the worker (called whenever tasks change)
+function syncReminders() {
+    postToReminderWorker({ type: 'schedule', reminders: getScheduledReminders() });
+    syncPushReminders();
+
+    if (reminderTaskToOpen && findTask(reminderTaskToOpen)) {
+        openTaskDetail(reminderTaskToOpen);
+        reminderTaskToOpen = null;
+        window.history.replaceState(null, '', window.location.pathname);
+    }
+}
+
+// Listen for the reminders waiting on the push server, and register this device for pushes
+function loadPushReminders() {
+    if (pushRemindersListener) pushRemindersListener();
+    pushReminders = null;
+
+    pushRemindersListener = getUserDoc().collection('pushReminders')
+        .onSnapshot(snapshot => {
+            pushReminders = new Map(snapshot.docs.map(doc => [doc.id, doc.data()]));
+            syncPushReminders();
+        }, error => {
+            console.error('Error loading push reminders:', error);
+        });
+
+    registerPushToken();
+}
+
+// Save upcoming reminders for the push server and remove ones that no longer apply
+async function syncPushReminders() {
+    // A task list that hasn't loaded yet would look like its reminders were removed
+    if (!pushReminders || !categories.every(type => tasks[type])) return;
+
+    const now = Date.now();
+    const upcoming = getScheduledReminders().filter(reminder => reminder.at > now);
+    const keys = new Set(upcoming.map(reminder => reminder.key));
+    const collection = getUserDoc().collection('pushReminders');
+
+    const writes = [
+        ...upcoming
+            .filter(({ key, title, body }) => pushReminders.get(key)?.title !== title || pushReminders.get(key)?.body !== body)
+            .map(({ key, taskId, title, body, at }) => batch => batch.set(collection.doc(key), {
+                taskId,
+                title,
+                body,
+                at: firebase.firestore.Timestamp.fromMillis(at)
+            })),
+        ...[...pushReminders.keys()]
+            .filter(key => !keys.has(key))
+            .map(key => batch => batch.delete(collection.doc(key)))
+    ];
+    if (writes.length === 0) return;
+
+    try {
+        await commitBatchedWrites(writes);
+    } catch (error) {
+        console.error('Error saving push reminders:', error);
+    }
+}
+
+// Save this device's push token so the server can reach it (needs notification permission)
+async function registerPushToken() {
+    if (!('serviceWorker' in navigator) || !('Notification' in window) || Notification.permission !== 'granted') return;
+    if (!firebase.messaging || !firebase.messaging.isSupported() || CONFIG.FIREBASE_VAPID_KEY.includes('PLACEHOLDER')) return;
+
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        const token = await firebase.messaging().getToken({
+            vapidKey: CONFIG.FIREBASE_VAPID_KEY,
+            serviceWorkerRegistration: registration
+        });
+        if (!token) return;
+
+        await getUserDoc().collection('settings').doc('push').set({
+            tokens: firebase.firestore.FieldValue.arrayUnion(token)
+        }, { merge: true });
+    } catch (error) {
+        console.error('Error registering for reminder pushes:', error);
+    }
+}
+
+// Ask for notification permission the first time a reminder is set
+function requestReminderPermission(reminders) {
+    if (!reminders || reminders.length === 0 || !('Notification' in window)) return;
+
+    if (Notification.permission === 'default') {
+        Notification.requestPermission().then(permission => {
+            if (permission === 'granted') registerPushToken();
+        });
+    } else if (Notification.permission === 'denied') {
+        showToast('Notifications are blocked, so reminders can\'t be shown');
+    }
+}
+
+// Due time and reminder controls shared by the add popup and the date picker
+function createReminderFieldsHTML(dueTime, reminders) {
+    return `
+        <div class="reminder-fields">
+            <input type="time" class="reminder-time-input" value="${dueTime || ''}" />
+            <div class="reminder-options">
+                ${REMINDER_OPTIONS.map(option => `
+                    <button type="button" class="reminder-option ${(reminders || []).includes(option.id) ? 'active' : ''}" data-reminder="${option.id}">🔔 ${option.label}</button>
+                `).join('')}
+            </div>
+        </div>
+    `;
+}
+
+// Wire up reminder controls; returns a reader for the chosen time and reminders
+function initReminderFields(container) {
+    const timeInput = container.querySelector('.reminder-time-input');
+    const buttons = container.querySelectorAll('.reminder-option');
+
+    const updateAvailability = () => {
+        buttons.forEach(btn => {
+            const option = REMINDER_OPTIONS.find(o => o.id === btn.dataset.reminder);
+            const disabled = option.needsTime && !timeInput.value;
+            btn.disabled = disabled;
+            btn.title = disabled ? 'Set a time first' : '';
+        });
+    };
+
+    buttons.forEach(btn => {
+        btn.addEventListener('click', () => btn.classList.toggle('active'));
+    });
+    timeInput.addEventListener('input', updateAvailability);
+    updateAvailability();
+
+    return () => {
+        const dueTime = timeInput.value || null;
+        const reminders = Array.from(buttons)
+            .filter(btn => btn.classList.contains('active') && !btn.disabled)
+            .map(btn => btn.dataset.reminder);
+        return { dueTime, reminders };
+    };
+}
+
+// Due time (and reminder bell) shown on a task row
+function createDueTimeHTML(task) {
+    if (!task.dueDate || (!task.dueTime && !(task.reminders || []).length)) return '';
+
+    const bell = (task.reminders || []).length ? ' 🔔' : '';
+    return `<span class="task-meta task-due-time">${task.dueTime ? `🕑 ${formatTime12(task.dueTime)}` : ''}${bell}</span>`;
+}
@@ -0,0 +1,435 @@
+// Multi-select module
+// Ctrl/Cmd-click toggles a task, Shift-click selects a range within a list. Bulk actions
+// are written in Firestore batches and recorded as a single undoable operation.
+
+// Firestore allows 500 writes per batch
+const BULK_BATCH_SIZE = 400;
+
+// Selection state (kept across re-renders)
+let selectedTaskIds = new Set();
+let selectionAnchorId = null;
+
+// Check whether a task is selected
+function isTaskSelected(taskId) {
+    return selectedTaskIds.has(taskId);
+}
+
+// Handle a modifier-click on a task row
+function handleTaskSelectClick(e, item) {
+    const taskId = item.dataset.taskId;
+
+    if (e.shiftKey && selectionAnchorId) {
+        const list = item.closest('.task-list');
+        const ids = Array.from(list.querySelectorAll('.task-item')).map(el => el.dataset.taskId);
+        const from = ids.indexOf(selectionAnchorId);
+        const to = ids.indexOf(taskId);
+
+        if (from !== -1 && to !== -1) {
+            ids.slice(Math.min(from, to), Math.max(from, to) + 1).forEach(id => selectedTaskIds.add(id));
+        } else {
+            selectedTaskIds.add(taskId);
+            selectionAnchorId = taskId;
+        }
+    } else {
+        if (selectedTaskIds.has(taskId)) {
+            selectedTaskIds.delete(taskId);
+        } else {
+            selectedTaskIds.add(taskId);
+        }
+        selectionAnchorId = taskId;
+    }
+
+    updateSelectionUI();
+}
+
+// Select every task in a list, or clear them if they are all selected already
+function toggleSectionSelection(list) {
+    const ids = Array.from(list.querySelectorAll('.task-item')).map(el => el.dataset.taskId);
+    if (ids.length === 0) return;
+
+    if (ids.every(id => selectedTaskIds.has(id))) {
+        ids.forEach(id => selectedTaskIds.delete(id));
+    } else {
+        ids.forEach(id => selectedTaskIds.add(id));
+    }
+
+    updateSelectionUI();
+}
+
+// Clear the selection
+function clearSelection() {
+    selectedTaskIds.clear();
+    selectionAnchorId = null;
+    updateSelectionUI();
+}
+
+// Selected tasks that still exist
+function getSelectedTasks() {
+    return Array.from(selectedTaskIds).map(findTask).filter(Boolean);
+}
+
+// Sync row highlighting and the bulk action bar with the selection
+function updateSelectionUI() {
+    // Drop tasks that were deleted or trashed elsewhere
+    selectedTaskIds.forEach(id => {
+        if (!findTask(id)) selectedTaskIds.delete(id);
+    });
+
+    document.querySelectorAll('.task-item[data-task-id]').forEach(item => {
+        item.classList.toggle('selected', selectedTaskIds.has(item.dataset.taskId));
+    });
+
+    renderBulkActionBar();
+}
+
+// Render (or remove) the bulk action bar
+function renderBulkActionBar() {
+    let bar = document.getElementById('bulkActionBar');
+    const count = selectedTaskIds.size;
+
+    if (count === 0) {
+        bar?.remove();
+        return;
+    }
+
+    if (!bar) {
+        bar = document.createElement('div');
+        bar.id = 'bulkActionBar';
+        bar.className = 'bulk-action-bar';
+        document.body.appendChild(bar);
+    }
+
+    bar.innerHTML = `
+        <span class="bulk-count">${count} selected</span>
+        <button class="bulk-btn" data-bulk="complete">✓ Complete</button>
+        <button class="bulk-btn" data-bulk="move">📅 Move ▾</button>
+        <button class="bulk-btn" data-bulk="due">📆 Due Date ▾</button>
+        <button class="bulk-btn" data-bulk="recurring">🔁 Repeat ▾</button>
+        <button class="bulk-btn" data-bulk="priority">★ Priority ▾</button>
+        <button class="bulk-btn" data-bulk="template">📋 Save as Template</button>
+        <button class="bulk-btn danger" data-bulk="delete">🗑 Delete</button>
+        <button class="bulk-clear" data-bulk="clear" title="Clear selection (Esc)">✕</button>
+    `;
+
+    bar.querySelectorAll('[data-bulk]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            handleBulkAction(btn.dataset.bulk, btn);
+        });
+    });
+}
+
+// Dispatch a bulk action button
+function handleBulkAction(action, btn) {
+    if (action === 'clear') {
+        clearSelection();
+    } else if (action === 'complete') {
+        runBulkAction(bulkCompleteTasks);
+    } else if (action === 'template') {
+        saveTasksAsTemplate(getSelectedTasks());
+    } else if (action === 'delete') {
+        const count = selectedTaskIds.size;
+        if (confirm(`Move ${count} task${count === 1 ? '' : 's'} to Trash?`)) {
+            runBulkAction(bulkDeleteTasks);
+        }
+    } else if (action === 'move') {
+        showBulkMenu(btn, [
+            { label: 'Today', value: 'today' },
+            { label: '⏰ Tomorrow', value: 'tomorrow' },
+            { label: 'This Week', value: 'thisWeek' },
+            { label: '📅 Next Week', value: 'nextWeek' },
+            { label: '🔥 Backburner', value: 'backburner' }
+        ], value => runBulkAction(ids => bulkMoveTasks(ids, value)));
+    } else if (action === 'due') {
+        showBulkDueDateMenu(btn);
+    } else if (action === 'recurring') {
+        showBulkMenu(btn, [
+            { label: 'Daily', value: 'daily' },
+            { label: 'Weekdays', value: 'weekdays' },
+            { label: 'Weekly', value: 'weekly' },
+            { label: 'Monthly', value: 'monthly' },
+            { label: 'Custom…', value: 'custom' },
+            { divider: true },
+            { label: 'Remove Recurring', value: null }
+        ], value => {
+            if (value === 'custom') {
+                showRecurrenceEditor(null, pattern => runBulkAction(ids => bulkSetRecurring(ids, pattern)));
+            } else {
+                runBulkAction(ids => bulkSetRecurring(ids, value));
+            }
+        });
+    } else if (action === 'priority') {
+        const types = [...new Set(getSelectedTasks().map(t => t.type))];
+        const items = [];
+        types.forEach(type => {
+            (priorities[type] || []).forEach(p => {
+                items.push({ label: escapeHtml(`${getCategoryLabel(type)}: ${p.title}`), value: p.id });
+            });
+        });
+        if (items.length > 0) items.push({ divider: true });
+        items.push({ label: 'Unlink Priority', value: null });
+
+        showBulkMenu(btn, items, value => runBulkAction(ids => bulkSetPriority(ids, value)));
+    }
+}
+
+// Show a dropdown above a bulk bar button
+function showBulkMenu(btn, items, onSelect) {
+    document.querySelectorAll('.dropdown.show').forEach(d => d.remove());
+
+    const dropdown = document.createElement('div');
+    dropdown.className = 'dropdown bulk-dropdown';
+    dropdown.innerHTML = items.map((item, i) => item.divider
+        ? '<div class="dropdown-divider"></div>'
+        : `<div class="dropdown-item" data-index="${i}">${item.label}</div>`
+    ).join('');
+
+    document.body.appendChild(dropdown);
+    positionBulkMenu(dropdown, btn);
+
+    dropdown.querySelectorAll('.dropdown-item[data-index]').forEach(el => {
+        el.addEventListener('click', (e) => {
+            e.stopPropagation();
+            dropdown.remove();
+            onSelect(items[parseInt(el.dataset.index)].value);
+        });
+    });
+
+    closeBulkMenuOnOutsideClick(dropdown);
+}
+
+// Due date menu with quick picks and a date input
+function showBulkDueDateMenu(btn) {
+    document.querySelectorAll('.dropdown.show').forEach(d => d.remove());
+
+    const addDaysFromToday = days => {
+        const date = new Date();
+        date.setDate(date.getDate() + days);
+        return toLocalDateString(date);
+    };
+
+    const dropdown = document.createElement('div');
+    dropdown.className = 'dropdown bulk-dropdown';
+    dropdown.innerHTML = `
+        <div class="dropdown-item" data-date="${addDaysFromToday(0)}">Today</div>
+        <div class="dropdown-item" data-date="${addDaysFromToday(1)}">Tomorrow</div>
+        <div class="dropdown-item" data-date="${addDaysFromToday(7)}">+1 Week</div>
+        <div class="dropdown-divider"></div>
+        <div class="bulk-date-row"><input type="date" class="bulk-date-input" /></div>
+        <div class="dropdown-divider"></div>
+        <div class="dropdown-item" data-date="">Clear Due Date</div>
+    `;
+
+    document.body.appendChild(dropdown);
+    positionBulkMenu(dropdown, btn);
+
+    const apply = date => {
+        dropdown.remove();
+        runBulkAction(ids => bulkSetDueDate(ids, date || null));
+    };
+
+    dropdown.querySelectorAll('.dropdown-item[data-date]').forEach(el => {
+        el.addEventListener('click', (e) => {
+            e.stopPropagation();
+            apply(el.dataset.date);
+        });
+    });
+    dropdown.querySelector('.bulk-date-input').addEventListener('change', (e) => {
+        if (e.target.value) apply(e.target.value);
+    });
+
+    closeBulkMenuOnOutsideClick(dropdown);
+}
+
+// Place a bulk menu above its button, kept on screen
+function positionBulkMenu(dropdown, btn) {
+    dropdown.classList.add('show');
+    const rect = btn.getBoundingClientRect();
+    const menuRect = dropdown.getBoundingClientRect();
+    dropdown.style.left = Math.max(8, Math.min(rect.left, window.innerWidth - menuRect.width - 8)) + 'px';
+    dropdown.style.top = Math.max(8, rect.top - menuRect.height - 6) + 'px';
+}
+
+// Close a bulk menu when clicking elsewhere
+function closeBulkMenuOnOutsideClick(dropdown) {
+    const closeDropdown = (e) => {
+        if (!dropdown.contains(e.target)) {
+            dropdown.remove();
+            document.removeEventListener('click', closeDropdown);
+        }
+    };
+    setTimeout(() => document.addEventListener('click', closeDropdown), 0);
+}
+
+// Run a bulk action on the current selection, then clear it
+async function runBulkAction(action) {
+    const ids = Array.from(selectedTaskIds);
+    if (ids.length === 0) return;
+
+    try {
+        await action(ids);
+        clearSelection();
+    } catch (error) {
+        console.error('Error running bulk action:', error);
+        showToast('Bulk update failed');
+    }
+}
+
+// Commit write callbacks in as few batches as the Firestore limit allows
+async function commitBatchedWrites(writes) {
+    for (let i = 0; i < writes.length; i += BULK_BATCH_SIZE) {
+        const batch = db.batch();
+        writes.slice(i, i + BULK_BATCH_SIZE).forEach(write => write(batch));
+        await batch.commit();
+    }
+}
+
+// Field-level change to a document, with the values needed to revert it
+function docChange(ref, updates, current, upsert = false) {
+    const previous = {};
+    Object.keys(updates).forEach(key => {
+        previous[key] = current && current[key] !== undefined ? current[key] : null;
+    });
+    return { ref, updates, previous, upsert };
+}
+
+// Field-level change to a task document
+function taskChange(task, updates) {
+    return docChange(getUserDoc().collection('tasks').doc(task.id), updates, task);
+}
+
+// Write callbacks for one side ('updates' or 'previous') of a list of changes
+function changeWrites(changes, side) {
+    return changes.map(change => batch => {
+        const data = { ...change[side], updatedAt: firebase.firestore.FieldValue.serverTimestamp() };
+        if (change.upsert) {
+            batch.set(change.ref, data, { merge: true });
+        } else {
+            batch.update(change.ref, data);
+        }
+    });
+}
+
+// Apply changes (and create any new documents) as one undoable operation
+async function applyBulkChanges(label, changes, created = []) {
+    const apply = () => commitBatchedWrites([
+        ...changeWrites(changes, 'updates'),
+        ...created.map(doc => batch => batch.set(doc.ref, doc.data))
+    ]);
+    const revert = () => commitBatchedWrites([
+        ...changeWrites(changes, 'previous'),
+        ...created.map(doc => batch => batch.delete(doc.ref))
+    ]);
+
+    await apply();
+    recordOperation(label, revert, apply);
+}
+
+// Complete tasks, spawning the next occurrence of recurring ones
+async function bulkCompleteTasks(taskIds) {
+    const openTasks = taskIds.map(findTask).filter(t => t && !t.completed);
+    if (openTasks.length === 0) return;
+
+    const tasksRef = getUserDoc().collection('tasks');
+    // Running trackers stop, as they do when completing a single task
+    const changes = openTasks.map(task => taskChange(task, {
+        completed: true,
+        completedAt: firebase.firestore.FieldValue.serverTimestamp(),
+        ...(task.trackingStartedAt ? getStopTrackingUpdates(task) : {})
+    }));
+    const created = openTasks
+        .map(task => task.recurring ? buildNextRecurrence(task) : null)
+        .filter(Boolean)
+        .map(data => ({ ref: tasksRef.doc(), data }));
+
+    await applyBulkChanges(`complete ${openTasks.length} tasks`, changes, created);
+    notifyUnblocked(openTasks.map(task => task.id), `${openTasks.length} task${openTasks.length === 1 ? '' : 's'} completed`);
+    triggerCelebration();
+}
+
+// Move tasks to the trash
+async function bulkDeleteTasks(taskIds) {
+    const changes = taskIds.map(findTask).filter(Boolean).map(task => taskChange(task, {
+        deletedAt: firebase.firestore.FieldValue.serverTimestamp()
+    }));
+
+    await applyBulkChanges(`delete ${changes.length} tasks`, changes);
+    showToast(`${changes.length} task${changes.length === 1 ? '' : 's'} moved to Trash`, undoToastAction());
+}
+
+// Move tasks to a category ('tomorrow' and 'nextWeek' set a due date, like moveTask; waiting tasks stop waiting, like a drop)
+async function bulkMoveTasks(taskIds, target) {
+    const changes = taskIds.map(findTask).filter(Boolean).map(task => taskChange(task, getTaskMoveUpdates(task, target)));
+
+    await applyBulkChanges(`move ${changes.length} tasks`, changes);
+    showToast(`${changes.length} task${changes.length === 1 ? '' : 's'} moved to ${formatCategory(getMoveUpdates(target).category)}`, undoToastAction());
+}
+
+// Set (or clear) the due date on tasks
+async function bulkSetDueDate(taskIds, dueDate) {
+    const changes = taskIds.map(findTask).filter(Boolean).map(task => taskChange(task, { dueDate }));
+
+    await applyBulkChanges(`set due date on ${changes.length} tasks`, changes);
+    showToast(dueDate ? `Due ${formatDate(dueDate)}` : 'Due dates cleared', undoToastAction());
+}
+
+// Set (or remove) recurrence on tasks, keeping their series documents in step
+async function bulkSetRecurring(taskIds, pattern) {
+    const rule = normalizeRecurrence(pattern);
+    const seriesRef = getUserDoc().collection('series');
+    const changes = [];
+    // Series documents that don't exist yet are created, so undo deletes them
+    const created = [];
+
+    taskIds.map(findTask).filter(Boolean).forEach(task => {
+        if (rule) {
+            const seriesId = task.seriesId || generateId();
+            changes.push(taskChange(task, { recurring: rule, recurringPattern: rule, recurrenceIndex: 1, recurrenceDay: null, seriesId }));
+            if (!recurringSeries[seriesId]) {
+                created.push({
+                    ref: seriesRef.doc(seriesId),
+                    data: { ...buildSeriesDoc({ ...task, recurring: rule }), priorityId: task.priorityId || null }
+                });
+                return;
+            }
+            changes.push(docChange(seriesRef.doc(seriesId), {
+                title: task.title,
+                type: task.type,
+                recurring: rule,
+                priorityId: task.priorityId || null,
+                paused: false,
+                stopped: false
+            }, recurringSeries[seriesId], true));
+        } else if (task.recurring) {
+            changes.push(taskChange(task, { recurring: null, recurringPattern: null, recurrenceIndex: null, recurrenceDay: null, paused: false }));
+            if (task.seriesId) {
+                changes.push(docChange(seriesRef.doc(task.seriesId), { stopped: true, paused: false }, recurringSeries[task.seriesId], true));
+            }
+        }
+    });
+
+    if (changes.length === 0) return;
+
+    await applyBulkChanges('set recurrence', changes, created);
+    showToast(rule ? `Tasks set to repeat ${describeRecurrence(rule)}` : 'Recurring removed', undoToastAction());
+}
+
+// Link tasks to a priority (only tasks of the priority's category), or unlink them
+async function bulkSetPriority(taskIds, priorityId) {
+    const changes = taskIds.map(findTask).filter(Boolean)
+        .filter(task => !priorityId || (priorities[task.type] || []).some(p => p.id === priorityId))
+        .map(task => taskChange(task, { priorityId }));
+
+    if (changes.length === 0) return;
+
+    await applyBulkChanges(priorityId ? 'link priority' : 'unlink priority', changes);
+    showToast(priorityId ? `Priority linked to ${changes.length} task${changes.length === 1 ? '' : 's'}` : 'Priority unlinked', undoToastAction());
+}
+
+// Escape clears the selection when nothing else has focus
+document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape' || selectedTaskIds.size === 0) return;
+    if (e.target.matches && e.target.matches('input, textarea, select')) return;
+    if (document.querySelector('.add-task-popup-overlay, .task-detail-overlay')) return;
+    clearSelection();
+});
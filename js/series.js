@@ -0,0 +1,365 @@
+// Recurring series module
+// Every occurrence of a recurring task carries a `seriesId`. The series document
+// (users/{uid}/series/{seriesId}) holds the template used for future occurrences
+// plus series-level state (paused, stopped, skipped dates).
+
+// Local series state, keyed by series id
+let recurringSeries = {};
+
+// Real-time listener
+let seriesListener = null;
+
+// Load series from Firestore with real-time updates
+function loadSeries() {
+    const userDoc = getUserDoc();
+
+    if (seriesListener) seriesListener();
+
+    seriesListener = userDoc.collection('series')
+        .onSnapshot(snapshot => {
+            recurringSeries = {};
+            snapshot.docs.forEach(doc => {
+                recurringSeries[doc.id] = { id: doc.id, ...doc.data() };
+            });
+        }, error => {
+            console.error('Error loading series:', error);
+        });
+}
+
+// Create or update a series document
+async function saveSeries(seriesId, updates) {
+    const userDoc = getUserDoc();
+
+    try {
+        await userDoc.collection('series').doc(seriesId).set({
+            ...updates,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+    } catch (error) {
+        console.error('Error saving series:', error);
+        showToast('Failed to save series');
+        throw error;
+    }
+}
+
+// Make sure a recurring task belongs to a series (older tasks predate series ids)
+async function ensureSeries(task) {
+    if (task.seriesId) {
+        if (!recurringSeries[task.seriesId]) {
+            await saveSeries(task.seriesId, {
+                title: task.title,
+                type: task.type,
+                recurring: task.recurring,
+                priorityId: task.priorityId || null
+            });
+        }
+        return task.seriesId;
+    }
+
+    const seriesId = generateId();
+    await saveSeries(seriesId, {
+        title: task.title,
+        type: task.type,
+        recurring: task.recurring,
+        priorityId: task.priorityId || null,
+        paused: false,
+        stopped: false,
+        skippedDates: [],
+        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+
+    // Link every legacy occurrence with the same title and type to the new series
+    const related = (tasks[task.type] || []).filter(t =>
+        t.id === task.id || (!t.seriesId && t.title === task.title && (t.recurring || t.completed))
+    );
+    await Promise.all(related.map(t => updateTask(t.id, { seriesId })));
+
+    return seriesId;
+}
+
+// Get all occurrences (open and completed) of a series
+function getSeriesOccurrences(seriesId) {
+    return Object.values(tasks).flat().filter(t => t.seriesId === seriesId);
+}
+
+// Get the single open occurrence of a series
+function getOpenOccurrence(seriesId) {
+    return getSeriesOccurrences(seriesId).find(t => !t.completed) || null;
+}
+
+// Build series history: completed occurrences and skipped dates, newest first
+function getSeriesHistory(seriesId) {
+    const series = recurringSeries[seriesId] || {};
+
+    const completed = [...getSeriesOccurrences(seriesId), ...(archivedSeriesOccurrences[seriesId] || [])]
+        .filter(t => t.completed && t.completedAt)
+        .map(t => {
+            const completedDate = t.completedAt.toDate ? t.completedAt.toDate() : new Date(t.completedAt);
+            const completedOn = toLocalDateString(completedDate);
+            return {
+                date: t.dueDate || completedOn,
+                completedOn,
+                status: t.dueDate && completedOn > t.dueDate ? 'late' : 'done'
+            };
+        });
+
+    const skipped = (series.skippedDates || []).map(date => ({ date, completedOn: null, status: 'skipped' }));
+
+    return [...completed, ...skipped].sort((a, b) => b.date.localeCompare(a.date));
+}
+
+// Consecutive on-time completions, counting back from the most recent occurrence.
+// Skipped occurrences neither count nor break the streak; late completions break it.
+function getSeriesStreak(seriesId) {
+    let streak = 0;
+    for (const entry of getSeriesHistory(seriesId)) {
+        if (entry.status === 'skipped') continue;
+        if (entry.status === 'late') break;
+        streak++;
+    }
+    return streak;
+}
+
+// Skip the next (open) occurrence and move it to the following date
+async function skipNextOccurrence(seriesId) {
+    const series = recurringSeries[seriesId];
+    const open = getOpenOccurrence(seriesId);
+    if (!open) return;
+
+    const today = toLocalDateString(new Date());
+    const skippedDate = open.dueDate || today;
+    const occurrenceIndex = open.recurrenceIndex || 1;
+    const rule = (series && series.recurring) || open.recurring;
+    const recurrenceDay = getRecurrenceDay(open);
+    const nextDate = getNextOccurrence(rule, skippedDate, occurrenceIndex, recurrenceDay);
+
+    await saveSeries(seriesId, {
+        skippedDates: firebase.firestore.FieldValue.arrayUnion(skippedDate)
+    });
+
+    if (!nextDate) {
+        await stopSeries(seriesId, { silent: true });
+        showToast('Skipped - that was the last occurrence');
+        return;
+    }
+
+    await updateTask(open.id, {
+        dueDate: nextDate,
+        recurrenceIndex: occurrenceIndex + 1,
+        recurrenceDay
+    });
+
+    showToast(`Skipped - next on ${formatDate(nextDate)}`);
+}
+
+// Pause a series: the open occurrence is hidden until resumed
+async function pauseSeries(seriesId) {
+    const open = getOpenOccurrence(seriesId);
+
+    await saveSeries(seriesId, { paused: true });
+    if (open) {
+        await updateTask(open.id, { paused: true });
+    }
+
+    showToast('Series paused');
+}
+
+// Resume a paused series from the next occurrence on or after today
+async function resumeSeries(seriesId) {
+    const series = recurringSeries[seriesId];
+    const open = getOpenOccurrence(seriesId);
+
+    await saveSeries(seriesId, { paused: false });
+
+    if (open) {
+        const yesterday = new Date();
+        yesterday.setDate(yesterday.getDate() - 1);
+        const rule = (series && series.recurring) || open.recurring;
+        const nextDate = getNextOccurrence(rule, toLocalDateString(yesterday), 1, getRecurrenceDay(open));
+
+        await updateTask(open.id, {
+            paused: false,
+            dueDate: nextDate || open.dueDate
+        });
+    }
+
+    showToast('Series resumed');
+}
+
+// Edit a series. scope 'this' only changes the open occurrence;
+// scope 'future' also updates the template for every later occurrence.
+async function editSeries(seriesId, updates, scope) {
+    const open = getOpenOccurrence(seriesId);
+    const taskUpdates = { ...updates };
+
+    if (updates.recurring) {
+        taskUpdates.recurringPattern = updates.recurring;
+    }
+
+    if (scope === 'future') {
+        await saveSeries(seriesId, updates);
+    }
+    if (open) {
+        await updateTask(open.id, taskUpdates);
+    }
+
+    showToast(scope === 'future' ? 'Series updated' : 'Occurrence updated');
+}
+
+// Stop a series: the open occurrence becomes a regular one-off task
+async function stopSeries(seriesId, { silent = false } = {}) {
+    const open = getOpenOccurrence(seriesId);
+
+    await saveSeries(seriesId, { stopped: true, paused: false });
+    if (open) {
+        await updateTask(open.id, {
+            recurring: null,
+            recurringPattern: null,
+            recurrenceIndex: null,
+            recurrenceDay: null,
+            paused: false
+        });
+    }
+
+    if (!silent) showToast('Series stopped');
+}
+
+// Show series management panel for a recurring task
+async function showSeriesPanel(taskId) {
+    const task = findTask(taskId);
+    if (!task || !task.recurring) return;
+
+    document.querySelectorAll('.series-panel-overlay').forEach(p => p.remove());
+
+    const seriesId = await ensureSeries(task);
+    await loadArchivedOccurrences(seriesId);
+
+    const overlay = document.createElement('div');
+    overlay.className = 'add-task-popup-overlay series-panel-overlay';
+    document.body.appendChild(overlay);
+
+    const closePanel = () => overlay.remove();
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closePanel();
+    });
+
+    let pendingRule = null;
+
+    const render = () => {
+        const series = recurringSeries[seriesId] || {};
+        const open = getOpenOccurrence(seriesId);
+        const rule = pendingRule || series.recurring || task.recurring;
+        const history = getSeriesHistory(seriesId);
+        const completedCount = history.filter(h => h.status !== 'skipped').length;
+        const skippedCount = history.filter(h => h.status === 'skipped').length;
+        const statusLabels = { done: '✓ Done', late: '✓ Late', skipped: '↷ Skipped' };
+
+        overlay.innerHTML = `
+            <div class="add-task-popup series-panel">
+                <div class="add-task-popup-header">
+                    <h3>🔁 ${escapeHtml(series.title || task.title)}</h3>
+                    <button class="add-task-popup-close">&times;</button>
+                </div>
+                <div class="add-task-popup-body">
+                    <div class="series-rule">
+                        Repeats ${escapeHtml(describeRecurrence(rule))}
+                        ${series.paused ? '<span class="series-badge paused">Paused</span>' : ''}
+                        ${series.stopped ? '<span class="series-badge stopped">Stopped</span>' : ''}
+                    </div>
+                    ${open && open.dueDate && !series.stopped ? `<div class="series-next">Next: ${formatDate(open.dueDate)}</div>` : ''}
+
+                    <div class="series-stats">
+                        <div class="series-stat"><span class="series-stat-number">${getSeriesStreak(seriesId)}</span><span class="series-stat-label">Streak 🔥</span></div>
+                        <div class="series-stat"><span class="series-stat-number">${completedCount}</span><span class="series-stat-label">Completed</span></div>
+                        <div class="series-stat"><span class="series-stat-number">${skippedCount}</span><span class="series-stat-label">Skipped</span></div>
+                    </div>
+
+                    ${series.stopped ? '' : `
+                        <div class="add-task-popup-options series-actions">
+                            <button class="add-task-popup-option" data-series-action="skip" ${open && !series.paused ? '' : 'disabled'}>↷ Skip next</button>
+                            <button class="add-task-popup-option" data-series-action="${series.paused ? 'resume' : 'pause'}">${series.paused ? '▶ Resume' : '⏸ Pause'}</button>
+                            <button class="add-task-popup-option danger" data-series-action="stop">⏹ Stop series</button>
+                        </div>
+
+                        <div class="add-task-popup-row">
+                            <label>Edit</label>
+                            <input type="text" class="add-task-popup-title series-title-input" value="${escapeAttr(open ? open.title : (series.title || task.title))}" />
+                            <div class="add-task-popup-options">
+                                <button class="add-task-popup-option series-rule-btn">↻ ${escapeHtml(describeRecurrence(rule))}</button>
+                            </div>
+                        </div>
+                        <div class="add-task-popup-options series-scope">
+                            <button class="add-task-popup-option" data-scope="this">This occurrence</button>
+                            <button class="add-task-popup-option active" data-scope="future">This &amp; all future</button>
+                        </div>
+                    `}
+
+                    <div class="add-task-popup-row series-history">
+                        <label>History</label>
+                        ${history.length === 0
+                            ? '<div class="series-history-empty">No occurrences completed yet</div>'
+                            : history.slice(0, 30).map(h => `
+                                <div class="series-history-item ${h.status}">
+                                    <span>${formatDate(h.date)}</span>
+                                    <span>${statusLabels[h.status]}</span>
+                                </div>
+                            `).join('')
+                        }
+                    </div>
+                </div>
+                <div class="add-task-popup-footer">
+                    <button class="add-task-popup-cancel">Close</button>
+                    ${series.stopped ? '' : '<button class="add-task-popup-save">Save</button>'}
+                </div>
+            </div>
+        `;
+
+        overlay.querySelector('.add-task-popup-close').addEventListener('click', closePanel);
+        overlay.querySelector('.add-task-popup-cancel').addEventListener('click', closePanel);
+
+        overlay.querySelectorAll('[data-series-action]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                const action = btn.dataset.seriesAction;
+                if (action === 'skip') {
+                    await skipNextOccurrence(seriesId);
+                } else if (action === 'pause') {
+                    await pauseSeries(seriesId);
+                } else if (action === 'resume') {
+                    await resumeSeries(seriesId);
+                } else if (action === 'stop') {
+                    if (!confirm('Stop this series? The current occurrence will stay as a one-off task.')) return;
+                    await stopSeries(seriesId);
+                }
+                render();
+            });
+        });
+
+        overlay.querySelectorAll('[data-scope]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                overlay.querySelectorAll('[data-scope]').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+            });
+        });
+
+        overlay.querySelector('.series-rule-btn')?.addEventListener('click', () => {
+            showRecurrenceEditor(rule, (pattern) => {
+                pendingRule = pattern;
+                overlay.querySelector('.series-rule-btn').textContent = `↻ ${describeRecurrence(pattern)}`;
+            });
+        });
+
+        overlay.querySelector('.add-task-popup-save')?.addEventListener('click', async () => {
+            const title = overlay.querySelector('.series-title-input').value.trim();
+            const scope = overlay.querySelector('[data-scope].active').dataset.scope;
+            const updates = {};
+
+            if (title) updates.title = title;
+            if (pendingRule) updates.recurring = pendingRule;
+
+            closePanel();
+            await editSeries(seriesId, updates, scope);
+        });
+    };
+
+    render();
+}
@@ -0,0 +1,336 @@
+// Keyboard shortcuts module
+// Single keys act on the highlighted task row; "g" sequences switch views. Bindings can be
+// changed from the "?" overlay; changed ones are saved in the user's settings.
+
+// Task row actions (the view shortcuts follow the category list, see getViewShortcutActions)
+const SHORTCUT_ACTIONS = [
+    { id: 'down', label: 'Next task', key: 'j' },
+    { id: 'up', label: 'Previous task', key: 'k' },
+    { id: 'complete', label: 'Complete task', key: 'x' },
+    { id: 'edit', label: 'Edit title', key: 'e' },
+    { id: 'dueDate', label: 'Set due date', key: 'd' },
+    { id: 'tomorrow', label: 'Defer to tomorrow', key: 't' },
+    { id: 'priority', label: 'Toggle priority', key: 'p' },
+    { id: 'focus', label: 'Start focus mode', key: 'f' },
+    { id: 'details', label: 'Open details', key: 'Enter' }
+];
+
+const SHORTCUT_HELP_ACTION = { id: 'help', label: 'Show shortcuts', key: '?' };
+
+// How long to wait for the second key of a sequence
+const SHORTCUT_SEQUENCE_TIMEOUT = 1000;
+
+// Bindings changed by the user (action id -> key or "key key" sequence)
+let savedShortcutBindings = {};
+
+// Keyboard cursor state
+let keyboardTaskId = null;
+let pendingShortcutKeys = [];
+let pendingShortcutTimer = null;
+let recordingShortcut = null;
+
+// "g" shortcuts for each category's view (the first free letter of its name), Priorities and Dashboard
+function getViewShortcutActions() {
+    const used = new Set(['d']);
+    const views = [
+        ...categories.map(cat => ({ id: `go:${cat}`, view: cat, label: getCategoryLabel(cat) })),
+        { id: 'goPriorities', view: 'priorities', label: 'Priorities' }
+    ];
+
+    const actions = views.map(({ id, view, label }) => {
+        const letter = [...label.toLowerCase()].find(ch => /[a-z]/.test(ch) && !used.has(ch));
+        if (letter) used.add(letter);
+        return { id, view, label: `Go to ${label}`, key: letter ? `g ${letter}` : '' };
+    });
+
+    return [...actions, { id: 'goDashboard', view: 'dashboard', label: 'Go to Dashboard', key: 'g d' }];
+}
+
+// Every bindable action, in the order the overlay lists them
+function getShortcutActions() {
+    return [...SHORTCUT_ACTIONS, ...getViewShortcutActions(), SHORTCUT_HELP_ACTION];
+}
+
+// Current bindings keyed by action id: defaults with the user's changes on top
+function getShortcutBindings() {
+    const bindings = {};
+    getShortcutActions().forEach(action => {
+        bindings[action.id] = savedShortcutBindings[action.id] ?? action.key;
+    });
+    return bindings;
+}
+
+// Load saved bindings from user settings
+async function loadShortcuts() {
+    try {
+        const doc = await getUserDoc().get();
+        savedShortcutBindings = doc.data()?.settings?.shortcuts || {};
+    } catch (error) {
+        console.error('Error loading shortcuts:', error);
+    }
+}
+
+// Save the changed bindings to user settings
+async function saveShortcuts() {
+    try {
+        await getUserDoc().update({
+            'settings.shortcuts': savedShortcutBindings
+        });
+    } catch (error) {
+        console.error('Error saving shortcuts:', error);
+        showToast('Failed to save shortcuts');
+    }
+}
+
+// Task rows visible in the current view
+function getKeyboardRows() {
+    return Array.from(document.querySelectorAll('.view.active .task-item[data-task-id], .mobile-panel.active .task-item[data-task-id]'))
+        .filter(row => row.offsetParent !== null);
+}
+
+// Highlighted task row, if it is still on screen
+function getKeyboardRow() {
+    if (!keyboardTaskId) return null;
+    return getKeyboardRows().find(row => row.dataset.taskId === keyboardTaskId) || null;
+}
+
+// Re-apply the highlight after task lists re-render
+function applyKeyboardCursor() {
+    document.querySelectorAll('.task-item.keyboard-active').forEach(row => row.classList.remove('keyboard-active'));
+    getKeyboardRow()?.classList.add('keyboard-active');
+}
+
+// Move the highlight up or down the visible rows
+function moveKeyboardCursor(step) {
+    const rows = getKeyboardRows();
+    if (rows.length === 0) return;
+
+    const current = rows.findIndex(row => row.dataset.taskId === keyboardTaskId);
+    const next = current === -1
+        ? (step > 0 ? 0 : rows.length - 1)
+        : Math.max(0, Math.min(rows.length - 1, current + step));
+
+    keyboardTaskId = rows[next].dataset.taskId;
+    applyKeyboardCursor();
+    rows[next].scrollIntoView({ block: 'nearest' });
+}
+
+// Run a bound action
+function runShortcutAction(actionId) {
+    const viewAction = getViewShortcutActions().find(action => action.id === actionId);
+    if (viewAction) {
+        showView(viewAction.view);
+        keyboardTaskId = null;
+        return;
+    }
+
+    if (actionId === 'help') {
+        showShortcutsHelp();
+        return;
+    }
+    if (actionId === 'down' || actionId === 'up') {
+        moveKeyboardCursor(actionId === 'down' ? 1 : -1);
+        return;
+    }
+
+    const row = getKeyboardRow();
+    if (!row) return;
+
+    const taskId = row.dataset.taskId;
+    const type = row.dataset.type;
+    const task = findTask(taskId);
+    if (!task) return;
+
+    if (actionId === 'complete') {
+        handleTaskComplete(taskId, type, row.querySelector('.task-checkbox'));
+    } else if (actionId === 'edit') {
+        if (!task.completed) startEditingTask(row, type);
+    } else if (actionId === 'dueDate') {
+        showDatePicker(taskId);
+    } else if (actionId === 'tomorrow') {
+        moveTask(taskId, 'tomorrow');
+    } else if (actionId === 'priority') {
+        toggleTaskPriority(taskId, type);
+    } else if (actionId === 'focus') {
+        openFocusMode(taskId, task.title);
+    } else if (actionId === 'details') {
+        openTaskDetail(taskId);
+    }
+}
+
+// Normalized name for a keydown ("j", "?", "Enter")
+function getShortcutKeyName(e) {
+    return e.key.length === 1 ? e.key.toLowerCase() : e.key;
+}
+
+// Whether the keyboard layer should ignore this event
+function shouldIgnoreShortcut(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return true;
+    if (focusState.active) return true;
+
+    const target = e.target;
+    if (target.matches && (target.matches('input, textarea, select') || target.isContentEditable)) return true;
+    // Focused buttons keep Enter/Space
+    if (target.matches && target.matches('button') && (e.key === 'Enter' || e.key === ' ')) return true;
+
+    // Leave keys alone while a popup or panel is open
+    return !!document.querySelector('.add-task-popup-overlay, .command-palette-overlay, .task-detail-overlay, .recurrence-editor-overlay, .date-picker-popup, .dropdown.show');
+}
+
+document.addEventListener('keydown', (e) => {
+    if (recordingShortcut || shouldIgnoreShortcut(e)) return;
+    if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return;
+
+    pendingShortcutKeys.push(getShortcutKeyName(e));
+    clearTimeout(pendingShortcutTimer);
+
+    const sequence = pendingShortcutKeys.join(' ');
+    const bindings = Object.entries(getShortcutBindings());
+    const match = bindings.find(([, key]) => key === sequence);
+    const isPrefix = bindings.some(([, key]) => key.startsWith(sequence + ' '));
+
+    if (match && !isPrefix) {
+        e.preventDefault();
+        pendingShortcutKeys = [];
+        runShortcutAction(match[0]);
+    } else if (isPrefix) {
+        e.preventDefault();
+        pendingShortcutTimer = setTimeout(() => {
+            // Nothing followed the prefix; run it on its own if it is bound
+            const own = bindings.find(([, key]) => key === sequence);
+            pendingShortcutKeys = [];
+            if (own) runShortcutAction(own[0]);
+        }, SHORTCUT_SEQUENCE_TIMEOUT);
+    } else {
+        pendingShortcutKeys = [];
+    }
+});
+
+// Display a binding as key caps
+function formatShortcutKeys(binding) {
+    if (!binding) return 'None';
+    return binding.split(' ').map(key => `<kbd>${escapeHtml(key)}</kbd>`).join(' then ');
+}
+
+// Show the shortcuts overlay with rebinding
+function showShortcutsHelp() {
+    document.querySelectorAll('.shortcuts-overlay').forEach(p => p.remove());
+
+    const overlay = document.createElement('div');
+    overlay.className = 'add-task-popup-overlay shortcuts-overlay';
+    document.body.appendChild(overlay);
+
+    const closeHelp = () => {
+        recordingShortcut = null;
+        overlay.remove();
+    };
+
+    const render = () => {
+        const bindings = getShortcutBindings();
+        overlay.innerHTML = `
+            <div class="add-task-popup shortcuts-popup">
+                <div class="add-task-popup-header">
+                    <h3>Keyboard Shortcuts</h3>
+                    <button class="add-task-popup-close">&times;</button>
+                </div>
+                <div class="add-task-popup-body">
+                    <div class="shortcuts-list">
+                        ${getShortcutActions().map(action => `
+                            <div class="shortcuts-row">
+                                <span>${action.label}</span>
+                                <button class="shortcuts-key ${recordingShortcut === action.id ? 'recording' : ''}" data-action="${action.id}" title="Click to rebind">
+                                    ${recordingShortcut === action.id ? 'Press keys…' : formatShortcutKeys(bindings[action.id])}
+                                </button>
+                            </div>
+                        `).join('')}
+                        <div class="shortcuts-row">
+                            <span>Command palette</span>
+                            <span class="shortcuts-fixed"><kbd>Ctrl</kbd> <kbd>K</kbd></span>
+                        </div>
+                        <div class="shortcuts-row">
+                            <span>Undo / Redo</span>
+                            <span class="shortcuts-fixed"><kbd>Ctrl</kbd> <kbd>Z</kbd> / <kbd>Ctrl</kbd> <kbd>Shift</kbd> <kbd>Z</kbd></span>
+                        </div>
+                    </div>
+                    <p class="shortcuts-hint">Click a key to rebind it. Press two keys in a row for a sequence.</p>
+                </div>
+                <div class="add-task-popup-footer">
+                    <button class="add-task-popup-cancel shortcuts-reset">Reset to Defaults</button>
+                    <button class="add-task-popup-save shortcuts-done">Done</button>
+                </div>
+            </div>
+        `;
+
+        overlay.querySelector('.add-task-popup-close').addEventListener('click', closeHelp);
+        overlay.querySelector('.shortcuts-done').addEventListener('click', closeHelp);
+        overlay.querySelector('.shortcuts-reset').addEventListener('click', async () => {
+            savedShortcutBindings = {};
+            render();
+            await saveShortcuts();
+            showToast('Shortcuts reset');
+        });
+
+        overlay.querySelectorAll('.shortcuts-key').forEach(btn => {
+            btn.addEventListener('click', () => {
+                recordingShortcut = btn.dataset.action;
+                render();
+                overlay.querySelector('.shortcuts-key.recording')?.focus();
+            });
+        });
+    };
+
+    // Record the next key (or two-key sequence) for the action being rebound
+    let recordedKeys = [];
+    let recordTimer = null;
+    overlay.addEventListener('keydown', (e) => {
+        if (!recordingShortcut) {
+            if (e.key === 'Escape') closeHelp();
+            return;
+        }
+        if (['Shift', 'Control', 'Alt', 'Meta'].includes(e.key)) return;
+
+        e.preventDefault();
+        e.stopPropagation();
+
+        if (e.key === 'Escape') {
+            recordingShortcut = null;
+            recordedKeys = [];
+            render();
+            return;
+        }
+
+        recordedKeys.push(getShortcutKeyName(e));
+        clearTimeout(recordTimer);
+
+        const finish = async () => {
+            const binding = recordedKeys.join(' ');
+            const actionId = recordingShortcut;
+            recordedKeys = [];
+            recordingShortcut = null;
+
+            const bindings = getShortcutBindings();
+            const conflict = getShortcutActions().find(a => a.id !== actionId && bindings[a.id] === binding);
+            if (conflict) {
+                showToast(`"${binding}" is already used for ${conflict.label}`);
+                render();
+                return;
+            }
+
+            savedShortcutBindings = { ...savedShortcutBindings, [actionId]: binding };
+            render();
+            await saveShortcuts();
+        };
+
+        if (recordedKeys.length >= 2) {
+            finish();
+        } else {
+            recordTimer = setTimeout(finish, 600);
+        }
+    });
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closeHelp();
+    });
+
+    render();
+}
@@ -0,0 +1,199 @@
+// Snooze module
+// A task with a `startDate` in the future is snoozed: it stays out of every list until that
+// day, then comes back with a "resurfaced" badge for a few days.
+
+// How long a task keeps its "resurfaced" badge
+const RESURFACED_BADGE_DAYS = 3;
+
+// Whether a task is hidden until its start date
+function isSnoozed(task) {
+    if (task.completed || !task.startDate) return false;
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return parseLocalDate(task.startDate) > today;
+}
+
+// Whether a task came back from a snooze recently
+function isResurfaced(task) {
+    if (task.completed || !task.startDate || isSnoozed(task)) return false;
+    return daysSince(task.startDate) < RESURFACED_BADGE_DAYS;
+}
+
+// Badge for a task row that just came back
+function createResurfacedHTML(task) {
+    if (!isResurfaced(task)) return '';
+    return `<span class="task-resurfaced" data-task-id="${task.id}" title="Back from snooze since ${formatDate(task.startDate)} · click to dismiss">💤 Resurfaced</span>`;
+}
+
+// Snoozed tasks, soonest to come back first
+function getSnoozedTasks() {
+    return Object.values(tasks).flat()
+        .filter(isSnoozed)
+        .sort((a, b) => a.startDate.localeCompare(b.startDate) || a.title.localeCompare(b.title));
+}
+
+// Hide a task until a date (null wakes it up now)
+async function snoozeTask(taskId, startDate) {
+    const task = findTask(taskId);
+    if (!task) return;
+
+    try {
+        await applyBulkChanges(startDate ? 'snooze task' : 'wake task', [taskChange(task, { startDate })]);
+    } catch (error) {
+        console.error('Error snoozing task:', error);
+        showToast('Could not snooze task');
+        return;
+    }
+
+    showToast(startDate ? `Snoozed until ${formatDate(startDate)}` : 'Task is back', undoToastAction());
+}
+
+// Date a few days from now
+function snoozeDateInDays(days) {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return toLocalDateString(date);
+}
+
+// Quick snooze choices: tomorrow, the weekend, next Monday, a month out
+function getSnoozeOptions() {
+    const today = new Date().getDay();
+    const untilSaturday = (6 - today + 7) % 7 || 7;
+    const untilMonday = (1 - today + 7) % 7 || 7;
+
+    return [
+        { label: 'Tomorrow', date: snoozeDateInDays(1) },
+        { label: 'This Weekend', date: snoozeDateInDays(untilSaturday) },
+        { label: 'Next Week', date: snoozeDateInDays(untilMonday) },
+        { label: 'In a Month', date: snoozeDateInDays(30) }
+    ];
+}
+
+// "Snooze until…" picker
+function showSnoozePicker(taskId) {
+    // Close any existing date pickers
+    document.querySelectorAll('.date-picker-popup').forEach(p => p.remove());
+
+    const task = findTask(taskId);
+    if (!task) return;
+
+    const popup = document.createElement('div');
+    popup.className = 'date-picker-popup';
+
+    popup.innerHTML = `
+        <div class="date-picker-header">Snooze Until</div>
+        <input type="date" class="date-picker-input" value="${task.startDate || snoozeDateInDays(1)}" min="${snoozeDateInDays(1)}" />
+        <div class="date-picker-quick">
+            ${getSnoozeOptions().map(option => `
+                <button data-date="${option.date}" title="${formatDate(option.date)}">${option.label}</button>
+            `).join('')}
+        </div>
+        <div class="date-picker-actions">
+            <button class="date-picker-cancel">Cancel</button>
+            <button class="date-picker-save">Snooze</button>
+        </div>
+    `;
+
+    // Center the popup
+    popup.style.cssText = `
+        position: fixed;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        background: white;
+        border-radius: 12px;
+        box-shadow: 0 16px 48px rgba(0,0,0,0.2);
+        padding: 20px;
+        z-index: 10001;
+        min-width: 280px;
+    `;
+
+    document.body.appendChild(popup);
+
+    const input = popup.querySelector('.date-picker-input');
+
+    // Quick choices snooze right away
+    popup.querySelectorAll('.date-picker-quick button').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            popup.remove();
+            await snoozeTask(taskId, btn.dataset.date);
+        });
+    });
+
+    popup.querySelector('.date-picker-cancel').addEventListener('click', () => {
+        popup.remove();
+    });
+
+    popup.querySelector('.date-picker-save').addEventListener('click', async () => {
+        if (!input.value || input.value <= toLocalDateString(new Date())) {
+            showToast('Pick a date after today');
+            return;
+        }
+        popup.remove();
+        await snoozeTask(taskId, input.value);
+    });
+
+    // Close on click outside
+    const closePopup = (e) => {
+        if (!popup.contains(e.target)) {
+            popup.remove();
+            document.removeEventListener('click', closePopup);
+        }
+    };
+    setTimeout(() => document.addEventListener('click', closePopup), 0);
+}
+
+// Render the snoozed view (desktop and mobile)
+function renderSnoozed() {
+    ['snoozedContent', 'mobileSnoozedContent'].forEach(id => {
+        const container = document.getElementById(id);
+        if (container) renderSnoozedList(container);
+    });
+}
+
+// Snoozed tasks grouped by the day they come back
+function renderSnoozedList(container) {
+    const snoozed = getSnoozedTasks();
+
+    if (snoozed.length === 0) {
+        container.innerHTML = '<div class="trash-empty">Nothing snoozed. Use "Snooze until…" in a task\'s menu to hide it until it matters.</div>';
+        return;
+    }
+
+    const groups = [];
+    snoozed.forEach(task => {
+        const last = groups[groups.length - 1];
+        if (last && last.date === task.startDate) {
+            last.tasks.push(task);
+        } else {
+            groups.push({ date: task.startDate, tasks: [task] });
+        }
+    });
+
+    container.innerHTML = groups.map(group => `
+        <div class="snoozed-group">
+            <div class="snoozed-group-header">Back ${formatDate(group.date)}</div>
+            <div class="trash-list">
+                ${group.tasks.map(task => `
+                    <div class="trash-item snoozed-item" data-task-id="${task.id}">
+                        <span class="trash-item-icon">💤</span>
+                        <div class="trash-item-info">
+                            <div class="trash-item-title">${escapeHtml(task.title)}</div>
+                            <div class="trash-item-meta">${escapeHtml(getCategoryLabel(task.type))}${task.dueDate ? ` · due ${formatDate(task.dueDate)}` : ''}</div>
+                        </div>
+                        <button class="trash-restore-btn snoozed-change-btn">Change</button>
+                        <button class="trash-restore-btn snoozed-wake-btn">Wake now</button>
+                    </div>
+                `).join('')}
+            </div>
+        </div>
+    `).join('');
+
+    container.querySelectorAll('.snoozed-item').forEach(item => {
+        const taskId = item.dataset.taskId;
+        item.querySelector('.trash-item-info').addEventListener('click', () => openTaskDetail(taskId));
+        item.querySelector('.snoozed-change-btn').addEventListener('click', () => showSnoozePicker(taskId));
+        item.querySelector('.snoozed-wake-btn').addEventListener('click', () => snoozeTask(taskId, null));
+    });
+}
@@ -0,0 +1,176 @@
+// Task status module
+// Open tasks carry a `status`: not started (the default), in progress, or waiting for someone
+// (`waitingFor` and a `followUpDate`). Done is still `completed`. Waiting tasks live in their
+// own section and come back to Today on their follow-up date.
+
+const TASK_STATUSES = [
+    { id: 'notStarted', label: 'Not Started', icon: '○' },
+    { id: 'inProgress', label: 'In Progress', icon: '◐' },
+    { id: 'waiting', label: 'Waiting For', icon: '⏳' },
+    { id: 'done', label: 'Done', icon: '✓' }
+];
+
+// Days until the suggested follow-up
+const DEFAULT_FOLLOW_UP_DAYS = 3;
+
+// Status of a task ('done' for completed tasks)
+function getTaskStatus(task) {
+    if (task.completed) return 'done';
+    return TASK_STATUSES.some(s => s.id === task.status) ? task.status : 'notStarted';
+}
+
+// Whether an open task is waiting on someone
+function isWaiting(task) {
+    return getTaskStatus(task) === 'waiting';
+}
+
+// Whether it's time to chase a waiting task
+function isFollowUpDue(task) {
+    if (!isWaiting(task) || !task.followUpDate) return false;
+
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return parseLocalDate(task.followUpDate) <= today;
+}
+
+// Status badge on a task row (nothing for not started or done)
+function createStatusHTML(task) {
+    const status = getTaskStatus(task);
+
+    if (status === 'inProgress') {
+        return '<span class="task-status in-progress">◐ In progress</span>';
+    }
+    if (status === 'waiting') {
+        const who = task.waitingFor ? escapeHtml(task.waitingFor) : 'someone';
+        const when = task.followUpDate ? ` · follow up ${formatDate(task.followUpDate)}` : '';
+        return `<span class="task-status waiting ${isFollowUpDue(task) ? 'due' : ''}" title="Waiting for ${who}${when}">⏳ ${who}${when}</span>`;
+    }
+    return '';
+}
+
+// People tasks have been waiting on, most recent first (for suggestions)
+function getWaitingPeople() {
+    const people = Object.values(tasks).flat()
+        .filter(task => task.waitingFor)
+        .sort((a, b) => (b.followUpDate || '').localeCompare(a.followUpDate || ''))
+        .map(task => task.waitingFor);
+    return [...new Set(people)];
+}
+
+// Set a task's status; waiting needs `{ waitingFor, followUpDate }`
+async function setTaskStatus(taskId, status, waiting = {}) {
+    const task = findTask(taskId);
+    if (!task) return;
+
+    // Done and reopening go through completion, so recurring tasks spawn their next occurrence
+    if (status === 'done') {
+        if (!task.completed && await completeTask(taskId, task.type)) triggerCelebration();
+        return;
+    }
+    if (task.completed) await completeTask(taskId, task.type);
+
+    const updates = { status };
+    if (status === 'waiting') {
+        updates.waitingFor = waiting.waitingFor || null;
+        updates.followUpDate = waiting.followUpDate || null;
+    }
+
+    try {
+        await applyBulkChanges('set status', [taskChange(task, updates)]);
+    } catch (error) {
+        console.error('Error setting status:', error);
+        showToast('Failed to set status');
+        return;
+    }
+
+    const label = TASK_STATUSES.find(s => s.id === status).label;
+    showToast(status === 'waiting'
+        ? `Waiting for ${updates.waitingFor || 'someone'}${updates.followUpDate ? ` · follow up ${formatDate(updates.followUpDate)}` : ''}`
+        : `Marked ${label.toLowerCase()}`, undoToastAction());
+}
+
+// Ask who a task is waiting on and when to follow up
+function showWaitingForDialog(taskId) {
+    const task = findTask(taskId);
+    if (!task) return;
+
+    document.querySelectorAll('.waiting-dialog-overlay').forEach(p => p.remove());
+
+    const followUp = new Date();
+    followUp.setDate(followUp.getDate() + DEFAULT_FOLLOW_UP_DAYS);
+
+    const overlay = document.createElement('div');
+    overlay.className = 'add-task-popup-overlay waiting-dialog-overlay';
+    overlay.innerHTML = `
+        <div class="add-task-popup waiting-dialog">
+            <div class="add-task-popup-header">
+                <h3>⏳ Waiting For</h3>
+                <button class="add-task-popup-close">&times;</button>
+            </div>
+            <div class="add-task-popup-body">
+                <div class="planning-task-title">${escapeHtml(task.title)}</div>
+                <div class="add-task-popup-row">
+                    <label>Who are you waiting on?</label>
+                    <input type="text" class="add-task-popup-date waiting-person" list="waitingPeople" placeholder="e.g. Sam" value="${escapeAttr(task.waitingFor || '')}" />
+                    <datalist id="waitingPeople">
+                        ${getWaitingPeople().map(person => `<option value="${escapeAttr(person)}"></option>`).join('')}
+                    </datalist>
+                </div>
+                <div class="add-task-popup-row">
+                    <label>Follow up on</label>
+                    <div class="add-task-popup-date-row">
+                        <input type="date" class="add-task-popup-date waiting-follow-up" value="${task.followUpDate || toLocalDateString(followUp)}" />
+                        <button class="add-task-popup-quick-date" data-days="1">Tomorrow</button>
+                        <button class="add-task-popup-quick-date" data-days="3">+3 Days</button>
+                        <button class="add-task-popup-quick-date" data-days="7">+1 Week</button>
+                    </div>
+                </div>
+            </div>
+            <div class="add-task-popup-footer">
+                <button class="add-task-popup-cancel">Cancel</button>
+                <button class="add-task-popup-save">Save</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const personInput = overlay.querySelector('.waiting-person');
+    const dateInput = overlay.querySelector('.waiting-follow-up');
+
+    const closeDialog = () => overlay.remove();
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closeDialog();
+    });
+    overlay.querySelector('.add-task-popup-close').addEventListener('click', closeDialog);
+    overlay.querySelector('.add-task-popup-cancel').addEventListener('click', closeDialog);
+
+    overlay.querySelectorAll('.add-task-popup-quick-date').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const date = new Date();
+            date.setDate(date.getDate() + parseInt(btn.dataset.days));
+            dateInput.value = toLocalDateString(date);
+        });
+    });
+
+    const save = async () => {
+        const waitingFor = personInput.value.trim();
+        if (!waitingFor) {
+            personInput.focus();
+            return;
+        }
+        if (!dateInput.value) {
+            dateInput.focus();
+            return;
+        }
+
+        closeDialog();
+        await setTaskStatus(taskId, 'waiting', { waitingFor, followUpDate: dateInput.value });
+    };
+
+    overlay.querySelector('.add-task-popup-save').addEventListener('click', save);
+    personInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') save();
+    });
+
+    personInput.focus();
+}
@@ -0,0 +1,235 @@
+// Subtasks module
+// Checklist items live on the parent task document as `subtasks: [{ id, title, completed, order }]`
+
+// Tasks whose checklist is expanded (kept across re-renders)
+let expandedSubtaskTasks = new Set();
+
+// Get a task's subtasks sorted by order
+function getSubtasks(task) {
+    return [...(task.subtasks || [])].sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+// Save a task's subtask list
+async function saveSubtasks(taskId, subtasks) {
+    const ordered = subtasks.map((s, i) => ({ ...s, order: i }));
+    await updateTask(taskId, { subtasks: ordered });
+}
+
+// Add a subtask
+async function addSubtask(taskId, title) {
+    const task = findTask(taskId);
+    if (!task || !title.trim()) return;
+
+    const subtasks = getSubtasks(task);
+    subtasks.push({
+        id: generateId(),
+        title: title.trim(),
+        completed: false
+    });
+
+    expandedSubtaskTasks.add(taskId);
+    await saveSubtasks(taskId, subtasks);
+}
+
+// Rename a subtask
+async function updateSubtask(taskId, subtaskId, newTitle) {
+    const task = findTask(taskId);
+    if (!task) return;
+
+    const subtasks = getSubtasks(task).map(s => s.id === subtaskId ? { ...s, title: newTitle.trim() } : s);
+    await saveSubtasks(taskId, subtasks);
+}
+
+// Delete a subtask
+async function deleteSubtask(taskId, subtaskId) {
+    const task = findTask(taskId);
+    if (!task) return;
+
+    await saveSubtasks(taskId, getSubtasks(task).filter(s => s.id !== subtaskId));
+}
+
+// Move a subtask to a new position
+async function reorderSubtasks(taskId, fromIndex, toIndex) {
+    const task = findTask(taskId);
+    if (!task) return;
+
+    const subtasks = getSubtasks(task);
+    const [moved] = subtasks.splice(fromIndex, 1);
+    subtasks.splice(toIndex, 0, moved);
+
+    await saveSubtasks(taskId, subtasks);
+}
+
+// Toggle a subtask; completing the last open one offers to complete the parent
+async function toggleSubtask(taskId, subtaskId) {
+    const task = findTask(taskId);
+    if (!task) return;
+
+    const subtasks = getSubtasks(task).map(s => s.id === subtaskId ? { ...s, completed: !s.completed } : s);
+    await saveSubtasks(taskId, subtasks);
+
+    const allDone = subtasks.length > 0 && subtasks.every(s => s.completed);
+    const justCompleted = subtasks.find(s => s.id === subtaskId)?.completed;
+
+    if (allDone && justCompleted && !task.completed) {
+        if (confirm('All steps done! Mark the task as completed?')) {
+            const completed = await completeTask(taskId, task.type);
+            if (completed) triggerCelebration();
+        }
+    }
+}
+
+// Progress chip shown on the task row, e.g. "2/5"
+function createSubtaskProgressHTML(task) {
+    const subtasks = task.subtasks || [];
+    if (subtasks.length === 0) return '';
+
+    const done = subtasks.filter(s => s.completed).length;
+    const expanded = expandedSubtaskTasks.has(task.id);
+
+    return `<span class="task-subtask-progress ${done === subtasks.length ? 'done' : ''}" title="Show checklist">${expanded ? '▾' : '▸'} ${done}/${subtasks.length}</span>`;
+}
+
+// Expanded checklist rendered below the task row
+function createSubtaskListHTML(task) {
+    if (!expandedSubtaskTasks.has(task.id)) return '';
+
+    return `
+        <div class="subtask-list" data-parent-id="${task.id}">
+            ${getSubtasks(task).map((s, i) => `
+                <div class="subtask-item ${s.completed ? 'completed' : ''}" data-subtask-id="${s.id}" data-index="${i}" draggable="true">
+                    <span class="subtask-drag-handle">☰</span>
+                    <div class="subtask-checkbox ${s.completed ? 'checked' : ''}"></div>
+                    <span class="subtask-title">${escapeHtml(s.title)}</span>
+                    <button class="subtask-delete-btn" title="Remove step">✕</button>
+                </div>
+            `).join('')}
+            ${task.completed ? '' : '<input type="text" class="subtask-add-input" placeholder="+ Add step" />'}
+        </div>
+    `;
+}
+
+// Expand/collapse a task's checklist
+function toggleSubtaskList(taskId) {
+    if (expandedSubtaskTasks.has(taskId)) {
+        expandedSubtaskTasks.delete(taskId);
+    } else {
+        expandedSubtaskTasks.add(taskId);
+    }
+    renderTasks();
+}
+
+// Open the checklist for a task and focus the add input
+function startAddingSubtask(taskId) {
+    expandedSubtaskTasks.add(taskId);
+    renderTasks();
+
+    setTimeout(() => {
+        document.querySelector(`.subtask-list[data-parent-id="${taskId}"] .subtask-add-input`)?.focus();
+    }, 0);
+}
+
+// Wire up subtask controls inside a rendered task list
+function bindSubtaskEvents(container) {
+    container.querySelectorAll('.task-subtask-progress').forEach(chip => {
+        chip.addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleSubtaskList(chip.closest('.task-item').dataset.taskId);
+        });
+    });
+
+    let draggedSubtask = null;
+
+    container.querySelectorAll('.subtask-list').forEach(list => {
+        const taskId = list.dataset.parentId;
+
+        list.querySelectorAll('.subtask-item').forEach(item => {
+            const subtaskId = item.dataset.subtaskId;
+
+            item.querySelector('.subtask-checkbox').addEventListener('click', (e) => {
+                e.stopPropagation();
+                toggleSubtask(taskId, subtaskId);
+            });
+
+            item.querySelector('.subtask-delete-btn').addEventListener('click', (e) => {
+                e.stopPropagation();
+                deleteSubtask(taskId, subtaskId);
+            });
+
+            // Inline rename
+            const titleEl = item.querySelector('.subtask-title');
+            titleEl.addEventListener('click', () => {
+                const currentTitle = titleEl.textContent;
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.className = 'task-title-input';
+                input.value = currentTitle;
+                titleEl.replaceWith(input);
+                input.focus();
+                input.select();
+
+                input.addEventListener('blur', async () => {
+                    const newTitle = input.value.trim();
+                    if (!newTitle) {
+                        await deleteSubtask(taskId, subtaskId);
+                    } else if (newTitle !== currentTitle) {
+                        await updateSubtask(taskId, subtaskId, newTitle);
+                    } else {
+                        input.replaceWith(titleEl);
+                    }
+                });
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') input.blur();
+                    if (e.key === 'Escape') {
+                        input.value = currentTitle;
+                        input.blur();
+                    }
+                });
+            });
+
+            // Reorder with native drag and drop (same approach as the priorities manager)
+            item.addEventListener('dragstart', (e) => {
+                draggedSubtask = item;
+                item.classList.add('dragging');
+                e.dataTransfer.effectAllowed = 'move';
+            });
+
+            item.addEventListener('dragend', () => {
+                item.classList.remove('dragging');
+                list.querySelectorAll('.subtask-item').forEach(i => i.classList.remove('drag-over'));
+                draggedSubtask = null;
+            });
+
+            item.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                if (draggedSubtask && item !== draggedSubtask) item.classList.add('drag-over');
+            });
+
+            item.addEventListener('dragleave', () => item.classList.remove('drag-over'));
+
+            item.addEventListener('drop', async (e) => {
+                e.preventDefault();
+                item.classList.remove('drag-over');
+                if (!draggedSubtask || draggedSubtask === item || draggedSubtask.closest('.subtask-list') !== list) return;
+
+                await reorderSubtasks(taskId, parseInt(draggedSubtask.dataset.index), parseInt(item.dataset.index));
+            });
+        });
+
+        const addInput = list.querySelector('.subtask-add-input');
+        if (addInput) {
+            addInput.addEventListener('keydown', async (e) => {
+                if (e.key === 'Enter' && addInput.value.trim()) {
+                    const title = addInput.value;
+                    addInput.value = '';
+                    await addSubtask(taskId, title);
+                    setTimeout(() => {
+                        document.querySelector(`.subtask-list[data-parent-id="${taskId}"] .subtask-add-input`)?.focus();
+                    }, 0);
+                } else if (e.key === 'Escape') {
+                    addInput.blur();
+                }
+            });
+        }
+    });
+}
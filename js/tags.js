@@ -0,0 +1,343 @@
+// Tags module
+// Free-form labels stored on each task as `tags: ['errands', 'q3-review']`; colors live in settings/tags
+
+// Local tag state
+let tagColors = {};
+let activeTagFilter = null;
+let tagSettingsListener = null;
+
+// Load tag colors
+function loadTagSettings() {
+    if (tagSettingsListener) tagSettingsListener();
+
+    tagSettingsListener = getUserDoc().collection('settings').doc('tags')
+        .onSnapshot(doc => {
+            tagColors = (doc.exists && doc.data().colors) || {};
+            renderTasks();
+        }, error => {
+            console.error('Error loading tag settings:', error);
+        });
+}
+
+// Tags are lowercase, without the leading #, and use dashes instead of spaces
+function normalizeTag(tag) {
+    return (tag || '').trim().replace(/^#+/, '').toLowerCase().replace(/\s+/g, '-');
+}
+
+// All tags in use, with how many tasks carry each, most used first
+function getAllTags() {
+    const counts = {};
+    Object.values(tasks).flat().forEach(task => {
+        (task.tags || []).forEach(tag => counts[tag] = (counts[tag] || 0) + 1);
+    });
+    return Object.entries(counts)
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+// Color for a tag (saved choice, otherwise a stable pick from the category palette)
+function getTagColor(tag) {
+    if (tagColors[tag]) return tagColors[tag];
+
+    let hash = 0;
+    for (let i = 0; i < tag.length; i++) hash = (hash * 31 + tag.charCodeAt(i)) >>> 0;
+    return categoryColors[hash % categoryColors.length];
+}
+
+// Save a tag's color
+async function setTagColor(tag, color) {
+    tagColors[tag] = color;
+
+    try {
+        await getUserDoc().collection('settings').doc('tags').set({ colors: { [tag]: color } }, { merge: true });
+    } catch (error) {
+        console.error('Error saving tag color:', error);
+        showToast('Failed to save tag color');
+    }
+}
+
+// Chips shown on a task row
+function createTagChipsHTML(task) {
+    return (task.tags || []).map(tag => `
+        <span class="task-label tag-color-${getTagColor(tag)} ${activeTagFilter === tag ? 'active' : ''}" data-tag="${escapeHtml(tag)}" title="Filter by #${escapeHtml(tag)}">#${escapeHtml(tag)}</span>
+    `).join('');
+}
+
+// Filter a task list by the active tag
+function filterTasksByTag(taskList) {
+    if (!activeTagFilter) return taskList;
+    return taskList.filter(task => (task.tags || []).includes(activeTagFilter));
+}
+
+// Filter every task list to a tag (clicking the active tag clears it)
+function setTagFilter(tag) {
+    activeTagFilter = activeTagFilter === tag ? null : tag;
+    renderTasks();
+    renderTagFilterBar();
+}
+
+// Banner above the content while a tag filter is on
+function renderTagFilterBar() {
+    document.querySelectorAll('.tag-filter-bar').forEach(bar => bar.remove());
+    if (!activeTagFilter) return;
+
+    const bar = document.createElement('div');
+    bar.className = 'tag-filter-bar';
+    bar.innerHTML = `
+        Showing tasks tagged
+        <span class="task-label tag-color-${getTagColor(activeTagFilter)}">#${escapeHtml(activeTagFilter)}</span>
+        <button class="tag-filter-clear" title="Clear filter">✕ Clear</button>
+    `;
+    bar.querySelector('.tag-filter-clear').addEventListener('click', () => setTagFilter(activeTagFilter));
+
+    document.querySelector('.content')?.prepend(bar);
+    document.querySelector('.mobile-content')?.prepend(bar.cloneNode(true));
+    document.querySelector('.mobile-content .tag-filter-clear')?.addEventListener('click', () => setTagFilter(activeTagFilter));
+}
+
+// Tag entry with chips and autocomplete; calls onChange with the new tag list
+function createTagInput(container, initialTags, onChange) {
+    let tags = [...(initialTags || [])];
+
+    container.classList.add('tag-input');
+    container.innerHTML = `
+        <div class="tag-input-chips"></div>
+        <input type="text" class="tag-input-field" placeholder="Add tag…" />
+        <div class="tag-input-suggestions"></div>
+    `;
+
+    const chipsEl = container.querySelector('.tag-input-chips');
+    const input = container.querySelector('.tag-input-field');
+    const suggestionsEl = container.querySelector('.tag-input-suggestions');
+    let activeSuggestion = -1;
+    let suggestions = [];
+
+    const renderChips = () => {
+        chipsEl.innerHTML = tags.map(tag => `
+            <span class="task-label tag-color-${getTagColor(tag)}">#${escapeHtml(tag)}<button data-tag="${escapeHtml(tag)}" title="Remove tag">✕</button></span>
+        `).join('');
+        chipsEl.querySelectorAll('button[data-tag]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                tags = tags.filter(t => t !== btn.dataset.tag);
+                renderChips();
+                onChange(tags);
+            });
+        });
+    };
+
+    const addTag = (value) => {
+        const tag = normalizeTag(value);
+        input.value = '';
+        hideSuggestions();
+        if (!tag || tags.includes(tag)) return;
+        tags.push(tag);
+        renderChips();
+        onChange(tags);
+    };
+
+    const hideSuggestions = () => {
+        suggestions = [];
+        activeSuggestion = -1;
+        suggestionsEl.innerHTML = '';
+        suggestionsEl.style.display = 'none';
+    };
+
+    const showSuggestions = () => {
+        const query = normalizeTag(input.value);
+        suggestions = getAllTags()
+            .map(t => t.tag)
+            .filter(tag => !tags.includes(tag) && (!query || tag.includes(query)))
+            .slice(0, 8);
+
+        if (suggestions.length === 0) {
+            hideSuggestions();
+            return;
+        }
+
+        suggestionsEl.innerHTML = suggestions.map((tag, i) => `
+            <div class="tag-input-suggestion ${i === activeSuggestion ? 'active' : ''}" data-index="${i}">
+                <span class="tag-dot tag-color-${getTagColor(tag)}"></span>#${escapeHtml(tag)}
+            </div>
+        `).join('');
+        suggestionsEl.style.display = 'block';
+
+        suggestionsEl.querySelectorAll('.tag-input-suggestion').forEach(el => {
+            // mousedown so the input doesn't blur first
+            el.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                addTag(suggestions[parseInt(el.dataset.index)]);
+            });
+        });
+    };
+
+    input.addEventListener('input', () => {
+        activeSuggestion = -1;
+        showSuggestions();
+    });
+    input.addEventListener('focus', showSuggestions);
+    input.addEventListener('blur', () => {
+        if (input.value.trim()) addTag(input.value);
+        hideSuggestions();
+    });
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' && suggestions.length) {
+            e.preventDefault();
+            activeSuggestion = Math.min(activeSuggestion + 1, suggestions.length - 1);
+            showSuggestions();
+        } else if (e.key === 'ArrowUp' && suggestions.length) {
+            e.preventDefault();
+            activeSuggestion = Math.max(activeSuggestion - 1, 0);
+            showSuggestions();
+        } else if (e.key === 'Enter' || e.key === ',' || e.key === 'Tab') {
+            const value = activeSuggestion >= 0 ? suggestions[activeSuggestion] : input.value;
+            if (!value.trim()) return;
+            e.preventDefault();
+            e.stopPropagation();
+            addTag(value);
+        } else if (e.key === 'Backspace' && !input.value && tags.length) {
+            tags.pop();
+            renderChips();
+            onChange(tags);
+        }
+    });
+
+    renderChips();
+    hideSuggestions();
+
+    return {
+        getTags: () => [...tags],
+        addTags: (newTags) => newTags.forEach(addTag)
+    };
+}
+
+// Rename a tag on every task; renaming onto an existing tag merges the two
+async function renameTag(oldTag, newName) {
+    const newTag = normalizeTag(newName);
+    if (!newTag || newTag === oldTag) return;
+
+    const renamed = (tags) => [...new Set(tags.map(t => t === oldTag ? newTag : t))];
+    const changes = [
+        ...Object.values(tasks).flat()
+            .filter(task => (task.tags || []).includes(oldTag))
+            .map(task => taskChange(task, { tags: renamed(task.tags) })),
+        ...await getArchivedTagChanges(oldTag, renamed)
+    ];
+
+    const merged = getAllTags().some(t => t.tag === newTag);
+
+    await applyBulkChanges(merged ? 'merge tags' : 'rename tag', changes);
+
+    // Keep the old color unless the target tag already has one
+    if (tagColors[oldTag] && !tagColors[newTag]) await setTagColor(newTag, tagColors[oldTag]);
+    if (activeTagFilter === oldTag) activeTagFilter = newTag;
+
+    showToast(merged ? `Merged #${oldTag} into #${newTag}` : `Renamed to #${newTag}`, undoToastAction());
+}
+
+// Remove a tag from every task
+async function deleteTag(tag) {
+    const removed = (tags) => tags.filter(t => t !== tag);
+    const changes = [
+        ...Object.values(tasks).flat()
+            .filter(task => (task.tags || []).includes(tag))
+            .map(task => taskChange(task, { tags: removed(task.tags) })),
+        ...await getArchivedTagChanges(tag, removed)
+    ];
+
+    await applyBulkChanges('delete tag', changes);
+    if (activeTagFilter === tag) setTagFilter(tag);
+
+    showToast(`Removed #${tag}`, undoToastAction());
+}
+
+// Tag manager: colors, rename, merge and delete
+function showTagManager() {
+    document.querySelectorAll('.tag-manager-overlay').forEach(p => p.remove());
+
+    const overlay = document.createElement('div');
+    overlay.className = 'add-task-popup-overlay tag-manager-overlay';
+    document.body.appendChild(overlay);
+
+    const closeManager = () => overlay.remove();
+
+    const render = () => {
+        const allTags = getAllTags();
+
+        overlay.innerHTML = `
+            <div class="add-task-popup tag-manager">
+                <div class="add-task-popup-header">
+                    <h3>Manage Tags</h3>
+                    <button class="add-task-popup-close">&times;</button>
+                </div>
+                <div class="add-task-popup-body">
+                    ${allTags.length === 0 ? '<div class="tag-manager-empty">No tags yet. Add them from the task popup or type #tag in the title.</div>' : ''}
+                    ${allTags.map(({ tag, count }) => `
+                        <div class="tag-manager-row" data-tag="${escapeHtml(tag)}">
+                            <span class="task-label tag-color-${getTagColor(tag)}">#${escapeHtml(tag)}</span>
+                            <span class="tag-manager-count">${count} task${count === 1 ? '' : 's'}</span>
+                            <div class="tag-manager-colors">
+                                ${categoryColors.map(color => `
+                                    <div class="color-option ${color} ${getTagColor(tag) === color ? 'selected' : ''}" data-color="${color}" title="${color}"></div>
+                                `).join('')}
+                            </div>
+                            <button class="tag-manager-btn" data-action="rename">Rename</button>
+                            <select class="tag-manager-merge">
+                                <option value="">Merge into…</option>
+                                ${allTags.filter(t => t.tag !== tag).map(t => `<option value="${escapeHtml(t.tag)}">#${escapeHtml(t.tag)}</option>`).join('')}
+                            </select>
+                            <button class="subtask-delete-btn" data-action="delete" title="Remove from all tasks">✕</button>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="add-task-popup-footer">
+                    <button class="add-task-popup-save">Done</button>
+                </div>
+            </div>
+        `;
+
+        overlay.querySelector('.add-task-popup-close').addEventListener('click', closeManager);
+        overlay.querySelector('.add-task-popup-save').addEventListener('click', closeManager);
+
+        overlay.querySelectorAll('.tag-manager-row').forEach(row => {
+            const tag = row.dataset.tag;
+
+            row.querySelectorAll('[data-color]').forEach(btn => {
+                btn.addEventListener('click', async () => {
+                    await setTagColor(tag, btn.dataset.color);
+                    render();
+                });
+            });
+
+            row.querySelector('[data-action="rename"]').addEventListener('click', async () => {
+                const newName = prompt('Rename tag (use an existing name to merge):', tag);
+                if (!newName) return;
+                await renameTag(tag, newName);
+                render();
+            });
+
+            row.querySelector('.tag-manager-merge').addEventListener('change', async (e) => {
+                const target = e.target.value;
+                if (!target) return;
+                if (!confirm(`Merge #${tag} into #${target}?`)) {
+                    e.target.value = '';
+                    return;
+                }
+                await renameTag(tag, target);
+                render();
+            });
+
+            row.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+                if (!confirm(`Remove #${tag} from all tasks?`)) return;
+                await deleteTag(tag);
+                render();
+            });
+        });
+    };
+
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closeManager();
+    });
+
+    render();
+}
@@ -0,0 +1,129 @@
+// Task list layout module
+// Every category in `categories` is a task type with its own sidebar item, view, dashboard
+// column, mobile section and FAB option. The markup is rebuilt from the category list (labels
+// and colors included) whenever it changes.
+
+// Signature of the layout currently on the page
+let taskLayoutKey = null;
+
+// Icon for a category: the built-in lists keep their emoji, others get a colored initial
+function createCategoryIconHTML(categoryId) {
+    const icons = { work: '💼', personal: '🏠' };
+    if (icons[categoryId]) return `<span>${icons[categoryId]}</span>`;
+
+    const initial = getCategoryLabel(categoryId).charAt(0).toUpperCase();
+    return `<span class="category-icon ${getCategoryColor(categoryId)}">${escapeHtml(initial)}</span>`;
+}
+
+// Rebuild the per-category markup; returns true if anything changed
+function renderTaskLayout() {
+    const key = JSON.stringify(categories.map(cat => [cat, getCategoryLabel(cat), getCategoryColor(cat)]));
+    if (key === taskLayoutKey) return false;
+    taskLayoutKey = key;
+
+    renderCategorySidebarItems();
+    renderCategoryViews();
+    renderDashboardColumns();
+    renderMobileTaskSections();
+    renderFabOptions();
+    renderAnalytics();
+
+    // Keep the current view, unless its category was removed
+    showView(currentView === 'dashboard' || document.getElementById(`${currentView}View`) ? currentView : 'dashboard');
+    return true;
+}
+
+// Sidebar navigation items
+function renderCategorySidebarItems() {
+    const container = document.getElementById('sidebarCategories');
+    if (!container) return;
+
+    container.innerHTML = categories.map(cat => `
+        <button class="sidebar-item" data-view="${cat}" title="${escapeHtml(getCategoryLabel(cat))}">
+            ${createCategoryIconHTML(cat)}
+            <span class="sidebar-item-label">${escapeHtml(getCategoryLabel(cat))}</span>
+        </button>
+    `).join('');
+}
+
+// Full views with all sections (filled in by renderTypeView)
+function renderCategoryViews() {
+    const container = document.getElementById('categoryViews');
+    if (!container) return;
+
+    container.innerHTML = categories.map(cat => `
+        <div class="view" id="${cat}View">
+            <div class="section-header">
+                <h3><span class="category-dot ${getCategoryColor(cat)}"></span>${escapeHtml(getCategoryLabel(cat))} Tasks</h3>
+            </div>
+            <div id="${cat}ViewTasks">
+                <div class="loading">Loading tasks</div>
+            </div>
+        </div>
+    `).join('');
+}
+
+// "Today" columns on the dashboard, next to the calendar
+function renderDashboardColumns() {
+    const container = document.getElementById('dashboardColumns');
+    if (!container) return;
+
+    container.querySelectorAll('.dashboard-task-column').forEach(column => column.remove());
+    container.style.setProperty('--task-columns', categories.length);
+
+    const calendarColumn = container.querySelector('.dashboard-calendar-column');
+    categories.forEach(cat => {
+        const label = getCategoryLabel(cat);
+        const column = document.createElement('div');
+        column.className = 'dashboard-task-column';
+        column.innerHTML = `
+            <div class="section-header">
+                <h3><span class="category-dot ${getCategoryColor(cat)}"></span>${escapeHtml(label)} — Today</h3>
+                <a href="#">View all</a>
+            </div>
+            <div class="task-list" data-type="${cat}" data-category="today">
+                <div class="loading">Loading tasks</div>
+            </div>
+            <div class="add-task" data-type="${cat}">+ Add ${escapeHtml(label.toLowerCase())} task</div>
+        `;
+
+        column.querySelector('.section-header a').addEventListener('click', (e) => {
+            e.preventDefault();
+            showView(cat);
+        });
+        const addBtn = column.querySelector('.add-task');
+        addBtn.addEventListener('click', () => showAddTaskInput(cat, addBtn));
+
+        container.insertBefore(column, calendarColumn);
+    });
+}
+
+// Task sections in the mobile tasks panel
+function renderMobileTaskSections() {
+    const container = document.getElementById('mobileTaskSections');
+    if (!container) return;
+
+    container.innerHTML = categories.map(cat => `
+        <div class="mobile-section">
+            <h3><span class="category-dot ${getCategoryColor(cat)}"></span>${escapeHtml(getCategoryLabel(cat))}</h3>
+            <div class="task-list" data-type="${cat}" data-category="today">
+                <div class="loading">Loading tasks</div>
+            </div>
+            <button class="mobile-add-btn" data-type="${cat}">+ Add ${escapeHtml(getCategoryLabel(cat).toLowerCase())} task</button>
+        </div>
+    `).join('');
+
+    container.querySelectorAll('.mobile-add-btn').forEach(btn => {
+        btn.addEventListener('click', () => showMobileAddTask(btn.dataset.type, btn));
+    });
+}
+
+// Options in the floating add menu
+function renderFabOptions() {
+    const fabMenu = document.getElementById('fabMenu');
+    if (!fabMenu) return;
+
+    fabMenu.innerHTML = categories.map(cat => `
+        <button class="fab-option" data-type="${cat}">${createCategoryIconHTML(cat)} ${escapeHtml(getCategoryLabel(cat))} Task</button>
+    `).join('');
+}
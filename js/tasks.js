@@ -1,59 +1,115 @@
 // Task management module
 
-// Local task state
-let tasks = {
-    work: [],
-    personal: []
-};
+// Local task state, keyed by category; a list appears once its first snapshot has loaded
+let tasks = {};
 
-// Real-time listeners
-let taskListeners = [];
+// Real-time listeners, keyed by task type (one per category)
+let taskListeners = {};
 
 // Load tasks from Firestore with real-time updates
 function loadTasks() {
+    // Clear existing listeners
+    Object.values(taskListeners).forEach(unsubscribe => unsubscribe());
+    taskListeners = {};
+
+    syncTaskCategories();
+}
+
+// Follow the category list: listen to tasks of new categories, drop lists of removed ones
+// (their tasks stay in Firestore and come back if the category is restored from the trash)
+function syncTaskCategories() {
     const userDoc = getUserDoc();
 
-    // Clear existing listeners
-    taskListeners.forEach(unsubscribe => unsubscribe());
-    taskListeners = [];
+    Object.keys(taskListeners).forEach(type => {
+        if (categories.includes(type)) return;
+        taskListeners[type]();
+        delete taskListeners[type];
+        delete tasks[type];
+        delete trashedTasks[type];
+    });
+
+    categories.forEach(type => {
+        if (taskListeners[type]) return;
 
-    ['work', 'personal'].forEach(type => {
-        const unsubscribe = userDoc.collection('tasks')
+        taskListeners[type] = userDoc.collection('tasks')
             .where('type', '==', type)
             .orderBy('createdAt', 'desc')
             .onSnapshot(snapshot => {
-                tasks[type] = snapshot.docs.map(doc => ({
+                const docs = snapshot.docs.map(doc => ({
                     id: doc.id,
                     ...doc.data()
                 }));
+                // Soft-deleted tasks live in the trash until restored or purged
+                tasks[type] = docs.filter(t => !t.deletedAt);
+                trashedTasks[type] = docs.filter(t => t.deletedAt);
                 renderTasks();
+                purgeExpiredTrash();
+                archiveCompletedTasks();
+                renderTrash();
+                syncReminders();
             }, error => {
                 console.error(`Error loading ${type} tasks:`, error);
             });
-
-        taskListeners.push(unsubscribe);
     });
+
+    if (renderTaskLayout()) renderTasks();
 }
 
-// Add a new task
-async function addTask(type, title, options = {}) {
-    const userDoc = getUserDoc();
+// Find a task by id across all task lists
+function findTask(taskId) {
+    return Object.values(tasks).flat().find(t => t.id === taskId) || null;
+}
+
+// Fields of a new task document (shared by addTask and templates)
+function buildTaskDoc(type, title, options, rank) {
+    const recurring = normalizeRecurrence(options.recurring);
 
-    const task = {
+    return {
         title: title.trim(),
         type,
         category: options.category || 'today',
         dueDate: options.dueDate || null,
-        recurring: options.recurring || null,
-        recurringPattern: options.recurringPattern || null,
+        dueTime: options.dueTime || null,
+        reminders: options.reminders || [],
+        recurring,
+        recurringPattern: normalizeRecurrence(options.recurringPattern),
+        recurrenceIndex: recurring ? 1 : null,
+        seriesId: recurring ? generateId() : null,
         priorityId: options.priorityId || null,
+        todayPriority: !!options.todayPriority,
+        tags: options.tags || [],
+        estimate: options.estimate || null,
+        rank,
         completed: false,
         completedAt: null,
         createdAt: firebase.firestore.FieldValue.serverTimestamp()
     };
+}
+
+// Series document for a new recurring task
+function buildSeriesDoc(task) {
+    return {
+        title: task.title,
+        type: task.type,
+        recurring: task.recurring,
+        priorityId: task.priorityId,
+        paused: false,
+        stopped: false,
+        skippedDates: [],
+        createdAt: firebase.firestore.FieldValue.serverTimestamp()
+    };
+}
+
+// Add a new task
+async function addTask(type, title, options = {}) {
+    const userDoc = getUserDoc();
+    const task = buildTaskDoc(type, title, options, await getTopRank(type));
 
     try {
         const docRef = await userDoc.collection('tasks').add(task);
+        if (task.seriesId) {
+            await saveSeries(task.seriesId, buildSeriesDoc(task));
+        }
         showToast('Task added!');
         return docRef.id;
     } catch (error) {
@@ -85,19 +141,41 @@ async function completeTask(taskId, type) {
     if (!task) return;
 
     const newCompleted = !task.completed;
+    const previous = { completed: !!task.completed, completedAt: task.completedAt || null };
+    const applyCompletion = () => updateTask(taskId, {
+        completed: newCompleted,
+        completedAt: newCompleted ? firebase.firestore.FieldValue.serverTimestamp() : null
+    });
 
     try {
-        await updateTask(taskId, {
-            completed: newCompleted,
-            completedAt: newCompleted ? firebase.firestore.FieldValue.serverTimestamp() : null
-        });
+        await applyCompletion();
+        if (newCompleted && task.trackingStartedAt) await stopTracking(taskId);
+
+        // Handle recurring task - create next occurrence
+        let spawnedId = null;
+        let spawnedData = null;
+        if (newCompleted && task.recurring) {
+            spawnedId = await createNextRecurrence(task);
+        }
 
-        if (newCompleted) {
-            // Handle recurring task - create next occurrence
-            if (task.recurring) {
-                await createNextRecurrence(task);
+        // Undo also removes the spawned occurrence; redo brings back the same document
+        recordOperation(newCompleted ? 'complete task' : 'reopen task', async () => {
+            if (spawnedId) {
+                const spawned = findTask(spawnedId);
+                if (spawned) spawnedData = snapshotTask(spawned);
+                await getUserDoc().collection('tasks').doc(spawnedId).delete();
             }
-        }
+            await updateTask(taskId, previous);
+        }, async () => {
+            await applyCompletion();
+            if (spawnedId && spawnedData) {
+                await restoreTaskDoc(spawnedId, spawnedData);
+            } else if (spawnedId) {
+                spawnedId = await createNextRecurrence(task);
+            }
+        });
+
+        if (newCompleted) notifyUnblocked([taskId], 'Task completed');
 
         return newCompleted;
     } catch (error) {
@@ -106,66 +184,74 @@ async function completeTask(taskId, type) {
     }
 }
 
-// Create next occurrence of recurring task (silently, no toast)
-async function createNextRecurrence(task) {
+// Build the next occurrence of a recurring task, or null when the series has ended
+function buildNextRecurrence(task) {
     // If task is overdue, base next occurrence on today (not the missed date)
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     const baseDate = task.dueDate && parseLocalDate(task.dueDate) >= today
         ? task.dueDate
         : toLocalDateString(today);
-    const nextDate = calculateNextRecurrence(task.recurring, baseDate);
-    const userDoc = getUserDoc();
+    // Future occurrences follow the series template when there is one
+    const series = task.seriesId ? recurringSeries[task.seriesId] : null;
+    if (series && series.stopped) return null;
 
-    const newTask = {
-        title: task.title,
+    const rule = (series && series.recurring) || task.recurring;
+    const occurrenceIndex = task.recurrenceIndex || 1;
+    const recurrenceDay = getRecurrenceDay(task);
+    const nextDate = getNextOccurrence(rule, baseDate, occurrenceIndex, recurrenceDay);
+
+    // Series has reached its end condition (UNTIL / COUNT)
+    if (!nextDate) return null;
+
+    return {
+        title: (series && series.title) || task.title,
         type: task.type,
         category: 'today',
         dueDate: nextDate,
-        recurring: task.recurring,
-        recurringPattern: task.recurringPattern,
-        priorityId: task.priorityId || null,
+        dueTime: task.dueTime || null,
+        reminders: task.reminders || [],
+        recurring: rule,
+        recurringPattern: rule,
+        recurrenceIndex: occurrenceIndex + 1,
+        recurrenceDay,
+        seriesId: task.seriesId || null,
+        // The next occurrence takes the completed one's place in the list
+        rank: task.rank || null,
+        subtasks: (task.subtasks || []).map(s => ({ ...s, completed: false })),
+        priorityId: series ? (series.priorityId || null) : (task.priorityId || null),
         completed: false,
         completedAt: null,
         createdAt: firebase.firestore.FieldValue.serverTimestamp()
     };
+}
+
+// Create next occurrence of recurring task (silently, no toast); returns the new task id
+async function createNextRecurrence(task) {
+    const newTask = buildNextRecurrence(task);
+    if (!newTask) return;
+
+    const userDoc = getUserDoc();
 
     try {
-        await userDoc.collection('tasks').add(newTask);
+        const docRef = await userDoc.collection('tasks').add(newTask);
         // No toast - silently create next occurrence
+        return docRef.id;
     } catch (error) {
         console.error('Error creating next recurrence:', error);
     }
 }
 
-// Calculate next recurrence date
-function calculateNextRecurrence(pattern, currentDate) {
-    const date = currentDate ? parseLocalDate(currentDate) : new Date();
-
-    switch (pattern) {
-        case 'daily':
-            date.setDate(date.getDate() + 1);
-            break;
-        case 'weekly':
-            date.setDate(date.getDate() + 7);
-            break;
-        case 'monthly':
-            date.setMonth(date.getMonth() + 1);
-            break;
-        default:
-            date.setDate(date.getDate() + 1);
-    }
-
-    return toLocalDateString(date);
-}
-
-// Delete a task
+// Delete a task (moves it to the trash)
 async function deleteTask(taskId) {
-    const userDoc = getUserDoc();
-
     try {
-        await userDoc.collection('tasks').doc(taskId).delete();
-        showToast('Task deleted');
+        await trashTask(taskId);
+
+        recordOperation('delete task',
+            () => restoreTask(taskId),
+            () => trashTask(taskId));
+
+        showToast('Task moved to Trash', undoToastAction());
     } catch (error) {
         console.error('Error deleting task:', error);
         showToast('Failed to delete task');
@@ -175,6 +261,23 @@ async function deleteTask(taskId) {
 
 // Move task to different category
 async function moveTask(taskId, newCategory) {
+    const updates = getMoveUpdates(newCategory);
+    const task = findTask(taskId);
+    const previous = task ? { category: task.category || null, dueDate: task.dueDate || null } : null;
+
+    await updateTask(taskId, updates);
+
+    if (previous) {
+        recordOperation('move task',
+            () => updateTask(taskId, previous),
+            () => updateTask(taskId, updates));
+    }
+
+    showToast(`Task moved to ${formatCategory(updates.category)}`, previous ? undoToastAction() : null);
+}
+
+// Category/due date fields for a move target ('tomorrow' and 'nextWeek' set a date)
+function getMoveUpdates(newCategory) {
     let newDueDate = null;
 
     if (newCategory === 'tomorrow') {
@@ -189,12 +292,17 @@ async function moveTask(taskId, newCategory) {
         newCategory = 'thisWeek';
     }
 
-    await updateTask(taskId, {
+    return {
         category: newCategory,
         dueDate: newDueDate
-    });
+    };
+}
 
-    showToast(`Task moved to ${formatCategory(newCategory)}`);
+// Fields for moving a particular task: a waiting task put into a section is no longer waiting
+function getTaskMoveUpdates(task, newCategory) {
+    const updates = getMoveUpdates(newCategory);
+    if (isWaiting(task)) updates.status = 'notStarted';
+    return updates;
 }
 
 // Toggle today priority on a task
@@ -204,14 +312,30 @@ async function toggleTaskPriority(taskId, type) {
     await updateTask(taskId, { todayPriority: !task.todayPriority });
 }
 
-// Set task as recurring
+// Set task as recurring (pattern is a preset name or RRULE string)
 async function setRecurring(taskId, pattern) {
+    const rule = normalizeRecurrence(pattern);
+    const task = findTask(taskId);
+    const seriesId = (task && task.seriesId) || generateId();
+
     await updateTask(taskId, {
-        recurring: pattern,
-        recurringPattern: pattern
+        recurring: rule,
+        recurringPattern: rule,
+        recurrenceIndex: 1,
+        recurrenceDay: null,
+        seriesId
+    });
+
+    await saveSeries(seriesId, {
+        title: task ? task.title : '',
+        type: task ? task.type : null,
+        recurring: rule,
+        priorityId: (task && task.priorityId) || null,
+        paused: false,
+        stopped: false
     });
 
-    showToast(`Task set to repeat ${pattern}`);
+    showToast(`Task set to repeat ${describeRecurrence(rule)}`);
 }
 
 // Format category for display
@@ -220,7 +344,9 @@ function formatCategory(category) {
         today: 'Today',
         thisWeek: 'This Week',
         nextWeek: 'Next Week & Beyond',
-        backburner: 'Backburner'
+        beyond: 'Beyond',
+        backburner: 'Backburner',
+        waiting: 'Waiting For'
     };
     return labels[category] || category;
 }
@@ -231,6 +357,18 @@ function getTasksByCategory(type, category) {
     today.setHours(0, 0, 0, 0);
 
     return tasks[type].filter(task => {
+        // Paused series only show in the recurring section
+        if (task.paused && !task.completed) return category === 'recurring';
+
+        // Snoozed tasks stay hidden until their start date
+        if (isSnoozed(task)) return false;
+
+        // Waiting tasks have their own section and come back to Today when it's time to follow up
+        if (isWaiting(task)) {
+            if (category === 'waiting') return true;
+            return category === 'today' && isFollowUpDue(task);
+        }
+
         // Show completed tasks in 'completed' section, or if completed today (greyed out)
         if (task.completed) {
             if (category === 'completed') return true;
@@ -270,10 +408,9 @@ function getTasksByCategory(type, category) {
         if (task.dueDate) {
             const dueDate = parseLocalDate(task.dueDate);
 
-            // Get end of this week (Sunday)
-            const endOfThisWeek = new Date(today);
-            const daysUntilSunday = 7 - today.getDay();
-            endOfThisWeek.setDate(today.getDate() + daysUntilSunday);
+            // Get end of this week (the day before the configured week start)
+            const endOfThisWeek = getStartOfWeek(today);
+            endOfThisWeek.setDate(endOfThisWeek.getDate() + 6);
             endOfThisWeek.setHours(23, 59, 59, 999);
 
             // Get end of next week
@@ -295,7 +432,7 @@ function getTasksByCategory(type, category) {
         // Uncompleted first, then priority, then order
         if (a.completed !== b.completed) return a.completed ? 1 : -1;
         if (!!a.todayPriority !== !!b.todayPriority) return a.todayPriority ? -1 : 1;
-        return (a.order || 0) - (b.order || 0);
+        return compareTaskRank(a, b);
     });
 }
 
@@ -305,6 +442,15 @@ function getTodayTasks(type) {
     today.setHours(0, 0, 0, 0);
 
     return tasks[type].filter(task => {
+        // Paused series stay out of today
+        if (task.paused && !task.completed) return false;
+
+        // Snoozed tasks stay hidden until their start date
+        if (isSnoozed(task)) return false;
+
+        // Waiting tasks only show once their follow-up is due
+        if (isWaiting(task)) return isFollowUpDue(task);
+
         // Include today's completed tasks (greyed out)
         if (task.completed) {
             if (task.completedAt) {
@@ -325,95 +471,73 @@ function getTodayTasks(type) {
 
         return task.category === 'today';
     }).sort((a, b) => {
-        // Uncompleted first, then priority, then order
+        // Uncompleted first, blocked tasks after ones that can be started, then priority, then order
         if (a.completed !== b.completed) return a.completed ? 1 : -1;
+        if (isTaskBlocked(a) !== isTaskBlocked(b)) return isTaskBlocked(a) ? 1 : -1;
         if (!!a.todayPriority !== !!b.todayPriority) return a.todayPriority ? -1 : 1;
-        return (a.order || 0) - (b.order || 0);
+        return compareTaskRank(a, b);
     });
 }
 
 // Render tasks to DOM
 function renderTasks() {
     renderDashboardTasks();
-    renderWorkView();
-    renderPersonalView();
+    Object.keys(tasks).forEach(renderTypeView);
     renderMobileTasks();
+    renderSnoozed();
+    renderArchive();
+    renderWeekPlanner();
+    updateSelectionUI();
+    applyKeyboardCursor();
 }
 
 // Render dashboard tasks (today only)
 function renderDashboardTasks() {
-    const workContainer = document.getElementById('dashboardWorkTasks');
-    const personalContainer = document.getElementById('dashboardPersonalTasks');
-
-    if (workContainer) {
-        renderTaskList(workContainer, getTodayTasks('work'), 'work');
-    }
-    if (personalContainer) {
-        renderTaskList(personalContainer, getTodayTasks('personal'), 'personal');
-    }
-}
-
-// Render full work view with sections
-function renderWorkView() {
-    const container = document.getElementById('workViewTasks');
-    if (!container) return;
-
-    container.innerHTML = '';
-
-    const sections = [
-        { id: 'today', label: 'Today' },
-        { id: 'thisWeek', label: 'This Week' },
-        { id: 'nextWeek', label: 'Next Week' },
-        { id: 'beyond', label: 'Beyond' },
-        { id: 'backburner', label: 'Backburner' },
-        { id: 'recurring', label: 'Recurring' }
-    ];
-
-    sections.forEach(section => {
-        const sectionTasks = getTasksByCategory('work', section.id);
-        // Always show all sections
-        const sectionEl = createTaskSection(section.label, sectionTasks, 'work', section.id);
-        container.appendChild(sectionEl);
+    document.querySelectorAll('#dashboardColumns .task-list[data-type]').forEach(container => {
+        // Lists that are still loading keep their placeholder
+        if (!tasks[container.dataset.type]) return;
+        renderTaskList(container, getTodayTasks(container.dataset.type), container.dataset.type);
     });
-
-    // Add "Add Task" button at the bottom
-    const addBtn = document.createElement('div');
-    addBtn.className = 'add-task';
-    addBtn.dataset.type = 'work';
-    addBtn.textContent = '+ Add work task';
-    addBtn.addEventListener('click', () => showAddTaskInput('work', addBtn));
-    container.appendChild(addBtn);
+    renderTimeSummary();
+    renderPlanningSummary();
 }
 
-// Render full personal view with sections
-function renderPersonalView() {
-    const container = document.getElementById('personalViewTasks');
+// Sections of a category's full view (and the board's default columns)
+const TASK_SECTIONS = [
+    { id: 'today', label: 'Today' },
+    { id: 'thisWeek', label: 'This Week' },
+    { id: 'nextWeek', label: 'Next Week' },
+    { id: 'beyond', label: 'Beyond' },
+    { id: 'backburner', label: 'Backburner' },
+    { id: 'waiting', label: 'Waiting For' },
+    { id: 'recurring', label: 'Recurring' }
+];
+
+// Render the full view of a category, as sections or as a board
+function renderTypeView(type) {
+    const container = document.getElementById(`${type}ViewTasks`);
     if (!container) return;
 
     container.innerHTML = '';
+    container.appendChild(createViewLayoutToolbar(type));
 
-    const sections = [
-        { id: 'today', label: 'Today' },
-        { id: 'thisWeek', label: 'This Week' },
-        { id: 'nextWeek', label: 'Next Week' },
-        { id: 'beyond', label: 'Beyond' },
-        { id: 'backburner', label: 'Backburner' },
-        { id: 'recurring', label: 'Recurring' }
-    ];
-
-    sections.forEach(section => {
-        const sectionTasks = getTasksByCategory('personal', section.id);
-        // Always show all sections
-        const sectionEl = createTaskSection(section.label, sectionTasks, 'personal', section.id);
-        container.appendChild(sectionEl);
-    });
+    if (getViewLayout(type) === 'board') {
+        container.appendChild(createTaskBoard(type));
+    } else {
+        TASK_SECTIONS.forEach(section => {
+            const sectionTasks = getTasksByCategory(type, section.id);
+            // Always show all sections
+            const sectionEl = createTaskSection(section.label, sectionTasks, type, section.id);
+            container.appendChild(sectionEl);
+        });
+    }
 
     // Add "Add Task" button at the bottom
     const addBtn = document.createElement('div');
     addBtn.className = 'add-task';
-    addBtn.dataset.type = 'personal';
-    addBtn.textContent = '+ Add personal task';
-    addBtn.addEventListener('click', () => showAddTaskInput('personal', addBtn));
+    addBtn.dataset.type = type;
+    addBtn.textContent = `+ Add ${getCategoryLabel(type).toLowerCase()} task`;
+    addBtn.addEventListener('click', () => showAddTaskInput(type, addBtn));
     container.appendChild(addBtn);
 }
 
@@ -423,13 +547,15 @@ function createTaskSection(label, taskList, type, sectionId = null) {
     section.className = 'task-section';
 
     section.innerHTML = `
-        <div class="task-section-header">${label}</div>
+        <div class="task-section-header">${label}<button class="task-section-select" title="Select all in section">Select all</button></div>
         <div class="task-list" data-section="${label.toLowerCase().replace(/\s+/g, '-')}" data-type="${type}" data-category="${sectionId || label.toLowerCase()}"></div>
     `;
 
     const listContainer = section.querySelector('.task-list');
     renderTaskList(listContainer, taskList, type);
 
+    section.querySelector('.task-section-select').addEventListener('click', () => toggleSectionSelection(listContainer));
+
     return section;
 }
 
@@ -437,6 +563,8 @@ function createTaskSection(label, taskList, type, sectionId = null) {
 function renderTaskList(container, taskList, type) {
     if (!container) return;
 
+    taskList = filterTasksByTag(taskList);
+
     if (taskList.length === 0) {
         container.innerHTML = '<div class="empty"><div class="empty-icon">\u2705</div>All caught up!</div>';
         return;
@@ -452,6 +580,22 @@ function renderTaskList(container, taskList, type) {
     // Initialize drag and drop
     initTaskDragAndDrop(container);
 
+    // Checklist progress chips and expanded checklists
+    bindSubtaskEvents(container);
+
+    // Ctrl/Cmd-click toggles selection, Shift-click selects a range (capture runs before row handlers)
+    container.querySelectorAll('.task-item').forEach(item => {
+        item.addEventListener('mousedown', (e) => {
+            if (e.shiftKey) e.preventDefault();
+        });
+        item.addEventListener('click', (e) => {
+            if (!(e.shiftKey || e.ctrlKey || e.metaKey) || e.target.closest('.task-title-input')) return;
+            e.preventDefault();
+            e.stopPropagation();
+            handleTaskSelectClick(e, item);
+        }, true);
+    });
+
     // Add event listeners
     container.querySelectorAll('.task-checkbox').forEach(checkbox => {
         checkbox.addEventListener('click', (e) => {
@@ -496,6 +640,38 @@ function renderTaskList(container, taskList, type) {
         });
     });
 
+    // Open the detail panel when clicking the row itself
+    container.querySelectorAll('.task-item').forEach(item => {
+        item.addEventListener('click', (e) => {
+            if (e.target.closest('.task-title, .task-title-input, .task-checkbox, .task-actions, .task-delete-btn, .task-drag-handle, .task-label, .task-priority-link, .task-resurfaced')) return;
+            openTaskDetail(item.dataset.taskId);
+        });
+    });
+
+    // Tag chips filter every list to that tag
+    container.querySelectorAll('.task-label[data-tag]').forEach(chip => {
+        chip.addEventListener('click', (e) => {
+            e.stopPropagation();
+            setTagFilter(chip.dataset.tag);
+        });
+    });
+
+    // Priority chips open the priority with all its linked tasks
+    container.querySelectorAll('.task-priority-link').forEach(chip => {
+        chip.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showPriorityDetail(type, chip.dataset.priorityId);
+        });
+    });
+
+    // Resurfaced badges go away once seen
+    container.querySelectorAll('.task-resurfaced').forEach(badge => {
+        badge.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            await updateTask(badge.dataset.taskId, { startDate: null });
+        });
+    });
+
     // Delete button for completed tasks
     container.querySelectorAll('.task-delete-btn').forEach(btn => {
         btn.addEventListener('click', async (e) => {
@@ -511,13 +687,15 @@ function renderTaskList(container, taskList, type) {
 function createTaskHTML(task, type) {
     const recurringLabel = task.recurring ? getRecurringLabel(task.recurring) : '';
     const recurringIcon = task.recurring ? `<span class="task-recurring">\u21bb ${recurringLabel}</span>` : '';
-    const priorityTag = task.priorityId ? `<span class="task-tag">${getPriorityName(task.priorityId, type)}</span>` : '';
+    const priorityName = task.priorityId ? getPriorityName(task.priorityId, type) : '';
+    const priorityTag = priorityName ? `<span class="task-tag task-priority-link" data-priority-id="${task.priorityId}" title="Show priority">${escapeHtml(priorityName)}</span>` : '';
     const dueMeta = task.dueDate && !isToday(task.dueDate) ? `<span class="task-meta">\ud83d\udcc5 ${formatDate(task.dueDate)}</span>` : '';
 
     const today = new Date();
     today.setHours(0, 0, 0, 0);
-    const isOverdue = task.recurring && task.dueDate && !task.completed && parseLocalDate(task.dueDate) < today;
-    const overdueLabel = isOverdue ? `<span class="task-overdue">Overdue</span>` : '';
+    const isOverdue = task.dueDate && !task.completed && parseLocalDate(task.dueDate) < today;
+    const overdueLabel = isOverdue && !task.paused ? `<span class="task-overdue">Overdue</span>` : '';
+    const pausedLabel = task.paused && !task.completed ? `<span class="task-paused">\u23f8 Paused</span>` : '';
 
     // Different actions for completed vs active tasks
     const actions = task.completed
@@ -529,30 +707,34 @@ function createTaskHTML(task, type) {
            </div>`;
 
     return `
-        <div class="task-item ${task.completed ? 'completed' : ''} ${task.todayPriority ? 'priority-task' : ''}" data-task-id="${task.id}" data-type="${type}" data-order="${task.order || 0}">
+        <div class="task-item ${task.completed ? 'completed' : ''} ${task.todayPriority ? 'priority-task' : ''} ${isTaskBlocked(task) ? 'blocked' : ''} ${isTaskSelected(task.id) ? 'selected' : ''}" data-task-id="${task.id}" data-type="${type}">
             ${task.completed ? '' : '<span class="task-drag-handle">\u2630</span>'}
             <div class="task-checkbox ${task.completed ? 'checked' : ''}"></div>
             <div class="task-content">
                 <span class="task-title ${task.completed ? 'completed' : ''}">${escapeHtml(task.title)}</span>
                 ${recurringIcon}
+                ${createSubtaskProgressHTML(task)}
                 ${priorityTag}
+                ${createTagChipsHTML(task)}
                 ${overdueLabel}
+                ${pausedLabel}
+                ${createStatusHTML(task)}
+                ${createResurfacedHTML(task)}
+                ${createBlockedHTML(task)}
+                ${createTimeHTML(task)}
                 ${dueMeta}
+                ${createDueTimeHTML(task)}
             </div>
             ${actions}
         </div>
+        ${createSubtaskListHTML(task)}
     `;
 }
 
-// Get recurring label
+// Get recurring label (daily tasks just show the icon)
 function getRecurringLabel(pattern) {
-    const labels = {
-        'daily': '',
-        'weekdays': 'weekdays',
-        'weekly': 'weekly',
-        'monthly': 'monthly'
-    };
-    return labels[pattern] || pattern;
+    const label = describeRecurrence(pattern);
+    return label === 'daily' ? '' : label;
 }
 
 // Handle task completion with celebration
@@ -620,11 +802,23 @@ function showTaskDropdown(taskItem, type) {
     const dropdown = document.createElement('div');
     dropdown.className = 'dropdown';
     dropdown.innerHTML = `
+        <div class="dropdown-item" data-action="details">\ud83d\udcdd Open Details</div>
         <div class="dropdown-item" data-action="setDueDate">\ud83d\udcc6 Set Due Date</div>
         <div class="dropdown-item" data-action="tomorrow">\u23f0 Delay to Tomorrow</div>
         <div class="dropdown-item" data-action="nextWeek">\ud83d\udcc5 Delay to Next Week</div>
         <div class="dropdown-item" data-action="backburner">\ud83d\udd25 Move to Backburner</div>
+        <div class="dropdown-item" data-action="snooze">\ud83d\udca4 Snooze until\u2026</div>
         <div class="dropdown-divider"></div>
+        <div class="dropdown-submenu">
+            <div class="dropdown-item">\u25d0 Status \u25b6</div>
+            <div class="dropdown-submenu-content">
+                ${TASK_STATUSES.map(status => `
+                    <div class="dropdown-item" data-action="status-${status.id}">${status.icon} ${status.label}${task && getTaskStatus(task) === status.id ? ' \u2713' : ''}</div>
+                `).join('')}
+            </div>
+        </div>
+        <div class="dropdown-item" data-action="addSubtask">\u2611 Add Checklist Step</div>
+        <div class="dropdown-item" data-action="tracking">${task && task.trackingStartedAt ? '\u23f9 Stop Timer' : '\u23fa Start Timer'}</div>
         <div class="dropdown-submenu">
             <div class="dropdown-item">\ud83d\udd01 Set Recurring \u25b6</div>
             <div class="dropdown-submenu-content">
@@ -632,9 +826,11 @@ function showTaskDropdown(taskItem, type) {
                 <div class="dropdown-item" data-action="recurring-weekdays">Weekdays</div>
                 <div class="dropdown-item" data-action="recurring-weekly">Weekly</div>
                 <div class="dropdown-item" data-action="recurring-monthly">Monthly</div>
+                <div class="dropdown-item" data-action="recurring-custom">Custom\u2026</div>
                 ${task && task.recurring ? '<div class="dropdown-divider"></div><div class="dropdown-item" data-action="recurring-none">Remove Recurring</div>' : ''}
             </div>
         </div>
+        ${task && task.recurring ? '<div class="dropdown-item" data-action="series">\ud83d\udcca Manage Series</div>' : ''}
         <div class="dropdown-divider"></div>
         <div class="dropdown-item danger" data-action="delete">\ud83d\uddd1 Delete Task</div>
     `;
@@ -653,14 +849,26 @@ function showTaskDropdown(taskItem, type) {
             e.stopPropagation();
             const action = item.dataset.action;
 
-            if (action === 'setDueDate') {
+            if (action === 'details') {
+                openTaskDetail(taskId);
+            } else if (action === 'setDueDate') {
                 showDatePicker(taskId);
+            } else if (action === 'addSubtask') {
+                startAddingSubtask(taskId);
+            } else if (action === 'tracking') {
+                await toggleTracking(taskId);
             } else if (action === 'tomorrow') {
                 await moveTask(taskId, 'tomorrow');
             } else if (action === 'nextWeek') {
                 await moveTask(taskId, 'nextWeek');
             } else if (action === 'backburner') {
                 await moveTask(taskId, 'backburner');
+            } else if (action === 'snooze') {
+                showSnoozePicker(taskId);
+            } else if (action === 'status-waiting') {
+                showWaitingForDialog(taskId);
+            } else if (action.startsWith('status-')) {
+                await setTaskStatus(taskId, action.slice('status-'.length));
             } else if (action === 'recurring-daily') {
                 await setRecurring(taskId, 'daily');
             } else if (action === 'recurring-weekdays') {
@@ -669,11 +877,19 @@ function showTaskDropdown(taskItem, type) {
                 await setRecurring(taskId, 'weekly');
             } else if (action === 'recurring-monthly') {
                 await setRecurring(taskId, 'monthly');
+            } else if (action === 'recurring-custom') {
+                showRecurrenceEditor(task && task.recurring, (pattern) => setRecurring(taskId, pattern));
             } else if (action === 'recurring-none') {
-                await updateTask(taskId, { recurring: null, recurringPattern: null });
+                if (task && task.seriesId) {
+                    await stopSeries(task.seriesId, { silent: true });
+                } else {
+                    await updateTask(taskId, { recurring: null, recurringPattern: null, recurrenceIndex: null, recurrenceDay: null });
+                }
                 showToast('Recurring removed');
+            } else if (action === 'series') {
+                showSeriesPanel(taskId);
             } else if (action === 'delete') {
-                if (confirm('Delete this task?')) {
+                if (confirm('Move this task to Trash?')) {
                     await deleteTask(taskId);
                 }
             }
@@ -734,6 +950,10 @@ function initTaskDragAndDrop(container) {
     // Drag is now handled globally via event delegation
 }
 
+// Edge zone (px) and top speed (px per frame) for auto-scrolling while dragging
+const DRAG_SCROLL_EDGE = 60;
+const DRAG_SCROLL_SPEED = 16;
+
 function startDrag(e, item) {
     e.preventDefault();
     e.stopPropagation();
@@ -743,6 +963,7 @@ function startDrag(e, item) {
 
     // Get initial position
     const rect = item.getBoundingClientRect();
+    const clientX = e.touches ? e.touches[0].clientX : e.clientX;
     const clientY = e.touches ? e.touches[0].clientY : e.clientY;
 
     // Create placeholder
@@ -756,9 +977,14 @@ function startDrag(e, item) {
         element: item,
         placeholder: placeholder,
         container: container,
+        sourceContainer: container,
         startY: clientY,
+        offsetX: clientX - rect.left,
         offsetY: clientY - rect.top,
-        initialIndex: Array.from(container.children).indexOf(item)
+        clientX,
+        clientY,
+        scrollFrame: null,
+        initialIndex: Array.from(container.querySelectorAll('.task-item')).indexOf(item)
     };
 
     // Style the dragged element
@@ -768,30 +994,138 @@ function startDrag(e, item) {
     item.style.left = rect.left + 'px';
     item.style.top = rect.top + 'px';
     item.style.zIndex = '1000';
+    item.style.pointerEvents = 'none';
 
     // Insert placeholder
     container.insertBefore(placeholder, item);
     document.body.appendChild(item);
+    container.classList.add('drop-target');
 
     // Add move/end listeners
     document.addEventListener('mousemove', onDragMove);
     document.addEventListener('mouseup', onDragEnd);
     document.addEventListener('touchmove', onDragMove, { passive: false });
     document.addEventListener('touchend', onDragEnd);
+    document.addEventListener('touchcancel', onDragEnd);
+
+    dragState.scrollFrame = requestAnimationFrame(autoScrollWhileDragging);
 }
 
-function onDragMove(e) {
+// Where a task lands when dropped into a list: the type and category (or board status / planner day) the list stands for
+function getDropTarget(container) {
+    return {
+        type: container.dataset.type,
+        category: container.dataset.category || 'today',
+        status: container.dataset.status || null,
+        dueDate: container.dataset.date || null
+    };
+}
+
+// Whether a list accepts tasks dragged in from elsewhere (the recurring and waiting sections only reorder)
+function canDropInto(container) {
+    if (container === dragState.sourceContainer) return true;
+    return !!container.dataset.type && !['recurring', 'waiting'].includes(container.dataset.category);
+}
+
+// Fields to change when a task moves between lists, using the same rules as moveTask
+function getDropUpdates(source, target, task) {
+    const updates = {};
+
+    // Dropping a waiting task into a section (even from Today, where due follow-ups show) means it's no longer waiting
+    if (target.category !== source.category) {
+        Object.assign(updates, getTaskMoveUpdates(task, target.category));
+    }
+    // Status board columns; waiting and done need more than a field and are handled after the drop
+    if (target.status && target.status !== source.status && !['waiting', 'done'].includes(target.status)) {
+        updates.status = target.status;
+    }
+    // Week planner days set the due date
+    if (target.dueDate && target.dueDate !== source.dueDate) {
+        updates.dueDate = target.dueDate;
+    }
+    if (target.type !== source.type) {
+        updates.type = target.type;
+        // Priorities belong to one type
+        updates.priorityId = null;
+    }
+    return updates;
+}
+
+// What changes when dropping into a list, e.g. "Personal · This Week"
+function describeDropTarget(source, target) {
+    const parts = [];
+    if (target.type !== source.type) parts.push(getCategoryLabel(target.type));
+    if (target.category !== source.category) parts.push(formatCategory(target.category));
+    if (target.status && target.status !== source.status) parts.push(TASK_STATUSES.find(s => s.id === target.status).label);
+    if (target.dueDate && target.dueDate !== source.dueDate) parts.push(formatDate(target.dueDate));
+    return parts.join(' · ');
+}
+
+// The task list under the pointer (falls back to the current one)
+function getListAtPoint(x, y) {
+    const el = document.elementFromPoint(x, y);
+    const list = el && el.closest('.task-list');
+    if (list && canDropInto(list)) return list;
+
+    // Over a section header or the gap around a list: use that section's list
+    const section = el && el.closest('.task-section');
+    const sectionList = section && section.querySelector('.task-list');
+    return sectionList && canDropInto(sectionList) ? sectionList : dragState.container;
+}
+
+// Nearest scrollable ancestor (or the page)
+function getScrollParent(el) {
+    for (let node = el; node && node !== document.body; node = node.parentElement) {
+        const overflowY = getComputedStyle(node).overflowY;
+        if ((overflowY === 'auto' || overflowY === 'scroll') && node.scrollHeight > node.clientHeight) return node;
+    }
+    return document.scrollingElement;
+}
+
+// Scroll the list's scroll container while the pointer is near its top or bottom edge
+function autoScrollWhileDragging() {
     if (!dragState.dragging) return;
-    e.preventDefault();
 
-    const clientY = e.touches ? e.touches[0].clientY : e.clientY;
-    const newTop = clientY - dragState.offsetY;
+    const scroller = getScrollParent(dragState.placeholder.parentElement);
+    const bounds = scroller === document.scrollingElement
+        ? { top: 0, bottom: window.innerHeight }
+        : scroller.getBoundingClientRect();
 
-    // Move the dragged element
-    dragState.element.style.top = newTop + 'px';
+    let speed = 0;
+    if (dragState.clientY < bounds.top + DRAG_SCROLL_EDGE) {
+        speed = -DRAG_SCROLL_SPEED * (1 - Math.max(0, dragState.clientY - bounds.top) / DRAG_SCROLL_EDGE);
+    } else if (dragState.clientY > bounds.bottom - DRAG_SCROLL_EDGE) {
+        speed = DRAG_SCROLL_SPEED * (1 - Math.max(0, bounds.bottom - dragState.clientY) / DRAG_SCROLL_EDGE);
+    }
+
+    if (speed) {
+        scroller.scrollTop += speed;
+        positionPlaceholder();
+    }
+
+    dragState.scrollFrame = requestAnimationFrame(autoScrollWhileDragging);
+}
+
+// Move the placeholder to where the task would drop
+function positionPlaceholder() {
+    const { clientX, clientY, placeholder } = dragState;
+
+    // Switch lists when hovering a different one
+    const list = getListAtPoint(clientX, clientY);
+    if (list !== dragState.container) {
+        dragState.container.classList.remove('drop-target');
+        dragState.container = list;
+        list.classList.add('drop-target');
+    }
+
+    const preview = list === dragState.sourceContainer
+        ? ''
+        : describeDropTarget(getDropTarget(dragState.sourceContainer), getDropTarget(list));
+    placeholder.textContent = preview ? `Move to ${preview}` : '';
+    placeholder.classList.toggle('moving', !!preview);
 
     // Find the element we're hovering over
-    const siblings = Array.from(dragState.container.querySelectorAll('.task-item:not(.dragging), .task-placeholder'));
+    const siblings = Array.from(list.querySelectorAll('.task-item:not(.dragging), .task-placeholder'));
 
     for (let i = 0; i < siblings.length; i++) {
         const sibling = siblings[i];
@@ -799,20 +1133,33 @@ function onDragMove(e) {
         const midpoint = rect.top + rect.height / 2;
 
         if (clientY < midpoint) {
-            if (sibling !== dragState.placeholder) {
-                dragState.container.insertBefore(dragState.placeholder, sibling);
+            if (sibling !== placeholder) {
+                list.insertBefore(placeholder, sibling);
             }
             return;
         }
     }
 
     // If we're past all items, append at the end
-    const lastItem = siblings[siblings.length - 1];
-    if (lastItem && lastItem !== dragState.placeholder) {
-        dragState.container.appendChild(dragState.placeholder);
+    if (list.lastElementChild !== placeholder) {
+        list.appendChild(placeholder);
     }
 }
 
+function onDragMove(e) {
+    if (!dragState.dragging) return;
+    e.preventDefault();
+
+    dragState.clientX = e.touches ? e.touches[0].clientX : e.clientX;
+    dragState.clientY = e.touches ? e.touches[0].clientY : e.clientY;
+
+    // Move the dragged element
+    dragState.element.style.left = (dragState.clientX - dragState.offsetX) + 'px';
+    dragState.element.style.top = (dragState.clientY - dragState.offsetY) + 'px';
+
+    positionPlaceholder();
+}
+
 async function onDragEnd(e) {
     if (!dragState.dragging) return;
 
@@ -821,8 +1168,11 @@ async function onDragEnd(e) {
     document.removeEventListener('mouseup', onDragEnd);
     document.removeEventListener('touchmove', onDragMove);
     document.removeEventListener('touchend', onDragEnd);
+    document.removeEventListener('touchcancel', onDragEnd);
+    cancelAnimationFrame(dragState.scrollFrame);
 
-    const { element, placeholder, container } = dragState;
+    const { element, placeholder, container, sourceContainer } = dragState;
+    dragState.dragging = false;
 
     // Reset element styles
     element.classList.remove('dragging');
@@ -831,22 +1181,56 @@ async function onDragEnd(e) {
     element.style.left = '';
     element.style.top = '';
     element.style.zIndex = '';
+    element.style.pointerEvents = '';
+    container.classList.remove('drop-target');
 
     // Insert element at placeholder position
     container.insertBefore(element, placeholder);
     placeholder.remove();
 
-    // Get new order and save
-    const taskElements = Array.from(container.querySelectorAll('.task-item:not(.task-placeholder)'));
+    // The dropped task takes a rank between its new neighbours: one write per move
+    const taskElements = Array.from(container.querySelectorAll('.task-item'));
     const newIndex = taskElements.indexOf(element);
-
-    if (newIndex !== dragState.initialIndex) {
-        // Save new order to Firestore
-        const updates = taskElements.map((el, i) => {
-            return updateTask(el.dataset.taskId, { order: i });
+    const taskId = element.dataset.taskId;
+    const task = findTask(taskId);
+    const moved = container !== sourceContainer || newIndex !== dragState.initialIndex;
+
+    if (task && moved) {
+        const source = getDropTarget(sourceContainer);
+        const target = getDropTarget(container);
+        const updates = container === sourceContainer ? {} : getDropUpdates(source, target, task);
+        const type = updates.type || task.type;
+        updates.rank = await getRankBetweenTasks(type,
+            taskElements[newIndex - 1] ? findTask(taskElements[newIndex - 1].dataset.taskId) : null,
+            taskElements[newIndex + 1] ? findTask(taskElements[newIndex + 1].dataset.taskId) : null);
+
+        const previous = {};
+        Object.keys(updates).forEach(key => previous[key] = task[key] === undefined ? null : task[key]);
+
+        // Recurring tasks take their series along to the other type
+        const moveSeries = (fields) => task.seriesId && updates.type
+            ? saveSeries(task.seriesId, { type: fields.type, priorityId: fields.priorityId })
+            : null;
+
+        await updateTask(taskId, updates);
+        await moveSeries(updates);
+
+        recordOperation(container === sourceContainer ? 'reorder tasks' : 'move task', async () => {
+            await updateTask(taskId, previous);
+            await moveSeries(previous);
+        }, async () => {
+            await updateTask(taskId, updates);
+            await moveSeries(updates);
         });
-        await Promise.all(updates);
-        showToast('Tasks reordered');
+
+        showToast(container === sourceContainer
+            ? 'Tasks reordered'
+            : `Task moved to ${describeDropTarget(source, target) || formatCategory(target.category)}`, undoToastAction());
+
+        // Waiting asks who for; done and reopening go through completion
+        if (target.status === 'waiting' && source.status !== 'waiting') showWaitingForDialog(taskId);
+        if (target.status === 'done') await setTaskStatus(taskId, 'done');
+        if (source.status === 'done' && target.status && target.status !== 'done' && target.status !== 'waiting') await completeTask(taskId, task.type);
     }
 
     // Reset state
@@ -855,18 +1239,10 @@ async function onDragEnd(e) {
 
 // Render mobile tasks
 function renderMobileTasks() {
-    const workContainer = document.getElementById('mobileWorkTasks');
-    const personalContainer = document.getElementById('mobilePersonalTasks');
-
-    if (workContainer) {
-        const workTasks = getTodayTasks('work');
-        renderTaskList(workContainer, workTasks, 'work');
-    }
-
-    if (personalContainer) {
-        const personalTasks = getTodayTasks('personal');
-        renderTaskList(personalContainer, personalTasks, 'personal');
-    }
+    document.querySelectorAll('#mobileTaskSections .task-list[data-type]').forEach(container => {
+        if (!tasks[container.dataset.type]) return;
+        renderTaskList(container, getTodayTasks(container.dataset.type), container.dataset.type);
+    });
 }
 
 // Date helpers - always use local time to avoid UTC timezone bugs
@@ -889,6 +1265,11 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+// Escape text for a quoted HTML attribute (escapeHtml leaves quotes alone)
+function escapeAttr(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
 function isToday(dateString) {
     const today = new Date();
     const date = parseLocalDate(dateString);
@@ -918,7 +1299,7 @@ function showDatePicker(taskId) {
     // Close any existing date pickers
     document.querySelectorAll('.date-picker-popup').forEach(p => p.remove());
 
-    const task = [...tasks.work, ...tasks.personal].find(t => t.id === taskId);
+    const task = findTask(taskId);
     if (!task) return;
 
     const popup = document.createElement('div');
@@ -937,6 +1318,7 @@ function showDatePicker(taskId) {
             <button data-days="7">Next Week</button>
             <button data-clear="true">Clear</button>
         </div>
+        ${createReminderFieldsHTML(task.dueTime, task.reminders)}
         <div class="date-picker-actions">
             <button class="date-picker-cancel">Cancel</button>
             <button class="date-picker-save">Save</button>
@@ -960,6 +1342,7 @@ function showDatePicker(taskId) {
     document.body.appendChild(popup);
 
     const input = popup.querySelector('.date-picker-input');
+    const readReminders = initReminderFields(popup.querySelector('.reminder-fields'));
 
     // Quick date buttons
     popup.querySelectorAll('.date-picker-quick button').forEach(btn => {
@@ -983,8 +1366,13 @@ function showDatePicker(taskId) {
     // Save button
     popup.querySelector('.date-picker-save').addEventListener('click', async () => {
         const newDate = input.value || null;
-        await updateTask(taskId, { dueDate: newDate });
-        showToast(newDate ? `Due date set to ${formatDate(newDate)}` : 'Due date cleared');
+        // Times and reminders only make sense with a date
+        const { dueTime, reminders } = newDate ? readReminders() : { dueTime: null, reminders: [] };
+        requestReminderPermission(reminders);
+        await updateTask(taskId, { dueDate: newDate, dueTime, reminders });
+        showToast(newDate
+            ? `Due ${formatDate(newDate)}${dueTime ? ` at ${formatTime12(dueTime)}` : ''}`
+            : 'Due date cleared');
         popup.remove();
     });
 
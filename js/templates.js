@@ -0,0 +1,466 @@
+// Task templates module
+// A template (users/{uid}/templates/{id}) is a named list of tasks to create together, e.g. a
+// weekly review. Each item keeps its list, a due date offset in days from the day the template
+// is used (or a category when it has none), recurrence and priority. Titles may contain
+// placeholders like {client} that are filled in when the template is used.
+
+// Local template state, sorted by name
+let taskTemplates = [];
+
+// Real-time listener
+let templatesListener = null;
+
+// Categories an undated template item can go to
+const TEMPLATE_CATEGORIES = ['today', 'thisWeek', 'nextWeek', 'backburner'];
+
+// Load templates from Firestore with real-time updates
+function loadTemplates() {
+    if (templatesListener) templatesListener();
+
+    templatesListener = getUserDoc().collection('templates')
+        .onSnapshot(snapshot => {
+            taskTemplates = snapshot.docs
+                .map(doc => ({ id: doc.id, ...doc.data() }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+        }, error => {
+            console.error('Error loading templates:', error);
+        });
+}
+
+// Create or update a template
+async function saveTemplate(templateId, name, items) {
+    const templatesRef = getUserDoc().collection('templates');
+
+    try {
+        await (templateId ? templatesRef.doc(templateId) : templatesRef.doc()).set({
+            name,
+            items,
+            updatedAt: firebase.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+        showToast(`Template "${name}" saved`);
+    } catch (error) {
+        console.error('Error saving template:', error);
+        showToast('Failed to save template');
+        throw error;
+    }
+}
+
+// Delete a template
+async function deleteTemplate(templateId) {
+    try {
+        await getUserDoc().collection('templates').doc(templateId).delete();
+    } catch (error) {
+        console.error('Error deleting template:', error);
+        showToast('Failed to delete template');
+    }
+}
+
+// Placeholder names used in a template's titles, in order of appearance
+function getTemplateVariables(template) {
+    const names = new Set();
+    template.items.forEach(item => {
+        for (const match of item.title.matchAll(/\{([^{}]+)\}/g)) names.add(match[1].trim());
+    });
+    return [...names];
+}
+
+// Replace {placeholders} with their values
+function fillPlaceholders(text, values) {
+    return text.replace(/\{([^{}]+)\}/g, (match, name) => values[name.trim()] || match);
+}
+
+// Date a number of days after another (YYYY-MM-DD)
+function addDaysToDate(dateString, days) {
+    const date = parseLocalDate(dateString);
+    date.setDate(date.getDate() + days);
+    return toLocalDateString(date);
+}
+
+// Template item for an existing task (its due date becomes an offset from today)
+function templateItemFromTask(task) {
+    const today = toLocalDateString(new Date());
+    return {
+        title: task.title,
+        type: task.type,
+        category: TEMPLATE_CATEGORIES.includes(task.category) ? task.category : 'today',
+        dueOffset: task.dueDate ? Math.max(0, Math.round((parseLocalDate(task.dueDate) - parseLocalDate(today)) / (24 * 60 * 60 * 1000))) : null,
+        recurring: task.recurring || null,
+        priorityId: task.priorityId || null,
+        estimate: task.estimate || null,
+        tags: task.tags || []
+    };
+}
+
+// Empty template item
+function createTemplateItem(type) {
+    return { title: '', type, category: 'today', dueOffset: null, recurring: null, priorityId: null, estimate: null, tags: [] };
+}
+
+// Task documents a template would create when used on a start date
+function buildTemplateTasks(template, startDate, values) {
+    return template.items
+        .filter(item => categories.includes(item.type) && item.title.trim())
+        .map(item => ({
+            type: item.type,
+            title: fillPlaceholders(item.title, values),
+            options: {
+                category: item.category || 'today',
+                dueDate: item.dueOffset === null || item.dueOffset === undefined ? null : addDaysToDate(startDate, item.dueOffset),
+                recurring: item.recurring,
+                recurringPattern: item.recurring,
+                priorityId: findPriority(item.type, item.priorityId) ? item.priorityId : null,
+                estimate: item.estimate,
+                tags: item.tags
+            }
+        }));
+}
+
+// Create all of a template's tasks in one batch (undoable as one operation)
+async function useTemplate(template, startDate, values) {
+    const planned = buildTemplateTasks(template, startDate, values);
+    if (planned.length === 0) {
+        showToast('This template has no tasks for your current lists');
+        return;
+    }
+
+    const userDoc = getUserDoc();
+    const created = [];
+
+    // Keep the template's order at the top of each list
+    const ranks = {};
+    for (const type of new Set(planned.map(p => p.type))) {
+        ranks[type] = await getTopRanks(type, planned.filter(p => p.type === type).length);
+    }
+
+    planned.forEach(({ type, title, options }) => {
+        const task = buildTaskDoc(type, title, options, ranks[type].shift());
+        created.push({ ref: userDoc.collection('tasks').doc(), data: task });
+        if (task.seriesId) {
+            created.push({ ref: userDoc.collection('series').doc(task.seriesId), data: buildSeriesDoc(task) });
+        }
+    });
+
+    try {
+        await applyBulkChanges(`use template "${template.name}"`, [], created);
+        showToast(`${planned.length} task${planned.length === 1 ? '' : 's'} added from "${template.name}"`, undoToastAction());
+    } catch (error) {
+        console.error('Error using template:', error);
+        showToast('Failed to add tasks from template');
+    }
+}
+
+// Save selected tasks as a new template
+function saveTasksAsTemplate(taskList) {
+    if (taskList.length === 0) return;
+    showTemplateEditor({ name: '', items: taskList.map(templateItemFromTask) });
+}
+
+// List of templates with use/edit/delete
+function showTemplateManager() {
+    document.querySelectorAll('.template-manager-overlay').forEach(p => p.remove());
+
+    const overlay = document.createElement('div');
+    overlay.className = 'add-task-popup-overlay template-manager-overlay';
+    document.body.appendChild(overlay);
+
+    const closeManager = () => overlay.remove();
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closeManager();
+    });
+
+    const render = () => {
+        overlay.innerHTML = `
+            <div class="add-task-popup template-manager">
+                <div class="add-task-popup-header">
+                    <h3>📋 Templates</h3>
+                    <button class="add-task-popup-close">&times;</button>
+                </div>
+                <div class="add-task-popup-body">
+                    ${taskTemplates.length === 0 ? '<div class="tag-manager-empty">No templates yet. Create one here, or select tasks and choose "Save as Template".</div>' : ''}
+                    ${taskTemplates.map(template => `
+                        <div class="template-row" data-template-id="${template.id}">
+                            <div class="template-row-info">
+                                <div class="template-row-name">${escapeHtml(template.name)}</div>
+                                <div class="template-row-meta">${template.items.length} task${template.items.length === 1 ? '' : 's'}${getTemplateVariables(template).map(v => ` · {${escapeHtml(v)}}`).join('')}</div>
+                            </div>
+                            <button class="tag-manager-btn" data-action="use">Use</button>
+                            <button class="tag-manager-btn" data-action="edit">Edit</button>
+                            <button class="subtask-delete-btn" data-action="delete" title="Delete template">✕</button>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="add-task-popup-footer">
+                    <button class="add-task-popup-cancel template-new-btn">+ New Template</button>
+                    <button class="add-task-popup-save">Done</button>
+                </div>
+            </div>
+        `;
+
+        overlay.querySelector('.add-task-popup-close').addEventListener('click', closeManager);
+        overlay.querySelector('.add-task-popup-save').addEventListener('click', closeManager);
+        overlay.querySelector('.template-new-btn').addEventListener('click', () => {
+            closeManager();
+            showTemplateEditor({ name: '', items: [createTemplateItem(categories[0])] });
+        });
+
+        overlay.querySelectorAll('.template-row').forEach(row => {
+            const template = taskTemplates.find(t => t.id === row.dataset.templateId);
+
+            row.querySelector('[data-action="use"]').addEventListener('click', () => {
+                closeManager();
+                showUseTemplate(template);
+            });
+
+            row.querySelector('[data-action="edit"]').addEventListener('click', () => {
+                closeManager();
+                showTemplateEditor(template);
+            });
+
+            row.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+                if (!confirm(`Delete the template "${template.name}"? Tasks created from it are kept.`)) return;
+                await deleteTemplate(template.id);
+                taskTemplates = taskTemplates.filter(t => t.id !== template.id);
+                render();
+            });
+        });
+    };
+
+    render();
+}
+
+// <option>s for a template item's repeat picker
+function createTemplateRepeatOptionsHTML(recurring) {
+    const presets = ['daily', 'weekdays', 'weekly', 'monthly'];
+    const isCustom = recurring && !presets.some(p => RECURRENCE_PRESETS[p] === recurring);
+    return `
+        <option value="">No repeat</option>
+        ${presets.map(p => `<option value="${RECURRENCE_PRESETS[p]}" ${RECURRENCE_PRESETS[p] === recurring ? 'selected' : ''}>${describeRecurrence(p)}</option>`).join('')}
+        ${isCustom ? `<option value="${recurring}" selected>${escapeHtml(describeRecurrence(recurring))}</option>` : ''}
+        <option value="custom">Custom…</option>
+    `;
+}
+
+// Create or edit a template (a template without an id is new)
+function showTemplateEditor(template) {
+    document.querySelectorAll('.template-editor-overlay').forEach(p => p.remove());
+
+    const overlay = document.createElement('div');
+    overlay.className = 'add-task-popup-overlay template-editor-overlay';
+    document.body.appendChild(overlay);
+
+    const closeEditor = () => overlay.remove();
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closeEditor();
+    });
+
+    let name = template.name;
+    const items = template.items.map(item => ({ ...createTemplateItem(item.type), ...item }));
+
+    // Read the inputs back into `items` before re-rendering or saving
+    const collect = () => {
+        name = overlay.querySelector('.template-name').value;
+        overlay.querySelectorAll('.template-item').forEach((row, i) => {
+            const offset = row.querySelector('.template-item-offset').value.trim();
+            items[i].title = row.querySelector('.template-item-title').value;
+            items[i].dueOffset = offset === '' ? null : Math.max(0, parseInt(offset) || 0);
+            items[i].category = row.querySelector('.template-item-category').value;
+            items[i].priorityId = row.querySelector('.template-item-priority').value || null;
+        });
+    };
+
+    const render = () => {
+        overlay.innerHTML = `
+            <div class="add-task-popup template-editor">
+                <div class="add-task-popup-header">
+                    <h3>${template.id ? 'Edit Template' : 'New Template'}</h3>
+                    <button class="add-task-popup-close">&times;</button>
+                </div>
+                <div class="add-task-popup-body">
+                    <input type="text" class="add-task-popup-title template-name" placeholder="Template name, e.g. Weekly review" value="${escapeAttr(name)}" />
+                    <div class="template-hint">Use placeholders like {client} in titles; you fill them in when using the template. Due days count from the day you use it.</div>
+
+                    ${items.map((item, i) => `
+                        <div class="template-item" data-index="${i}">
+                            <div class="template-item-main">
+                                <input type="text" class="add-task-popup-date template-item-title" placeholder="Task title" value="${escapeAttr(item.title)}" />
+                                <button class="subtask-delete-btn" data-remove="${i}" title="Remove task">✕</button>
+                            </div>
+                            <div class="template-item-fields">
+                                <select class="add-task-popup-date template-item-type" title="List">
+                                    ${categories.map(cat => `<option value="${cat}" ${cat === item.type ? 'selected' : ''}>${escapeHtml(getCategoryLabel(cat))}</option>`).join('')}
+                                    ${categories.includes(item.type) ? '' : `<option value="${escapeAttr(item.type)}" selected>${escapeHtml(item.type)} (deleted)</option>`}
+                                </select>
+                                <label class="template-item-offset-label">Due +<input type="number" min="0" class="add-task-popup-date template-item-offset" placeholder="–" value="${item.dueOffset ?? ''}" /> days</label>
+                                <select class="add-task-popup-date template-item-category" title="Section when there is no due date" ${item.dueOffset === null ? '' : 'disabled'}>
+                                    ${TEMPLATE_CATEGORIES.map(c => `<option value="${c}" ${c === item.category ? 'selected' : ''}>${formatCategory(c)}</option>`).join('')}
+                                </select>
+                                <select class="add-task-popup-date template-item-repeat" title="Repeat">
+                                    ${createTemplateRepeatOptionsHTML(item.recurring)}
+                                </select>
+                                <select class="add-task-popup-date template-item-priority" title="Priority">
+                                    ${createPriorityOptionsHTML(item.type, item.priorityId)}
+                                </select>
+                            </div>
+                        </div>
+                    `).join('')}
+
+                    <button class="add-task-popup-quick-date template-add-item">+ Add Task</button>
+                </div>
+                <div class="add-task-popup-footer">
+                    <button class="add-task-popup-cancel">Cancel</button>
+                    <button class="add-task-popup-save">Save Template</button>
+                </div>
+            </div>
+        `;
+
+        overlay.querySelector('.add-task-popup-close').addEventListener('click', closeEditor);
+        overlay.querySelector('.add-task-popup-cancel').addEventListener('click', closeEditor);
+
+        overlay.querySelector('.template-add-item').addEventListener('click', () => {
+            collect();
+            items.push(createTemplateItem(items.length ? items[items.length - 1].type : categories[0]));
+            render();
+            const titles = overlay.querySelectorAll('.template-item-title');
+            titles[titles.length - 1].focus();
+        });
+
+        overlay.querySelectorAll('[data-remove]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                collect();
+                items.splice(parseInt(btn.dataset.remove), 1);
+                render();
+            });
+        });
+
+        overlay.querySelectorAll('.template-item').forEach((row, i) => {
+            // Priorities belong to a list, so changing the list drops the link
+            row.querySelector('.template-item-type').addEventListener('change', (e) => {
+                collect();
+                items[i].type = e.target.value;
+                items[i].priorityId = null;
+                render();
+            });
+
+            row.querySelector('.template-item-offset').addEventListener('input', (e) => {
+                row.querySelector('.template-item-category').disabled = e.target.value.trim() !== '';
+            });
+
+            row.querySelector('.template-item-repeat').addEventListener('change', (e) => {
+                collect();
+                if (e.target.value === 'custom') {
+                    showRecurrenceEditor(items[i].recurring, (pattern) => {
+                        items[i].recurring = normalizeRecurrence(pattern);
+                        render();
+                    });
+                    e.target.value = items[i].recurring || '';
+                    return;
+                }
+                items[i].recurring = e.target.value || null;
+            });
+        });
+
+        overlay.querySelector('.add-task-popup-save').addEventListener('click', async () => {
+            collect();
+            const savedItems = items.filter(item => item.title.trim()).map(item => ({ ...item, title: item.title.trim() }));
+
+            if (!name.trim()) {
+                overlay.querySelector('.template-name').focus();
+                return;
+            }
+            if (savedItems.length === 0) {
+                showToast('Add at least one task');
+                return;
+            }
+
+            try {
+                await saveTemplate(template.id, name.trim(), savedItems);
+                closeEditor();
+            } catch (error) {
+                // Keep the editor open so nothing is lost
+            }
+        });
+    };
+
+    render();
+    if (!template.name) overlay.querySelector('.template-name').focus();
+}
+
+// Pick a start date and fill in placeholders, then create the template's tasks
+function showUseTemplate(template) {
+    document.querySelectorAll('.template-use-overlay').forEach(p => p.remove());
+
+    const variables = getTemplateVariables(template);
+
+    const overlay = document.createElement('div');
+    overlay.className = 'add-task-popup-overlay template-use-overlay';
+    overlay.innerHTML = `
+        <div class="add-task-popup template-use">
+            <div class="add-task-popup-header">
+                <h3>📋 ${escapeHtml(template.name)}</h3>
+                <button class="add-task-popup-close">&times;</button>
+            </div>
+            <div class="add-task-popup-body">
+                ${variables.map(variable => `
+                    <div class="add-task-popup-row">
+                        <label>${escapeHtml(variable)}</label>
+                        <input type="text" class="add-task-popup-date template-variable" data-variable="${escapeAttr(variable)}" />
+                    </div>
+                `).join('')}
+                <div class="add-task-popup-row">
+                    <label>Start Date</label>
+                    <input type="date" class="add-task-popup-date template-start-date" value="${toLocalDateString(new Date())}" />
+                </div>
+                <div class="add-task-popup-row">
+                    <label>Tasks</label>
+                    <div class="template-preview"></div>
+                </div>
+            </div>
+            <div class="add-task-popup-footer">
+                <button class="add-task-popup-cancel">Cancel</button>
+                <button class="add-task-popup-save">Create Tasks</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const startInput = overlay.querySelector('.template-start-date');
+    const variableInputs = [...overlay.querySelectorAll('.template-variable')];
+
+    const getValues = () => Object.fromEntries(variableInputs.map(input => [input.dataset.variable, input.value.trim()]));
+
+    const renderPreview = () => {
+        const planned = buildTemplateTasks(template, startInput.value || toLocalDateString(new Date()), getValues());
+        overlay.querySelector('.template-preview').innerHTML = planned.length === 0
+            ? '<div class="task-detail-empty">No tasks for your current lists</div>'
+            : planned.map(({ type, title, options }) => `
+                <div class="template-preview-task">
+                    <span class="category-dot ${getCategoryColor(type)}"></span>
+                    <span class="template-preview-title">${escapeHtml(title)}</span>
+                    <span class="template-row-meta">${options.dueDate ? formatDate(options.dueDate) : formatCategory(options.category)}${options.recurring ? ` · ↻ ${describeRecurrence(options.recurring)}` : ''}</span>
+                </div>
+            `).join('');
+    };
+
+    const closeDialog = () => overlay.remove();
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closeDialog();
+    });
+    overlay.querySelector('.add-task-popup-close').addEventListener('click', closeDialog);
+    overlay.querySelector('.add-task-popup-cancel').addEventListener('click', closeDialog);
+
+    [startInput, ...variableInputs].forEach(input => input.addEventListener('input', renderPreview));
+
+    overlay.querySelector('.add-task-popup-save').addEventListener('click', async () => {
+        const missing = variableInputs.find(input => !input.value.trim());
+        if (missing) {
+            missing.focus();
+            return;
+        }
+
+        closeDialog();
+        await useTemplate(template, startInput.value || toLocalDateString(new Date()), getValues());
+    });
+
+    renderPreview();
+    (variableInputs[0] || startInput).focus();
+}
@@ -0,0 +1,152 @@
+// Time tracking module
+// Tasks can carry an `estimate` (minutes) and accumulate `timeSpent` (seconds) from focus
+// sessions and the manual tracker. A running tracker is saved as `trackingStartedAt` (ms) so it
+// survives reloads.
+
+// How often running trackers refresh on screen
+const TRACKING_REFRESH_INTERVAL = 30 * 1000;
+
+// Parse a duration like "15m", "1h", "1h30m", "1.5h" or "45" (minutes); returns minutes or null
+function parseDuration(value) {
+    const text = (value || '').trim().toLowerCase().replace(/\s+/g, '');
+    if (!text) return null;
+
+    if (/^\d+(\.\d+)?$/.test(text)) return Math.round(parseFloat(text));
+
+    const match = text.match(/^(?:(\d+(?:\.\d+)?)h(?:rs?|ours?)?)?(?:(\d+)m(?:ins?)?)?$/);
+    if (!match || (!match[1] && !match[2])) return null;
+
+    const minutes = Math.round(parseFloat(match[1] || 0) * 60 + parseInt(match[2] || 0));
+    return minutes > 0 ? minutes : null;
+}
+
+// Format minutes as "15m", "1h" or "1h 30m"
+function formatDuration(minutes) {
+    const total = Math.round(minutes || 0);
+    const hours = Math.floor(total / 60);
+    const mins = total % 60;
+    if (hours === 0) return `${mins}m`;
+    return mins === 0 ? `${hours}h` : `${hours}h ${mins}m`;
+}
+
+// Seconds spent on a task, including a tracker that is still running
+function getTimeSpent(task) {
+    const running = task.trackingStartedAt ? Math.max(0, (Date.now() - task.trackingStartedAt) / 1000) : 0;
+    return (task.timeSpent || 0) + running;
+}
+
+// Minutes of estimated work left on a task
+function getRemainingEstimate(task) {
+    if (!task.estimate || task.completed) return 0;
+    return Math.max(0, task.estimate - getTimeSpent(task) / 60);
+}
+
+// Add time to a task (focus sessions call this when they end)
+async function addTimeSpent(taskId, seconds) {
+    const rounded = Math.round(seconds);
+    if (!findTask(taskId) || rounded <= 0) return;
+
+    try {
+        await updateTask(taskId, { timeSpent: firebase.firestore.FieldValue.increment(rounded) });
+    } catch (error) {
+        console.error('Error saving time spent:', error);
+    }
+}
+
+// Task with a manual tracker running, if any
+function getTrackedTask() {
+    return Object.values(tasks).flat().find(task => task.trackingStartedAt) || null;
+}
+
+// Start the manual tracker on a task (only one tracker runs at a time)
+async function startTracking(taskId) {
+    const running = getTrackedTask();
+    if (running && running.id === taskId) return;
+    if (running) await stopTracking(running.id);
+
+    await updateTask(taskId, { trackingStartedAt: Date.now() });
+    showToast('Timer started');
+}
+
+// Stop the manual tracker and add the elapsed time to the task
+async function stopTracking(taskId) {
+    const task = findTask(taskId);
+    if (!task || !task.trackingStartedAt) return;
+
+    await updateTask(taskId, getStopTrackingUpdates(task));
+    showToast(`Tracked ${formatDuration(getTrackedSeconds(task) / 60)}`);
+}
+
+// Seconds on a running tracker
+function getTrackedSeconds(task) {
+    return Math.round((Date.now() - task.trackingStartedAt) / 1000);
+}
+
+// Fields that stop a running tracker and add its time to the task
+function getStopTrackingUpdates(task) {
+    return {
+        trackingStartedAt: null,
+        timeSpent: firebase.firestore.FieldValue.increment(getTrackedSeconds(task))
+    };
+}
+
+// Start or stop the manual tracker
+async function toggleTracking(taskId) {
+    const task = findTask(taskId);
+    if (!task) return;
+
+    if (task.trackingStartedAt) {
+        await stopTracking(taskId);
+    } else {
+        await startTracking(taskId);
+    }
+}
+
+// Label comparing actual time with the estimate ("20m / 1h", "~1h", "⏺ 5m")
+function getTimeLabel(task) {
+    const spentMinutes = getTimeSpent(task) / 60;
+    const spent = spentMinutes >= 1 || task.trackingStartedAt ? formatDuration(spentMinutes) : '';
+
+    if (task.estimate && spent) return `${spent} / ${formatDuration(task.estimate)}`;
+    if (task.estimate) return `~${formatDuration(task.estimate)}`;
+    return spent;
+}
+
+// Estimate vs actual chip for a task row
+function createTimeHTML(task) {
+    const label = getTimeLabel(task);
+    if (!label) return '';
+
+    const over = task.estimate && getTimeSpent(task) / 60 > task.estimate;
+    const tracking = !!task.trackingStartedAt;
+    return `<span class="task-time ${over ? 'over' : ''} ${tracking ? 'tracking' : ''}" data-task-id="${task.id}" title="${tracking ? 'Timer running' : 'Actual / estimate'}">${tracking ? '⏺' : '⏱'} ${label}</span>`;
+}
+
+// Estimated work remaining across today's tasks
+function renderTimeSummary() {
+    const todayTasks = Object.keys(tasks).flatMap(type => getTodayTasks(type));
+    const remaining = todayTasks.reduce((sum, task) => sum + getRemainingEstimate(task), 0);
+    const unestimated = todayTasks.filter(task => !task.completed && !task.estimate).length;
+
+    ['dashboardTimeSummary', 'mobileTimeSummary'].forEach(id => {
+        const el = document.getElementById(id);
+        if (!el) return;
+
+        el.innerHTML = `
+            <span class="time-summary-value">${formatDuration(remaining)}</span>
+            estimated work remaining today
+            ${unestimated ? `<span class="time-summary-note">· ${unestimated} task${unestimated === 1 ? '' : 's'} without an estimate</span>` : ''}
+        `;
+    });
+}
+
+// Keep running trackers and the remaining total current
+setInterval(() => {
+    if (!getTrackedTask()) return;
+
+    document.querySelectorAll('.task-time.tracking').forEach(el => {
+        const task = findTask(el.dataset.taskId);
+        if (task) el.textContent = `⏺ ${getTimeLabel(task)}`;
+    });
+    renderTimeSummary();
+}, TRACKING_REFRESH_INTERVAL);
@@ -0,0 +1,306 @@
+// Trash module
+// Tasks are soft deleted in place (`deletedAt` on the task document). Priorities and categories
+// are moved into the `trash` collection together with where they came from, so they can be put back.
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const TRASH_RETENTION_OPTIONS = [7, 14, 30, 60, 90];
+
+// Local trash state
+let trashedTasks = {};
+let trashEntries = [];
+let trashRetentionDays = DEFAULT_TRASH_RETENTION_DAYS;
+
+// Real-time listeners
+let trashListener = null;
+let trashSettingsListener = null;
+
+// Load trashed priorities/categories and the retention setting
+function loadTrash() {
+    const userDoc = getUserDoc();
+
+    if (trashListener) trashListener();
+    if (trashSettingsListener) trashSettingsListener();
+
+    trashListener = userDoc.collection('trash')
+        .onSnapshot(snapshot => {
+            trashEntries = snapshot.docs.map(doc => ({
+                id: doc.id,
+                ...doc.data()
+            }));
+            purgeExpiredTrash();
+            renderTrash();
+        }, error => {
+            console.error('Error loading trash:', error);
+        });
+
+    trashSettingsListener = userDoc.collection('settings').doc('trash')
+        .onSnapshot(doc => {
+            trashRetentionDays = (doc.exists && doc.data().retentionDays) || DEFAULT_TRASH_RETENTION_DAYS;
+            purgeExpiredTrash();
+            renderTrash();
+        }, error => {
+            console.error('Error loading trash settings:', error);
+        });
+}
+
+// Save the retention period (in days)
+async function setTrashRetention(days) {
+    const userDoc = getUserDoc();
+
+    try {
+        await userDoc.collection('settings').doc('trash').set({ retentionDays: days }, { merge: true });
+        showToast(`Trash is emptied after ${days} days`);
+    } catch (error) {
+        console.error('Error saving trash settings:', error);
+        showToast('Failed to save trash settings');
+    }
+}
+
+// Convert a Firestore timestamp to a Date (pending server timestamps are null)
+function trashDate(value) {
+    if (!value) return null;
+    return value.toDate ? value.toDate() : new Date(value);
+}
+
+// Days left before an item deleted at the given time is purged
+function getTrashDaysLeft(deletedAt) {
+    const deleted = trashDate(deletedAt);
+    if (!deleted) return trashRetentionDays;
+
+    const elapsed = (Date.now() - deleted.getTime()) / (24 * 60 * 60 * 1000);
+    return Math.max(0, Math.ceil(trashRetentionDays - elapsed));
+}
+
+// Batch writes that permanently delete trashed tasks and trash entries
+function getTrashDeletes(userDoc, trashed, entries) {
+    return [
+        ...trashed.map(task => batch => batch.delete(userDoc.collection('tasks').doc(task.id))),
+        ...entries.map(entry => batch => batch.delete(userDoc.collection('trash').doc(entry.id)))
+    ];
+}
+
+// Permanently delete anything that has outlived the retention period
+async function purgeExpiredTrash() {
+    const userDoc = getUserDoc();
+    const isExpired = item => trashDate(item.deletedAt) && getTrashDaysLeft(item.deletedAt) === 0;
+
+    const expiredTasks = Object.values(trashedTasks).flat().filter(isExpired);
+    const expiredEntries = trashEntries.filter(isExpired);
+    if (expiredTasks.length === 0 && expiredEntries.length === 0) return;
+
+    try {
+        await commitBatchedWrites(getTrashDeletes(userDoc, expiredTasks, expiredEntries));
+    } catch (error) {
+        console.error('Error purging trash:', error);
+    }
+}
+
+// Soft delete a task
+async function trashTask(taskId) {
+    await updateTask(taskId, { deletedAt: firebase.firestore.FieldValue.serverTimestamp() });
+}
+
+// Move a priority into the trash, remembering its list and position
+async function trashPriority(type, priority, index) {
+    const docRef = await getUserDoc().collection('trash').add({
+        kind: 'priority',
+        categoryId: type,
+        item: priority,
+        index,
+        deletedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+    return docRef.id;
+}
+
+// Move a whole category (settings and priorities) into the trash
+async function trashCategory(categoryId, settings, items, index) {
+    const docRef = await getUserDoc().collection('trash').add({
+        kind: 'category',
+        categoryId,
+        settings: settings || null,
+        items,
+        index,
+        deletedAt: firebase.firestore.FieldValue.serverTimestamp()
+    });
+    return docRef.id;
+}
+
+// Put a category back into the category list at (or near) its old position
+async function reinsertCategory(categoryId, settings, index) {
+    if (!categories.includes(categoryId)) {
+        categories.splice(Math.min(index, categories.length), 0, categoryId);
+    }
+    if (settings) categorySettings[categoryId] = settings;
+
+    await getUserDoc().collection('settings').doc('categories').set({
+        list: categories,
+        settings: categorySettings
+    }, { merge: true });
+}
+
+// Restore a trashed task to its original list
+async function restoreTask(taskId) {
+    await updateTask(taskId, { deletedAt: null });
+}
+
+// Restore a trashed priority or category
+async function restoreTrashEntry(entryId) {
+    const entry = trashEntries.find(e => e.id === entryId);
+    if (!entry) return;
+
+    const userDoc = getUserDoc();
+
+    if (entry.kind === 'priority') {
+        // Bring the category back too if it was deleted in the meantime
+        if (!categories.includes(entry.categoryId)) {
+            await reinsertCategory(entry.categoryId, null, categories.length);
+        }
+
+        const items = (priorities[entry.categoryId] || []).filter(p => p.id !== entry.item.id);
+        items.splice(Math.min(entry.index, items.length), 0, entry.item);
+        items.forEach((p, i) => p.order = i);
+        priorities[entry.categoryId] = items;
+        await savePriorities(entry.categoryId);
+    } else if (entry.kind === 'category') {
+        await reinsertCategory(entry.categoryId, entry.settings, entry.index);
+        priorities[entry.categoryId] = entry.items || [];
+        await savePriorities(entry.categoryId);
+    }
+
+    await userDoc.collection('trash').doc(entryId).delete();
+}
+
+// Permanently delete a trashed task
+async function purgeTask(taskId) {
+    await getUserDoc().collection('tasks').doc(taskId).delete();
+}
+
+// Permanently delete a trashed priority or category
+async function purgeTrashEntry(entryId) {
+    await getUserDoc().collection('trash').doc(entryId).delete();
+}
+
+// Permanently delete everything in the trash
+async function emptyTrash() {
+    const allTasks = Object.values(trashedTasks).flat();
+    const count = allTasks.length + trashEntries.length;
+    if (count === 0) return;
+    if (!confirm(`Permanently delete ${count} item${count === 1 ? '' : 's'}? This can't be undone.`)) return;
+
+    try {
+        await commitBatchedWrites(getTrashDeletes(getUserDoc(), allTasks, trashEntries));
+        showToast('Trash emptied');
+    } catch (error) {
+        console.error('Error emptying trash:', error);
+        showToast('Failed to empty trash');
+    }
+}
+
+// All trashed items, newest first, in a common shape for rendering
+function getTrashItems() {
+    const taskItems = Object.values(trashedTasks).flat().map(task => ({
+        id: task.id,
+        kind: 'task',
+        title: task.title,
+        origin: `${getCategoryLabel(task.type)} · ${task.dueDate ? formatDate(task.dueDate) : formatCategory(task.category)}`,
+        deletedAt: task.deletedAt
+    }));
+
+    const entryItems = trashEntries.map(entry => ({
+        id: entry.id,
+        kind: entry.kind,
+        title: entry.kind === 'category'
+            ? (entry.settings?.label || getCategoryLabel(entry.categoryId))
+            : entry.item?.title,
+        origin: entry.kind === 'category'
+            ? `Category · ${(entry.items || []).length} priorities`
+            : `Priority · ${getCategoryLabel(entry.categoryId)}`,
+        deletedAt: entry.deletedAt
+    }));
+
+    const time = item => trashDate(item.deletedAt)?.getTime() || Date.now();
+    return [...taskItems, ...entryItems].sort((a, b) => time(b) - time(a));
+}
+
+// Render the trash view (desktop and mobile)
+function renderTrash() {
+    ['trashContent', 'mobileTrashContent'].forEach(id => {
+        const container = document.getElementById(id);
+        if (container) renderTrashList(container);
+    });
+}
+
+// Render trashed items with restore/delete controls into a container
+function renderTrashList(container) {
+    const items = getTrashItems();
+    const icons = { task: '☐', priority: '★', category: '📁' };
+
+    container.innerHTML = `
+        <div class="trash-toolbar">
+            <label>
+                Delete permanently after
+                <select class="trash-retention">
+                    ${TRASH_RETENTION_OPTIONS.map(days => `
+                        <option value="${days}" ${days === trashRetentionDays ? 'selected' : ''}>${days} days</option>
+                    `).join('')}
+                </select>
+            </label>
+            <button class="trash-empty-btn" ${items.length === 0 ? 'disabled' : ''}>Empty Trash</button>
+        </div>
+        ${items.length === 0 ? '<div class="trash-empty">Trash is empty</div>' : `
+            <div class="trash-list">
+                ${items.map(item => {
+                    const daysLeft = getTrashDaysLeft(item.deletedAt);
+                    return `
+                        <div class="trash-item" data-id="${item.id}" data-kind="${item.kind}">
+                            <span class="trash-item-icon">${icons[item.kind]}</span>
+                            <div class="trash-item-info">
+                                <div class="trash-item-title">${escapeHtml(item.title || 'Untitled')}</div>
+                                <div class="trash-item-meta">${escapeHtml(item.origin)} · deleted forever in ${daysLeft} day${daysLeft === 1 ? '' : 's'}</div>
+                            </div>
+                            <button class="trash-restore-btn">Restore</button>
+                            <button class="trash-purge-btn" title="Delete forever">✕</button>
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `}
+    `;
+
+    container.querySelector('.trash-retention').addEventListener('change', (e) => {
+        setTrashRetention(parseInt(e.target.value));
+    });
+    container.querySelector('.trash-empty-btn').addEventListener('click', emptyTrash);
+
+    container.querySelectorAll('.trash-item').forEach(el => {
+        const { id, kind } = el.dataset;
+
+        el.querySelector('.trash-restore-btn').addEventListener('click', async () => {
+            try {
+                if (kind === 'task') {
+                    await restoreTask(id);
+                } else {
+                    await restoreTrashEntry(id);
+                }
+                showToast('Restored');
+            } catch (error) {
+                console.error('Error restoring item:', error);
+                showToast('Failed to restore');
+            }
+        });
+
+        el.querySelector('.trash-purge-btn').addEventListener('click', async () => {
+            if (!confirm('Delete this permanently? This can\'t be undone.')) return;
+            try {
+                if (kind === 'task') {
+                    await purgeTask(id);
+                } else {
+                    await purgeTrashEntry(id);
+                }
+            } catch (error) {
+                console.error('Error deleting item:', error);
+                showToast('Failed to delete');
+            }
+        });
+    });
+}
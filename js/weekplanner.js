@@ -0,0 +1,252 @@
+// Week planner module
+// Seven day columns (starting on the configured weekday) with the tasks due that day, the day's
+// calendar events and the total of task estimates. Dropping a task on a day sets its due date;
+// undated "This Week" tasks wait in an Unscheduled column. The week start is saved in
+// `settings/planner` and also sets the This Week / Next Week boundary of the task sections.
+
+// Days a week can start on (getDay() values)
+const WEEK_START_DAYS = [
+    { value: 1, label: 'Monday' },
+    { value: 0, label: 'Sunday' },
+    { value: 6, label: 'Saturday' }
+];
+
+// Day the week starts on (getDay() value)
+let weekStartDay = 1;
+let plannerSettingsListener = null;
+
+// Weeks away from the current one
+let weekOffset = 0;
+
+// Calendar events for the week on screen (`start` is its first day)
+let weekEvents = { start: null, events: [], loading: false };
+
+// Listen for the planner settings
+function loadPlannerSettings() {
+    if (plannerSettingsListener) plannerSettingsListener();
+
+    plannerSettingsListener = getUserDoc().collection('settings').doc('planner')
+        .onSnapshot(doc => {
+            const saved = doc.exists ? doc.data().weekStart : undefined;
+            weekStartDay = WEEK_START_DAYS.some(day => day.value === saved) ? saved : 1;
+            renderTasks();
+        }, error => {
+            console.error('Error loading planner settings:', error);
+        });
+}
+
+// Day the week starts on (Monday unless changed)
+function getWeekStartDay() {
+    return weekStartDay;
+}
+
+// Save the week start (the listener redraws everything that depends on it)
+async function setWeekStartDay(day) {
+    try {
+        await getUserDoc().collection('settings').doc('planner').set({ weekStart: day }, { merge: true });
+    } catch (error) {
+        console.error('Error saving planner settings:', error);
+        showToast('Failed to save week start');
+    }
+}
+
+// First day of the week containing a date (midnight)
+function getStartOfWeek(date) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - (start.getDay() - getWeekStartDay() + 7) % 7);
+    return start;
+}
+
+// Date strings of the seven days of the week on screen
+function getPlannerDays() {
+    const start = getStartOfWeek(new Date());
+    start.setDate(start.getDate() + weekOffset * 7);
+
+    return Array.from({ length: 7 }, (_, i) => {
+        const day = new Date(start);
+        day.setDate(start.getDate() + i);
+        return toLocalDateString(day);
+    });
+}
+
+// Tasks of a type shown on a day: due that day, plus anything overdue on today
+function getTasksForDay(type, date) {
+    const today = toLocalDateString(new Date());
+
+    return tasks[type].filter(task => {
+        if (task.paused && !task.completed) return false;
+        if (isSnoozed(task) || !task.dueDate) return false;
+        if (task.dueDate === date) return true;
+        return date === today && !task.completed && task.dueDate < today;
+    }).sort((a, b) => {
+        if (!!a.todayPriority !== !!b.todayPriority) return a.todayPriority ? -1 : 1;
+        return compareTaskRank(a, b);
+    });
+}
+
+// Open "This Week" tasks of a type that have no day yet
+function getUnscheduledTasks(type) {
+    return getTasksByCategory(type, 'thisWeek').filter(task => !task.dueDate && !task.completed);
+}
+
+// Whether calendar events can be fetched
+function isCalendarConnected() {
+    return calendarInitialized && !!gapi.client.getToken();
+}
+
+// Fetch the calendar events of the week starting on a date
+async function loadWeekEvents(startDate) {
+    const start = parseLocalDate(startDate);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 7);
+
+    weekEvents = { start: startDate, events: [], loading: true };
+
+    let events = [];
+    try {
+        events = await fetchCalendarEvents(start, end, 100);
+    } catch (error) {
+        console.error('Error loading week events:', error);
+    }
+
+    // The week may have changed while loading
+    if (weekEvents.start !== startDate) return;
+    weekEvents = { start: startDate, events, loading: false };
+    renderWeekPlanner();
+}
+
+// Days an event covers (all-day events can span several; their end date is exclusive)
+function getEventDays(event) {
+    if (!event.start.date) return [toLocalDateString(new Date(event.start.dateTime))];
+
+    const days = [];
+    const day = parseLocalDate(event.start.date);
+    const end = parseLocalDate(event.end.date);
+    while (day < end) {
+        days.push(toLocalDateString(day));
+        day.setDate(day.getDate() + 1);
+    }
+    return days;
+}
+
+// Calendar events on a day
+function getEventsForDay(date) {
+    return weekEvents.events.filter(event => getEventDays(event).includes(date));
+}
+
+// Title of the week on screen, e.g. "Oct 12 – Oct 18"
+function formatWeekRange(days) {
+    const format = (date) => parseLocalDate(date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    return `${format(days[0])} – ${format(days[6])}`;
+}
+
+// Render the week planner (desktop and mobile)
+function renderWeekPlanner() {
+    const days = getPlannerDays();
+
+    // Fetch the week's events once per week shown
+    if (isCalendarConnected() && weekEvents.start !== days[0]) loadWeekEvents(days[0]);
+
+    ['weekContent', 'mobileWeekContent'].forEach(id => {
+        const container = document.getElementById(id);
+        if (container && Object.keys(tasks).length) renderWeekPlannerInto(container, days);
+    });
+}
+
+// Day columns for one task list per category
+function createWeekListsHTML(attributes) {
+    return categories.filter(type => tasks[type]).map(type => `
+        <div class="week-day-group">
+            ${categories.length > 1 ? `<div class="week-day-group-label">${escapeHtml(getCategoryLabel(type))}</div>` : ''}
+            <div class="task-list week-day-list" data-type="${type}" ${attributes}></div>
+        </div>
+    `).join('');
+}
+
+// Render the planner toolbar and columns into a container
+function renderWeekPlannerInto(container, days) {
+    const today = toLocalDateString(new Date());
+    const showEvents = isCalendarConnected() && weekEvents.start === days[0];
+
+    container.innerHTML = `
+        <div class="trash-toolbar week-toolbar">
+            <div class="week-nav">
+                <button class="week-nav-btn week-prev" title="Previous week">‹</button>
+                <button class="week-nav-btn week-current" ${weekOffset === 0 ? 'disabled' : ''}>This week</button>
+                <button class="week-nav-btn week-next" title="Next week">›</button>
+                <span class="week-range">${formatWeekRange(days)}</span>
+            </div>
+            ${isCalendarConnected() ? '' : '<button class="week-nav-btn week-connect">📅 Show calendar events</button>'}
+            <label>
+                Week starts on
+                <select class="trash-retention week-start">
+                    ${WEEK_START_DAYS.map(day => `
+                        <option value="${day.value}" ${day.value === getWeekStartDay() ? 'selected' : ''}>${day.label}</option>
+                    `).join('')}
+                </select>
+            </label>
+        </div>
+        <div class="week-planner">
+            ${weekOffset === 0 ? `
+                <div class="task-section week-day week-unscheduled">
+                    <div class="task-section-header week-day-header">
+                        <span>Unscheduled</span>
+                    </div>
+                    ${createWeekListsHTML('data-category="thisWeek"')}
+                </div>
+            ` : ''}
+            ${days.map(date => {
+                const dayTasks = Object.keys(tasks).flatMap(type => getTasksForDay(type, date));
+                const estimate = dayTasks.reduce((sum, task) => sum + getRemainingEstimate(task), 0);
+                const events = showEvents ? getEventsForDay(date) : [];
+                const label = parseLocalDate(date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+
+                return `
+                    <div class="task-section week-day ${date === today ? 'today' : ''} ${date < today ? 'past' : ''}">
+                        <div class="task-section-header week-day-header">
+                            <span>${label}</span>
+                            ${estimate ? `<span class="week-day-estimate" title="Estimated work left">⏱ ${formatDuration(estimate)}</span>` : ''}
+                        </div>
+                        ${events.length ? `
+                            <div class="week-events">
+                                ${events.map(event => `
+                                    <div class="week-event" title="${escapeHtml(event.summary || 'Untitled Event')}">
+                                        <span class="event-color ${getEventColorClass(event)}"></span>
+                                        <span class="week-event-time">${formatEventTimes(event).startTime}</span>
+                                        ${escapeHtml(event.summary || 'Untitled Event')}
+                                    </div>
+                                `).join('')}
+                            </div>
+                        ` : ''}
+                        ${createWeekListsHTML(`data-date="${date}"`)}
+                    </div>
+                `;
+            }).join('')}
+        </div>
+    `;
+
+    // Empty lists stay as drop zones instead of showing the "All caught up!" message
+    container.querySelectorAll('.week-day-list').forEach(list => {
+        const type = list.dataset.type;
+        const listTasks = list.dataset.date ? getTasksForDay(type, list.dataset.date) : getUnscheduledTasks(type);
+        if (listTasks.length) renderTaskList(list, listTasks, type);
+    });
+
+    container.querySelector('.week-prev').addEventListener('click', () => {
+        weekOffset--;
+        renderWeekPlanner();
+    });
+    container.querySelector('.week-next').addEventListener('click', () => {
+        weekOffset++;
+        renderWeekPlanner();
+    });
+    container.querySelector('.week-current').addEventListener('click', () => {
+        weekOffset = 0;
+        renderWeekPlanner();
+    });
+    container.querySelector('.week-connect')?.addEventListener('click', authorizeCalendar);
+    container.querySelector('.week-start').addEventListener('change', (e) => {
+        setWeekStartDay(parseInt(e.target.value));
+    });
+}
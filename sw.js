@@ -0,0 +1,172 @@
+// Reminder service worker
+// The app sends its upcoming reminders here whenever tasks change. The worker shows them as
+// notifications with snooze actions, so they still fire while the tab is in the background.
+// Once every tab is closed, the push server (functions/index.js) wakes the worker with each
+// reminder as it comes due; the same notification tag keeps one from showing twice.
+
+const REMINDER_STATE_CACHE = 'priority-tracker-reminders';
+const REMINDER_STATE_URL = '/__reminder-state';
+const SNOOZE_ACTIONS = [
+    { action: 'snooze-10', title: 'Snooze 10 min', minutes: 10 },
+    { action: 'snooze-60', title: 'Snooze 1 hour', minutes: 60 }
+];
+
+// { reminders: [{ key, taskId, title, body, at }], fired: { key: true }, snoozed: { key: time } }
+// A reminder is "fired" once it has been shown
+let reminderState = null;
+let reminderTimer = null;
+
+// Load the saved state (workers are stopped and restarted by the browser at any time)
+async function loadState() {
+    if (reminderState) return reminderState;
+
+    try {
+        const cache = await caches.open(REMINDER_STATE_CACHE);
+        const response = await cache.match(REMINDER_STATE_URL);
+        reminderState = response ? await response.json() : null;
+    } catch (error) {
+        console.error('Error loading reminder state:', error);
+    }
+
+    reminderState = reminderState || { reminders: [], fired: {}, snoozed: {} };
+    return reminderState;
+}
+
+// Persist the state
+async function saveState() {
+    const cache = await caches.open(REMINDER_STATE_CACHE);
+    await cache.put(REMINDER_STATE_URL, new Response(JSON.stringify(reminderState), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+}
+
+// When a reminder is due, taking snoozes into account
+function getDueTime(reminder) {
+    return reminderState.snoozed[reminder.key] || reminder.at;
+}
+
+// Notification options for a reminder
+function getNotificationOptions(reminder) {
+    return {
+        body: reminder.body,
+        tag: reminder.key,
+        icon: '/favicon.ico',
+        requireInteraction: true,
+        data: { key: reminder.key, taskId: reminder.taskId },
+        actions: SNOOZE_ACTIONS.map(({ action, title }) => ({ action, title }))
+    };
+}
+
+// Replace the reminder list sent by the app, dropping state for reminders that no longer exist
+async function scheduleReminders(reminders) {
+    await loadState();
+
+    const keys = new Set(reminders.map(r => r.key));
+    reminderState.reminders = reminders;
+    Object.keys(reminderState.fired).forEach(key => {
+        if (!keys.has(key)) delete reminderState.fired[key];
+    });
+    Object.keys(reminderState.snoozed).forEach(key => {
+        if (!keys.has(key)) delete reminderState.snoozed[key];
+    });
+
+    await saveState();
+    await checkReminders();
+}
+
+// Show every reminder that is due and arm a timer for the next one
+async function checkReminders() {
+    await loadState();
+    clearTimeout(reminderTimer);
+
+    const now = Date.now();
+    const due = reminderState.reminders.filter(r => !reminderState.fired[r.key] && getDueTime(r) <= now);
+
+    if (due.length > 0) {
+        due.forEach(reminder => {
+            reminderState.fired[reminder.key] = true;
+            delete reminderState.snoozed[reminder.key];
+        });
+        await saveState();
+        await Promise.all(due.map(reminder =>
+            self.registration.showNotification(reminder.title, getNotificationOptions(reminder))
+        ));
+    }
+
+    const upcoming = reminderState.reminders
+        .filter(r => !reminderState.fired[r.key])
+        .map(getDueTime)
+        .sort((a, b) => a - b)[0];
+    if (upcoming) {
+        // Timers can't exceed ~24.8 days; the app re-syncs long before that anyway
+        reminderTimer = setTimeout(checkReminders, Math.min(upcoming - now, 2147483647));
+    }
+}
+
+// Show a reminder pushed by the server (quietly if this worker already showed it)
+async function showPushedReminder(reminder) {
+    await loadState();
+
+    const shown = !!reminderState.fired[reminder.key];
+    if (!reminderState.reminders.some(r => r.key === reminder.key)) {
+        reminderState.reminders.push({ ...reminder, at: Date.now() });
+    }
+    reminderState.fired[reminder.key] = true;
+    delete reminderState.snoozed[reminder.key];
+    await saveState();
+
+    await self.registration.showNotification(reminder.title, { ...getNotificationOptions(reminder), silent: shown });
+}
+
+// Snooze a reminder that has been shown
+async function snoozeReminder(key, minutes) {
+    await loadState();
+
+    reminderState.snoozed[key] = Date.now() + minutes * 60 * 1000;
+    delete reminderState.fired[key];
+    await saveState();
+    await checkReminders();
+}
+
+// Focus the app (opening it if needed) and show the task
+async function openTask(taskId) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows[0];
+
+    if (client) {
+        await client.focus();
+        client.postMessage({ type: 'open-task', taskId });
+    } else {
+        await self.clients.openWindow(`/?task=${encodeURIComponent(taskId)}`);
+    }
+}
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(self.clients.claim().then(checkReminders));
+});
+
+self.addEventListener('message', (event) => {
+    const { type, reminders } = event.data || {};
+
+    if (type === 'schedule') {
+        event.waitUntil(scheduleReminders(reminders || []));
+    } else if (type === 'check') {
+        event.waitUntil(checkReminders());
+    }
+});
+
+self.addEventListener('push', (event) => {
+    // Data messages from the push server carry the reminder in `data`
+    const reminder = event.data?.json().data;
+    if (reminder?.key) event.waitUntil(showPushedReminder(reminder));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    const { key, taskId } = event.notification.data || {};
+    event.notification.close();
+
+    const snooze = SNOOZE_ACTIONS.find(s => s.action === event.action);
+    event.waitUntil(snooze ? snoozeReminder(key, snooze.minutes) : openTask(taskId));
+});